@@ -2,24 +2,66 @@ require('dotenv').config();
 
 const { REST } = require('@discordjs/rest');
 const { Routes } = require('discord-api-types/v9');
-const admin = require('firebase-admin');
-const fetch = require('node-fetch');
-const { Client, GatewayIntentBits, AttachmentBuilder, SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, Partials, StringSelectMenuBuilder } = require('discord.js');
-const fs = require("fs");
+const { Client, GatewayIntentBits, ChannelType, AttachmentBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, Partials, StringSelectMenuBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
 const puppeteerExtra = require("puppeteer-extra");
 const StealthPlugin = require("puppeteer-extra-plugin-stealth");
-const axios = require("axios");
-const cheerio = require("cheerio");
 const AdmZip = require('adm-zip');
+const db = require('./lib/db');
+const watchlist = require('./lib/watchlist');
+const history = require('./lib/history');
+const { createMonitor } = require('./lib/monitor');
+const { createBrowserPool } = require('./lib/browserPool');
+const { createScraper } = require('./lib/scraper');
+const { getAdapter } = require('./lib/adapters');
+const { createApiKey, listApiKeys, revokeApiKey } = require('./lib/auth');
+const { BASE_CURRENCY, parseMoney, convertAmount, formatMoney, normalizePrice } = require('./lib/price');
+const { tokenize, MAX_PREFIX_LENGTH } = require('./lib/search');
+const {
+    normalizeCategoryName,
+    seedDefaultCategories,
+    getCategoryMap,
+    getCategoryTree,
+    addCategory,
+    removeCategory,
+    renameCategory,
+    moveCategory
+} = require('./lib/categories');
+const { createCatalog } = require('./lib/catalog');
+const { MAX_IMAGE_SIZE, saveImage, deleteImage } = require('./lib/images');
+const { fetchLimited, downloadAttachment } = require('./lib/download');
+const { renderHistoryChart } = require('./lib/chart');
+const { readBulkZip, validateRows, formatReport } = require('./lib/bulkImport');
+const { extractProductDetails } = require('./lib/productPage');
+const { normalizeMonitorUrl, syncLiveStatus } = require('./lib/liveStatus');
+const { AUDIT_PAGE_SIZE, discordActor, recordAudit, listAudit, changedFields } = require('./lib/audit');
+const auditLog = require('./lib/auditLog');
+const { RESTORE_MODES, exportCatalog, planRestore, formatRestoreSummary } = require('./lib/archive');
+const { DENIED_MESSAGE, createPermissions, handlePermissionsCommand } = require('./lib/permissions');
+const { createCommandRegistry } = require('./lib/commandRegistry');
+const guildPermissions = require('./lib/guildPermissions');
+const guildSettings = require('./lib/guildSettings');
+const userWatches = require('./lib/userWatches');
+const interactionSessions = require('./lib/interactionSessions');
+const { SESSION_PURGE_INTERVAL, describeTtl, createSessions } = require('./lib/sessions');
+const {
+    PURGE_INTERVAL,
+    retentionDays,
+    trashOptions,
+    undoCustomId,
+    purgeProducts,
+    purgeExpiredProducts,
+    purgeExpiredWatchlist
+} = require('./lib/trash');
 
 puppeteerExtra.use(StealthPlugin());
 
-const DEFAULT_PRICE_SELECTOR = "b[class^='productPrice_price']";
-const DEFAULT_STOCK_SELECTOR = "button[class*='productButton_soldout']";
-const DEFAULT_CHECK_TEXT = "Sold Out";
+const launchBrowser = () => puppeteerExtra.launch({
+    headless: true,
+    args: ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage", "--disable-http2"],
+});
 
-let productDataCache;
-let bulkProductCache;
+// Attachments are downloaded whole before they are read
+const ATTACHMENT_TIMEOUT = 2 * 60 * 1000;
 
 async function safeDeferUpdate(interaction) {
     if (interaction.deferred || interaction.replied) {
@@ -37,40 +79,57 @@ async function safeDeferUpdate(interaction) {
     }
 }
 
-function getContentType(filename) {
-    const ext = filename.split('.').pop().toLowerCase();
-    switch(ext) {
-        case 'jpg': case 'jpeg': return 'image/jpeg';
-        case 'png': return 'image/png';
-        case 'gif': return 'image/gif';
-        case 'webp': return 'image/webp';
-        case 'avif': return 'image/avif';
-        default: return 'application/octet-stream';
-    }
+// Undo button for a removal reply; customId is null when the removed IDs don't fit in one
+function createUndoRow(customId) {
+    if (!customId) return [];
+    return [new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(customId)
+            .setLabel('Undo')
+            .setEmoji('↩️')
+            .setStyle(ButtonStyle.Secondary)
+    )];
 }
 
-const handledInteractions = new Set();
+function formatTrashEntry(id, name, deletedBy, deletedAt, expiresAt) {
+    const seconds = date => Math.floor(new Date(date).getTime() / 1000);
+    return `\`${id}\` ${name} · removed <t:${seconds(deletedAt)}:R>${deletedBy ? ` by <@${deletedBy}>` : ''} · purged <t:${seconds(expiresAt)}:R>`;
+}
 
-const cleanupInterval = () => {
-    if (!productDataCache || !bulkProductCache) return;
-    
-    const now = Date.now();
-    const FIVE_MINUTES = 5 * 60 * 1000;
-    
-    for (const [key, value] of productDataCache.entries()) {
-        if (now - (value.timestamp || 0) > FIVE_MINUTES) {
-            productDataCache.delete(key);
-        }
-    }
-    
-    for (const [key, value] of bulkProductCache.entries()) {
-        if (now - (value.timestamp || 0) > FIVE_MINUTES) {
-            bulkProductCache.delete(key);
-        }
-    }
-};
+// /permissions definition for either bot's registry. getTargets lists the commands
+// and levels the bot's rules can name; it is read when the commands are registered.
+function createPermissionsCommand(getTargets, handler) {
+    const target = { name: 'target', type: 'string', description: 'Command, or read/write for a whole level', required: true, choices: getTargets };
+    const who = [
+        { name: 'role', type: 'role', description: 'Role to change' },
+        { name: 'user', type: 'user', description: 'User to change' }
+    ];
+    return {
+        name: 'permissions',
+        description: 'Choose who may use each command in this server',
+        help: 'Choose which roles and users may use each command',
+        subcommands: [
+            { name: 'show', description: 'Show the rules for this server' },
+            { name: 'allow', description: 'Let a role or user use a command or level', options: [target, ...who] },
+            { name: 'deny', description: 'Take a role or user off a command or level', options: [target, ...who] },
+            { name: 'reset', description: 'Go back to the default for a command or level', options: [target] }
+        ],
+        handler
+    };
+}
+
+function recordDenied(store, interaction, action) {
+    return recordAudit(store, {
+        actor: discordActor(interaction.user),
+        action: 'permission.denied',
+        targetType: 'command',
+        targetId: action,
+        after: { guildId: interaction.guildId, channelId: interaction.channelId }
+    });
+}
+
+const handledInteractions = new Set();
 
-setInterval(cleanupInterval, 60000);
 setInterval(() => {
     const now = Date.now();
     for (const [id, timestamp] of handledInteractions.entries()) {
@@ -82,34 +141,64 @@ if (process.env.BOT_TYPE === "FIREBASE_BOT") {
     console.log('Starting Firebase bot...');
     const missingVars = [];
     if (!process.env.DISCORD_BOT_TOKEN) missingVars.push('DISCORD_BOT_TOKEN');
-    if (!process.env.FIREBASE_SERVICE_ACCOUNT) missingVars.push('FIREBASE_SERVICE_ACCOUNT');
-    if (!process.env.ADMIN_ROLE_ID) missingVars.push('ADMIN_ROLE_ID');
+    if ((process.env.CATALOG_STORE || 'firestore') === 'firestore' && !process.env.FIREBASE_SERVICE_ACCOUNT) {
+        missingVars.push('FIREBASE_SERVICE_ACCOUNT');
+    }
     
     if (missingVars.length > 0) {
         console.error(`❌ FATAL: Missing environment variables: ${missingVars.join(', ')}`);
         process.exit(1);
     }
     
-    if (!admin.apps.length) {
-        try {
-            const serviceAccount = JSON.parse(
-                Buffer.from(process.env.FIREBASE_SERVICE_ACCOUNT, 'base64').toString('utf-8')
-            );
-            admin.initializeApp({
-                credential: admin.credential.cert(serviceAccount),
-                databaseURL: `https://${serviceAccount.project_id}.firebaseio.com`
-            });
-            console.log('🔥 Firebase initialized successfully');
-        } catch (error) {
-            console.error('❌ FATAL: Firebase initialization failed:', error);
-            process.exit(1);
-        }
+    let catalog;
+    try {
+        catalog = createCatalog();
+    } catch (error) {
+        console.error('❌ FATAL: Catalog storage initialization failed:', error);
+        process.exit(1);
     }
+    
+    // Multi-step flows keep their state next to the catalog, so a restart mid-flow loses nothing
+    const sessions = createSessions(catalog.sessions);
+    
+    const registry = createCommandRegistry({
+        help: { title: '🔥 Firebase Bot Commands', description: 'Manage your product catalog', color: '#3498db' }
+    });
+    
+    // Buttons and menus act for the command whose permission they need, so the
+    // later steps of a flow are checked like the command that started it
+    const BUTTON_COMMANDS = {
+        main_category: 'add',
+        sub_category: 'add',
+        import_main_category: 'import-url',
+        import_sub_category: 'import-url',
+        bulk_main_category: 'bulk-add',
+        bulk_sub_category: 'bulk-add',
+        confirm_bulk_add: 'bulk-add',
+        cancel_bulk_add: 'bulk-add',
+        edit_main_category: 'edit',
+        edit_sub_category: 'edit',
+        edit_keep_category: 'edit',
+        confirm_edit: 'edit',
+        cancel_edit: 'edit',
+        list_edit: 'edit',
+        list_edit_modal: 'edit',
+        list_remove: 'remove',
+        confirm_remove: 'remove',
+        cancel_remove: 'remove',
+        undo_remove: 'remove',
+        confirm_restore: 'restore',
+        cancel_restore: 'restore'
+    };
 
-productDataCache = new Map();
-bulkProductCache = new Map();
+    // Only /import-url needs a browser; the pool launches it on first use
+    const importScraper = createScraper(createBrowserPool({
+        launch: launchBrowser,
+        browsers: 1,
+        concurrency: 1,
+        pageTimeout: parseInt(process.env.PAGE_TIMEOUT_MS || "120000"),
+    }));
     
-    const db = admin.firestore();
     const client = new Client({ 
         intents: [
             GatewayIntentBits.Guilds,
@@ -117,322 +206,1259 @@ bulkProductCache = new Map();
         ] 
     });
 
-const CATEGORIES = {
-    MENS: ['SHOES', 'CLOTHES', 'FRAGRANCE'],
-    WOMENS: ['SHOES', 'CLOTHES', 'FRAGRANCE'],
-    KIDS: [],
-    TECH: [],
-    JEWELRY_ACCESSORIES: [],
-    MISC: [],
-    MAIN: []
-};
+// Loaded from the catalog on startup and after every /category change
+let CATEGORIES = {};
+
+async function refreshCategories() {
+    CATEGORIES = await getCategoryMap(catalog);
+}
+
+// Suggests main categories, or the subcategories of the one already picked
+function autocompleteCategory(interaction) {
+    const focused = interaction.options.getFocused(true);
+    const subcommand = interaction.options.getSubcommand(false);
+    const parent = interaction.options.getString(
+        focused.name === 'subcategory' ? 'category' : subcommand === 'move' ? 'from' : 'parent'
+    );
     
-    const commands = [
-        {
-            name: 'add',
-            description: 'Add a new product',
-            options: [
-                { name: 'attachment', description: 'Image attachment', type: 11, required: true },
-                { name: 'name', description: 'Product name', type: 3, required: true },
-                { name: 'price', description: 'Product price ($XX.XX)', type: 3, required: true },
-                { name: 'link', description: 'Product link', type: 3, required: true }
-            ]
-        },
-        {
-            name: 'remove',
-            description: 'Remove a product',
-            options: [
-                { name: 'id', description: 'Product ID', type: 3, required: true }
-            ]
-        },
-{
-        name: 'bulk-add',
-        description: 'Add multiple products (up to 5)',
-        options: [
-            { name: 'image1', description: 'Image for product 1', type: 11, required: true },
-            // Move required text options BEFORE optional images
-            { name: 'names', description: 'Product names (comma separated)', type: 3, required: true },
-            { name: 'prices', description: 'Product prices (comma separated)', type: 3, required: true },
-            { name: 'links', description: 'Product links (comma separated)', type: 3, required: true },
-            // Optional images come AFTER required options
-            { name: 'image2', description: 'Image for product 2', type: 11, required: false },
-            { name: 'image3', description: 'Image for product 3', type: 11, required: false },
-            { name: 'image4', description: 'Image for product 4', type: 11, required: false },
-            { name: 'image5', description: 'Image for product 5', type: 11, required: false }
+    let names;
+    if (['category', 'parent', 'from', 'to'].includes(focused.name) || (focused.name === 'name' && subcommand !== 'move' && !parent)) {
+        names = Object.keys(CATEGORIES);
+    } else if (parent) {
+        names = CATEGORIES[parent] || [];
+    } else {
+        names = [...new Set(Object.values(CATEGORIES).flat())];
+    }
+    
+    const query = String(focused.value).toUpperCase();
+    return interaction.respond(
+        names.filter(name => name.includes(query)).slice(0, 25).map(name => ({ name, value: name }))
+    );
+}
+
+function createMainCategoryRow(customId, placeholder, selected) {
+    return new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+            .setCustomId(customId)
+            .setPlaceholder(placeholder)
+            .addOptions(
+                Object.keys(CATEGORIES).map(cat => ({
+                    label: cat,
+                    value: cat,
+                    default: cat === selected
+                }))
+            )
+    );
+}
+
+function createSubCategoryRow(customId, mainCategory, placeholder) {
+    return new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+            .setCustomId(customId)
+            .setPlaceholder(placeholder)
+            .addOptions(
+                CATEGORIES[mainCategory].map(subCat => ({
+                    label: subCat,
+                    value: subCat
+                }))
+            )
+    );
+}
+
+// What a session needs to fetch an attachment later. Discord's attachment links
+// stay valid for about a day, far longer than any session waits for.
+function attachmentInfo(attachment) {
+    return { url: attachment.url, contentType: attachment.contentType, name: attachment.name };
+}
+
+// Reply for a button or menu whose session ran out, or was lost before sessions were stored
+function sessionExpired(kind, rerun) {
+    return {
+        content: `⌛ This expired after ${describeTtl(kind)} without use. Please run ${rerun} again.`,
+        embeds: [],
+        components: []
+    };
+}
+
+function formatCategory(mainCategory, subCategory) {
+    if (!mainCategory) return 'None';
+    return subCategory ? `${mainCategory} > ${subCategory}` : mainCategory;
+}
+
+function createEditPreview(session) {
+    const { before, changes, attachment } = session;
+    const diff = [];
+    
+    for (const field of ['name', 'price', 'link']) {
+        if (changes[field] !== undefined && changes[field] !== before[field]) {
+            diff.push(`**${field}**\n~~${before[field] || 'None'}~~ → ${changes[field]}`);
+        }
+    }
+    const beforeCategory = formatCategory(before.mainCategory, before.subCategory);
+    const afterCategory = formatCategory(session.mainCategory, session.subCategory);
+    if (beforeCategory !== afterCategory) {
+        diff.push(`**category**\n~~${beforeCategory}~~ → ${afterCategory}`);
+    }
+    if (attachment) {
+        diff.push(`**image**\n~~${before.image?.name || 'None'}~~ → ${attachment.name}`);
+    }
+    
+    const embed = new EmbedBuilder()
+        .setTitle(`✏️ Edit "${before.name}"`)
+        .setColor('#f1c40f')
+        .setDescription(diff.length > 0 ? diff.join('\n\n') : 'No changes')
+        .setFooter({ text: `ID: ${before.id}` });
+    
+    const actionRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId('confirm_edit')
+            .setLabel('Confirm')
+            .setStyle(ButtonStyle.Success)
+            .setDisabled(diff.length === 0),
+        new ButtonBuilder()
+            .setCustomId('cancel_edit')
+            .setLabel('Cancel')
+            .setStyle(ButtonStyle.Danger)
+    );
+    
+    return { content: '', embeds: [embed], components: [actionRow] };
+}
+
+// Shows the current values with the category menus and opens an edit session
+// on the reply; /edit and the Edit button on /list both start here
+async function startEditSession(interaction, product, changes, attachment = null) {
+    const currentEmbed = new EmbedBuilder()
+        .setTitle(`✏️ Editing "${product.name}"`)
+        .setColor('#3498db')
+        .addFields(
+            { name: 'Name', value: product.name || 'None' },
+            { name: 'Price', value: product.price || 'None', inline: true },
+            { name: 'Category', value: formatCategory(product.mainCategory, product.subCategory), inline: true },
+            { name: 'Link', value: product.link || 'None' }
+        )
+        .setFooter({ text: `ID: ${product.id}` });
+    
+    const keepRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId('edit_keep_category')
+            .setLabel('Keep category')
+            .setStyle(ButtonStyle.Primary),
+        new ButtonBuilder()
+            .setCustomId('cancel_edit')
+            .setLabel('Cancel')
+            .setStyle(ButtonStyle.Danger)
+    );
+    
+    const message = await interaction.editReply({
+        content: 'Pick a new category, or keep the current one to preview your changes:',
+        embeds: [currentEmbed],
+        components: [
+            createMainCategoryRow('edit_main_category', 'Select main category', product.mainCategory),
+            keepRow
         ]
-    },
-        new SlashCommandBuilder()
-            .setName('help')
-            .setDescription('Show all available commands')
-            .toJSON()
-    ];
+    });
+    
+    await sessions.start('edit', message.id, {
+        before: product,
+        changes,
+        attachment: attachment && attachmentInfo(attachment),
+        mainCategory: product.mainCategory,
+        subCategory: product.subCategory
+    });
+}
+
+// Discord allows five rows of components: one per product plus the page buttons
+const LIST_PAGE_SIZE = 4;
+
+function isValidUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
+
+function createProductEmbed(product) {
+    const embed = new EmbedBuilder()
+        .setTitle(product.name || 'Unnamed product')
+        .setColor('#3498db')
+        .addFields(
+            { name: 'Price', value: product.price || 'None', inline: true },
+            { name: 'Category', value: formatCategory(product.mainCategory, product.subCategory), inline: true },
+            { name: 'Link', value: product.link || 'None' }
+        )
+        .setFooter({ text: `ID: ${product.id}` });
+    
+    if (product.live) {
+        const stock = product.live.inStock === null ? 'Unknown' : product.live.inStock ? '🟢 In stock' : '🔴 Sold out';
+        embed.addFields({
+            name: 'Live',
+            value: `${product.live.price} · ${stock} · checked <t:${Math.floor(new Date(product.live.checkedAt).getTime() / 1000)}:R>`
+        });
+    }
+    if (isValidUrl(product.link)) embed.setURL(product.link);
+    // Thumbnails are served by the catalog API, so they need its public address
+    if (product.image?.id && process.env.PUBLIC_SITE_URL) {
+        embed.setThumbnail(`${process.env.PUBLIC_SITE_URL.replace(/\/$/, '')}/api/images/${product.image.id}?size=thumb`);
+    }
+    return embed;
+}
+
+// Fetches the session's current page and builds the reply for it. Cursors for
+// pages already visited are kept so Previous doesn't have to re-query from the start.
+async function renderCatalogPage(session) {
+    const fetchPage = () => catalog.products.list({
+        ...session.params,
+        limit: LIST_PAGE_SIZE,
+        cursor: session.cursors[session.page]
+    });
+    
+    let result;
+    try {
+        result = await fetchPage();
+    } catch (error) {
+        // The product a cursor points at was removed; start over from the first page
+        if (error.status !== 400) throw error;
+        session.page = 0;
+        session.cursors = [null];
+        result = await fetchPage();
+    }
+    const { products, nextCursor } = result;
+    session.cursors[session.page + 1] = nextCursor;
+    
+    if (products.length === 0) {
+        return {
+            content: session.page === 0 ? `No products found for ${session.title}.` : 'No more products.',
+            embeds: [],
+            components: []
+        };
+    }
+    
+    const components = session.canManage
+        ? products.map(product => new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`list_edit:${product.id}`)
+                .setLabel(`Edit ${product.name}`.slice(0, 80))
+                .setStyle(ButtonStyle.Primary),
+            new ButtonBuilder()
+                .setCustomId(`list_remove:${product.id}`)
+                .setLabel('Remove')
+                .setStyle(ButtonStyle.Danger)
+        ))
+        : [];
+    
+    components.push(createPageRow(session, nextCursor));
+    
+    return {
+        content: `📦 Products for ${session.title}`,
+        embeds: products.map(createProductEmbed),
+        components
+    };
+}
+
+// Previous/Next buttons shared by every paged reply. Each carries the page it goes
+// to and that page's cursor, so a button works whatever page the message shows now;
+// the 'list' session only holds the query and the cursors seen so far.
+function createPageRow(session, nextCursor) {
+    const { page, cursors } = session;
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`list_prev:${page - 1}:${cursors[page - 1] || ''}`)
+            .setLabel('◀ Previous')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(page === 0),
+        new ButtonBuilder()
+            .setCustomId('list_page')
+            .setLabel(`Page ${page + 1}`)
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(true),
+        new ButtonBuilder()
+            .setCustomId(`list_next:${page + 1}:${nextCursor || ''}`)
+            .setLabel('Next ▶')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(!nextCursor)
+    );
+}
+
+function formatAuditEntry(entry) {
+    const time = Math.floor(new Date(entry.created_at).getTime() / 1000);
+    const actor = entry.actorType === 'discord'
+        ? `<@${entry.actorId}>`
+        : `${entry.actorType} \`${entry.actorLabel || entry.actorId}\``;
+    const name = entry.after?.name || entry.before?.name;
+    const target = `${entry.targetType} \`${entry.targetId}\`${name ? ` (${name})` : ''}`;
+    const fields = entry.action.endsWith('.update') ? changedFields(entry.before, entry.after) : [];
+    return `<t:${time}:f> **${entry.action}** ${target} by ${actor}${fields.length > 0 ? `\n└ changed ${fields.join(', ')}` : ''}`;
+}
+
+async function renderAuditPage(session) {
+    let result;
+    try {
+        result = await listAudit(catalog, { ...session.params, limit: AUDIT_PAGE_SIZE, cursor: session.cursors[session.page] });
+    } catch (error) {
+        if (error.status !== 400) throw error;
+        session.page = 0;
+        session.cursors = [null];
+        result = await listAudit(catalog, { ...session.params, limit: AUDIT_PAGE_SIZE });
+    }
+    const { entries, nextCursor } = result;
+    session.cursors[session.page + 1] = nextCursor;
+    
+    if (entries.length === 0) {
+        return { content: session.page === 0 ? 'No audit entries found.' : 'No more entries.', embeds: [], components: [] };
+    }
+    
+    // Mentions don't render in embed titles, so the filter goes in the message text
+    const embed = new EmbedBuilder()
+        .setTitle('📝 Audit log')
+        .setColor('#95a5a6')
+        .setDescription(entries.map(formatAuditEntry).join('\n').slice(0, 4096));
+    return {
+        content: session.title ? `Filtered by ${session.title}` : '',
+        embeds: [embed],
+        components: [createPageRow(session, nextCursor)]
+    };
+}
+
+// Paged replies by the view their 'list' session names
+const LIST_VIEWS = {
+    catalog: renderCatalogPage,
+    audit: renderAuditPage
+};
+
+function createEditModal(product) {
+    const field = (id, label, value, required) => new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+            .setCustomId(id)
+            .setLabel(label)
+            .setStyle(TextInputStyle.Short)
+            .setRequired(required)
+            .setValue(value || '')
+    );
+    
+    return new ModalBuilder()
+        .setCustomId(`list_edit_modal:${product.id}`)
+        .setTitle(`Edit ${product.name}`.slice(0, 45))
+        .addComponents(
+            field('name', 'Name', product.name, true),
+            field('price', 'Price, e.g. $12.50 or 12.50 EUR', product.price, true),
+            field('link', 'Link', product.link, true)
+        );
+}
     
     const rest = new REST({ version: '9' }).setToken(process.env.DISCORD_BOT_TOKEN);
     
-    async function addProduct(attachment, name, price, link, mainCategory = '', subCategory = '') {
+    // Attachments and /import-url pages come from anywhere, so every fetch gets a deadline and a size cap
+    const IMPORT_PAGE_TIMEOUT = 90 * 1000;
+    const IMPORT_IMAGE_TIMEOUT = 30 * 1000;
+    const MAX_PAGE_SIZE = 5 * 1024 * 1024;
+    
+    async function addProduct(actor, attachment, name, price, link, mainCategory = '', subCategory = '') {
         try {
-            const response = await fetch(attachment.url);
+            const response = await fetchLimited(attachment.url, { timeout: IMPORT_IMAGE_TIMEOUT, maxBytes: MAX_IMAGE_SIZE });
             if (!response.ok) throw new Error(`Failed to download image: ${response.statusText}`);
             const buffer = await response.buffer();
-            const base64Image = buffer.toString('base64');
-            const imageData = {
-                data: base64Image,
-                contentType: attachment.contentType,
-                name: attachment.name
-            };
-            const docRef = await db.collection('products').add({
+            const imageData = await saveImage(buffer, { name: attachment.name });
+            const product = await catalog.products.add({
                 image: imageData,
                 name,
-                price,
+                ...price,
                 link,
                 mainCategory,  // Added category fields
-                subCategory,   // Added category fields
-                created_at: admin.firestore.FieldValue.serverTimestamp()
+                subCategory    // Added category fields
             });
-            return docRef.id;
+            await recordAudit(catalog, { actor, action: 'product.add', targetType: 'product', targetId: product.id, after: product });
+            return product.id;
         } catch (error) {
             console.error('Image processing error:', error);
             throw new Error('Failed to add product');
         }
     }
-    async function removeProduct(id) {
+    // Removed products go to the trash, so /trash restore or the Undo button can bring them back
+    async function removeProduct(id, actor) {
         try {
-            await db.collection('products').doc(id).delete();
-            return true;
+            const removed = await catalog.products.remove(id, trashOptions(actor));
+            if (removed) {
+                await recordAudit(catalog, { actor, action: 'product.remove', targetType: 'product', targetId: id, before: removed });
+            }
+            return !!removed;
         } catch (error) {
-            console.error('Firestore error:', error);
+            console.error('Catalog error:', error);
             throw new Error('Failed to remove product');
         }
     }
+
+    async function restoreProducts(ids, actor) {
+        const restored = await catalog.products.restoreMany(ids);
+        await recordAudit(catalog, restored.map(product => ({
+            actor,
+            action: 'product.restore',
+            targetType: 'product',
+            targetId: product.id,
+            after: product
+        })));
+        return restored;
+    }
     
-async function bulkAddProducts(products) {
-    try {
-        const batch = db.batch();
-        const addedIds = [];
+// Saves images and products a chunk at a time so a large import never builds one
+// oversized write and memory only ever holds one chunk of image data
+const BULK_CHUNK_SIZE = 100;
+// Largest file a bot can attach in a server without boosts
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+// A /bulk-add or /restore ZIP is held in memory while it is read
+const MAX_ZIP_SIZE = 100 * 1024 * 1024;
+
+async function bulkAddProducts(zipBuffer, products, actor, onProgress = () => {}) {
+    const zip = new AdmZip(zipBuffer);
+    const addedIds = [];
+    const failed = [];
+    
+    for (let i = 0; i < products.length; i += BULK_CHUNK_SIZE) {
+        const productsToAdd = [];
         
-        for (const product of products) {
-            const docRef = db.collection('products').doc();
-            
-            // Create clean document data
-            const docData = {
-                name: product.name,
-                price: product.price,
-                link: product.link,
-                mainCategory: product.mainCategory,
-                image: product.image,
-                created_at: admin.firestore.FieldValue.serverTimestamp()
-            };
-            
-            // Only add subCategory if it exists
-            if (product.subCategory) {
-                docData.subCategory = product.subCategory;
+        for (const product of products.slice(i, i + BULK_CHUNK_SIZE)) {
+            try {
+                const entry = zip.getEntry(product.imageEntry);
+                const image = await saveImage(entry.getData(), { name: product.image });
+                
+                // Create clean product data
+                const productData = {
+                    name: product.name,
+                    price: product.price,
+                    priceAmount: product.priceAmount,
+                    priceCurrency: product.priceCurrency,
+                    link: product.link,
+                    mainCategory: product.mainCategory,
+                    image
+                };
+                
+                // Only add subCategory if it exists
+                if (product.subCategory) {
+                    productData.subCategory = product.subCategory;
+                }
+                if (product.monitorUrl) {
+                    productData.monitorUrl = normalizeMonitorUrl(product.monitorUrl);
+                }
+                
+                productsToAdd.push(productData);
+            } catch (error) {
+                failed.push({ row: product.row, name: product.name, error: error.message });
             }
-            
-            batch.set(docRef, docData);
-            addedIds.push(docRef.id);
         }
         
-        await batch.commit();
-        return addedIds;
-    } catch (error) {
-        console.error('Firestore error:', error);
-        throw new Error('Failed to add products in bulk');
+        try {
+            const added = await catalog.products.addMany(productsToAdd);
+            addedIds.push(...added.map(product => product.id));
+            await recordAudit(catalog, added.map(product => ({
+                actor,
+                action: 'product.add',
+                targetType: 'product',
+                targetId: product.id,
+                after: product
+            })));
+        } catch (error) {
+            console.error('Catalog error:', error);
+            await Promise.all(productsToAdd.map(product => deleteImage(product.image)));
+            error.addedIds = addedIds;
+            throw error;
+        }
+        await onProgress(Math.min(i + BULK_CHUNK_SIZE, products.length), products.length);
     }
+    
+    return { addedIds, failed };
 }
+
+// Carries out a plan from planRestore(): categories first so products never point
+// at a missing one, then adds and updates, and only then the replaced products go to the trash
+async function applyRestore(zipBuffer, plan, actor, onProgress = () => {}) {
+    for (const { name, subCategories } of plan.newCategories) {
+        const existing = await catalog.categories.get(name);
+        if (existing) {
+            await catalog.categories.put({ ...existing, subCategories: [...existing.subCategories, ...subCategories] });
+        } else {
+            const position = (await catalog.categories.list()).reduce((max, category) => Math.max(max, category.position + 1), 0);
+            await catalog.categories.put({ name, subCategories, position });
+        }
+    }
+    if (plan.newCategories.length > 0) await refreshCategories();
     
-client.on('interactionCreate', async interaction => {
-    if (!interaction.isCommand()) return;
-    const { commandName, options, member } = interaction;
-    
-    // Handle help command separately
-    if (commandName === "help") {
-        const helpEmbed = new EmbedBuilder()
-            .setTitle('🔥 Firebase Bot Commands')
-            .setDescription('Manage your product catalog')
-            .setColor('#3498db')
-            .addFields(
-                { name: '/add', value: 'Add a new product with image, name, price and link' },
-                { name: '/remove [id]', value: 'Remove a product by ID' },
-                { name: '/bulk-add', value: 'Add multiple products at once (up to 5)' }
-            );
-        
-    return interaction.reply({ embeds: [helpEmbed], flags: 64 });
+    const total = plan.toAdd.length + plan.toUpdate.length;
+    const { addedIds, failed } = await bulkAddProducts(zipBuffer, plan.toAdd, actor, done => onProgress(done, total));
+    
+    const zip = new AdmZip(zipBuffer);
+    let updated = 0;
+    for (const product of plan.toUpdate) {
+        try {
+            const before = await catalog.products.get(product.existingId);
+            if (!before) throw new Error('product was removed since the dry run');
+            const image = await saveImage(zip.getEntry(product.imageEntry).getData(), { name: product.image });
+            const after = await catalog.products.update(product.existingId, {
+                name: product.name,
+                price: product.price,
+                priceAmount: product.priceAmount,
+                priceCurrency: product.priceCurrency,
+                mainCategory: product.mainCategory,
+                subCategory: product.subCategory || null,
+                monitorUrl: product.monitorUrl ? normalizeMonitorUrl(product.monitorUrl) : before.monitorUrl,
+                image
+            });
+            await deleteImage(before.image);
+            await recordAudit(catalog, { actor, action: 'product.update', targetType: 'product', targetId: after.id, before, after });
+            updated++;
+        } catch (error) {
+            failed.push({ row: product.row, name: product.name, error: error.message });
+        }
+        if (updated > 0 && updated % BULK_CHUNK_SIZE === 0) await onProgress(addedIds.length + updated, total);
     }
     
-    // Admin-only commands below
-if (!member.roles.cache.has(process.env.ADMIN_ROLE_ID)) {
-    return interaction.reply({ 
-        content: '⛔ You need admin privileges to use this command', 
-        flags: 64
-    });
+    let trashed = [];
+    if (plan.toTrash.length > 0) {
+        trashed = await catalog.products.removeMany(plan.toTrash, trashOptions(actor));
+        await recordAudit(catalog, trashed.map(product => ({
+            actor,
+            action: 'product.remove',
+            targetType: 'product',
+            targetId: product.id,
+            before: product
+        })));
+    }
+    
+    return { addedIds, updated, trashed: trashed.length, failed };
 }
 
-// Only defer if not already deferred/replied
-if (!interaction.deferred && !interaction.replied) {
-    try {
-        await interaction.deferReply({ flags: 64 });
-    } catch (error) {
-        // Handle specific Discord API errors
-        if (error.code === 10062 || error.code === 'InteractionAlreadyReplied') {
-            console.log('Skipping already handled interaction');
-            return;
+function createBulkConfirmRow() {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId('confirm_bulk_add')
+            .setLabel('Confirm')
+            .setStyle(ButtonStyle.Success),
+        new ButtonBuilder()
+            .setCustomId('cancel_bulk_add')
+            .setLabel('Cancel')
+            .setStyle(ButtonStyle.Danger)
+    );
+}
+
+    // The Edit and Remove buttons only show for members allowed to use them
+    async function browseCatalog(interaction, { options }) {
+        try {
+            const canManage = await permissions.allows(interaction, 'edit') || await permissions.allows(interaction, 'remove');
+            const session = { view: 'catalog', cursors: [null], page: 0, canManage };
+            if (interaction.commandName === 'list') {
+                const mainCategory = options.getString('category');
+                const subCategory = options.getString('subcategory');
+                session.params = { mainCategory, subCategory };
+                session.title = mainCategory || subCategory
+                    ? `**${formatCategory(mainCategory || 'any category', subCategory)}**`
+                    : 'all categories';
+            } else {
+                const text = options.getString('text');
+                const terms = tokenize(text).map(term => term.slice(0, MAX_PREFIX_LENGTH));
+                if (terms.length === 0) {
+                    return interaction.editReply('❌ Please enter at least one word to search for');
+                }
+                session.params = { terms };
+                session.title = `"${text}"`;
+            }
+            
+            const message = await interaction.editReply(await renderCatalogPage(session));
+            await sessions.start('list', message.id, session);
+        } catch (error) {
+            console.error('List error:', error);
+            await interaction.editReply(`❌ Error: ${error.message}`);
         }
-        throw error;
     }
-} else {
-    console.log('Skipping defer: Interaction already handled');
-}
-    try {
-        switch (commandName) {
-            case 'add': {
-                const attachment = options.getAttachment('attachment');
-                const name = options.getString('name');
-                const price = options.getString('price');
-                const link = options.getString('link');
-                
-                // Validate attachment
-                if (!attachment || !attachment.contentType || !attachment.contentType.startsWith('image/')) {
-                    await interaction.editReply('❌ Please attach a valid image file');
+    
+    // Attachment checks shared by the commands that take files
+    function validateImage(attachment) {
+        if (!attachment.contentType || !attachment.contentType.startsWith('image/')) return 'Please attach a valid image file';
+        if (attachment.size > MAX_IMAGE_SIZE) return `Image too large (max ${MAX_IMAGE_SIZE / 1024 / 1024}MB)`;
+        return null;
+    }
+    
+    function validateZip(attachment) {
+        return /\.zip$/i.test(attachment.name || '') ? null : 'Please attach a valid ZIP file';
+    }
+    
+    function downloadZip(url) {
+        return downloadAttachment(url, { timeout: ATTACHMENT_TIMEOUT, maxBytes: MAX_ZIP_SIZE, label: 'ZIP' });
+    }
+    
+    registry.define({
+        name: 'add',
+        description: 'Add a new product',
+        help: 'Add a new product with image, name, price and link',
+        options: [
+            { name: 'attachment', type: 'attachment', description: 'Image attachment', required: true, validate: validateImage },
+            { name: 'name', type: 'string', description: 'Product name', required: true },
+            { name: 'price', type: 'string', description: 'Product price, e.g. $12.50 or 12.50 EUR', required: true },
+            { name: 'link', type: 'string', description: 'Product link', required: true }
+        ],
+        handler: async (interaction, { options }) => {
+            const attachment = options.getAttachment('attachment');
+            const name = options.getString('name');
+            const link = options.getString('link');
+            
+            let price;
+            try {
+                price = normalizePrice(options.getString('price'));
+            } catch (error) {
+                await interaction.editReply(`❌ ${error.message}`);
+                return;
+            }
+            
+            // Create category selection menu
+            const mainCategoryRow = createMainCategoryRow('main_category', 'Select main category');
+            
+            // Send the category selection message
+            const message = await interaction.editReply({
+                content: '✅ Product details received! Please select a category:',
+                components: [mainCategoryRow]
+            });
+            
+            // The category menus pick up from here, keyed by the message they're on
+            await sessions.start('add', message.id, {
+                attachment: attachmentInfo(attachment),
+                name,
+                price,
+                link
+            });
+        }
+    });
+    
+    registry.define({
+        name: 'remove',
+        description: 'Remove a product',
+        help: 'Move a product to the trash',
+        options: [
+            { name: 'id', type: 'string', description: 'Product ID', required: true }
+        ],
+        handler: async (interaction, { options }) => {
+            const id = options.getString('id');
+            const removed = await removeProduct(id, discordActor(interaction.user));
+            if (!removed) {
+                await interaction.editReply(`❌ Product \`${id}\` not found`);
+                return;
+            }
+            await interaction.editReply({
+                content: `🗑️ Moved product \`${id}\` to the trash. It will be purged in ${retentionDays()} days.`,
+                components: createUndoRow(undoCustomId('undo_remove', [id]))
+            });
+        }
+    });
+    
+    registry.define({
+        name: 'export',
+        description: 'Download the whole catalog as a ZIP of products and images',
+        help: 'Download every product and image as a ZIP',
+        handler: async interaction => {
+            const { buffer, count, missingImages } = await exportCatalog(catalog);
+            const note = missingImages.length > 0 ? `\n⚠️ ${missingImages.length} products have no image file` : '';
+            if (buffer.length > MAX_ATTACHMENT_SIZE) {
+                await interaction.editReply(
+                    `❌ The export is ${(buffer.length / 1024 / 1024).toFixed(1)}MB, too big for Discord. Download it from \`GET /api/export\` instead.`
+                );
+                return;
+            }
+            await interaction.editReply({
+                content: `📦 Exported ${count} products${note}`,
+                files: [new AttachmentBuilder(buffer, { name: `catalog-${new Date().toISOString().slice(0, 10)}.zip` })]
+            });
+        }
+    });
+    
+    registry.define({
+        name: 'restore',
+        description: 'Import a ZIP made by /export, after a dry run',
+        help: 'Import an export ZIP, merging by link or replacing the catalog, after a dry run',
+        options: [
+            { name: 'zipfile', type: 'attachment', description: 'ZIP made by /export or GET /api/export', required: true, validate: validateZip },
+            {
+                name: 'mode',
+                type: 'string',
+                description: 'merge updates products with the same link; replace trashes everything not in the ZIP',
+                choices: RESTORE_MODES
+            }
+        ],
+        handler: async (interaction, { options }) => {
+            const zipAttachment = options.getAttachment('zipfile');
+            const zipBuffer = await downloadZip(zipAttachment.url);
+            const plan = await planRestore(catalog, zipBuffer, { mode: options.getString('mode') || 'merge' });
+            const summary = formatRestoreSummary(plan);
+            const changes = plan.toAdd.length + plan.toUpdate.length + plan.toTrash.length;
+            
+            // Nothing has changed yet: this is the dry run, and Confirm carries it out
+            const message = await interaction.editReply({
+                content: `🧪 **Restore dry run**\n\`\`\`\n${summary.split('\n').slice(0, 8).join('\n')}\n\`\`\`` +
+                    (changes > 0 ? '\nConfirm to apply these changes?' : '\nNothing to restore.'),
+                files: [new AttachmentBuilder(Buffer.from(summary), { name: 'restore-dry-run.txt' })],
+                components: changes > 0 ? [new ActionRowBuilder().addComponents(
+                    new ButtonBuilder()
+                        .setCustomId('confirm_restore')
+                        .setLabel(plan.mode === 'replace' ? 'Replace catalog' : 'Merge')
+                        .setStyle(plan.mode === 'replace' ? ButtonStyle.Danger : ButtonStyle.Success),
+                    new ButtonBuilder()
+                        .setCustomId('cancel_restore')
+                        .setLabel('Cancel')
+                        .setStyle(ButtonStyle.Secondary)
+                )] : []
+            });
+            
+            // The plan for a big catalog won't fit in a session document, so Confirm
+            // downloads the ZIP again and plans it afresh
+            if (changes > 0) {
+                await sessions.start('restore', message.id, {
+                    zipUrl: zipAttachment.url,
+                    mode: plan.mode
+                });
+            }
+        }
+    });
+    
+    registry.define({
+        name: 'trash',
+        description: 'Manage removed products',
+        help: () => `Manage removed products; they are purged after ${retentionDays()} days`,
+        subcommands: [
+            { name: 'list', description: 'Show products in the trash' },
+            {
+                name: 'restore',
+                description: 'Put a removed product back in the catalog',
+                options: [
+                    { name: 'id', type: 'string', description: 'Product ID', required: true }
+                ]
+            },
+            {
+                name: 'purge',
+                description: 'Delete products from the trash for good',
+                options: [
+                    { name: 'id', type: 'string', description: 'Product ID' },
+                    { name: 'all', type: 'boolean', description: 'Empty the whole trash' }
+                ]
+            }
+        ],
+        handler: async (interaction, { options, subcommand }) => {
+            const id = options.getString('id');
+            const actor = discordActor(interaction.user);
+            
+            if (subcommand === 'list') {
+                await purgeExpiredProducts(catalog);
+                const trashed = await catalog.products.listTrash();
+                const lines = trashed.slice(0, 20).map(product =>
+                    formatTrashEntry(product.id, product.name, product.deletedBy, product.deleted_at, product.expires_at)
+                );
+                if (trashed.length > lines.length) lines.push(`…and ${trashed.length - lines.length} more`);
+                await interaction.editReply(`🗑️ **Trash** (${trashed.length})\n${lines.join('\n') || 'Empty.'}`);
+            } else if (subcommand === 'restore') {
+                const [restored] = await restoreProducts([id], actor);
+                await interaction.editReply(restored
+                    ? `↩️ Restored "${restored.name}" (\`${id}\`)`
+                    : `❌ Product \`${id}\` is not in the trash`);
+            } else if (subcommand === 'purge') {
+                if (!id && !options.getBoolean('all')) {
+                    await interaction.editReply('❌ Give a product `id`, or set `all` to empty the whole trash');
                     return;
                 }
-                if (attachment.size > 1024 * 1024) {
-                    await interaction.editReply('❌ Image too large (max 1MB)');
+                const ids = id ? [id] : (await catalog.products.listTrash()).map(product => product.id);
+                const purged = await purgeProducts(catalog, { ids });
+                await recordAudit(catalog, purged.map(product => ({
+                    actor,
+                    action: 'product.purge',
+                    targetType: 'product',
+                    targetId: product.id,
+                    before: product
+                })));
+                await interaction.editReply(id && purged.length === 0
+                    ? `❌ Product \`${id}\` is not in the trash`
+                    : `🔥 Deleted ${purged.length} product(s) for good`);
+            }
+        }
+    });
+    
+    registry.define({
+        name: 'bulk-add',
+        description: 'Add products from a ZIP with a products.csv or products.json manifest',
+        help: 'Add products from a ZIP with images and a products.csv or products.json manifest',
+        options: [
+            { name: 'zipfile', type: 'attachment', description: 'ZIP with the manifest and product images', required: true, validate: validateZip }
+        ],
+        handler: async (interaction, { options }) => {
+            const zipAttachment = options.getAttachment('zipfile');
+
+            try {
+                const zipBuffer = await downloadZip(zipAttachment.url);
+                const { manifest, rows, images } = readBulkZip(zipBuffer);
+                
+                if (!manifest) {
+                    await interaction.editReply(
+                        '❌ The ZIP needs a `products.csv` or `products.json` manifest with one row per product: ' +
+                        '`name`, `price`, `link`, `image` (filename in the ZIP), and optionally `mainCategory` and `subCategory`'
+                    );
                     return;
                 }
                 
-                // Create category selection menu
-                const mainCategoryRow = new ActionRowBuilder().addComponents(
-                    new StringSelectMenuBuilder()
-                        .setCustomId('main_category')
-                        .setPlaceholder('Select main category')
-                        .addOptions(
-                            Object.keys(CATEGORIES).map(cat => ({
-                                label: cat,
-                                value: cat
-                            }))
-                        )
+                const { valid, invalid } = validateRows(rows, { images, categories: CATEGORIES });
+                const report = formatReport({ manifest, valid, invalid });
+                
+                // The full report goes in a file; the message shows the first few problems
+                const files = invalid.length > 0
+                    ? [new AttachmentBuilder(Buffer.from(report), { name: 'bulk-add-report.txt' })]
+                    : [];
+                const problemLines = invalid.slice(0, 10).map(({ row, name, problems }) =>
+                    `• Row ${row}${name ? ` (${name})` : ''}: ${problems.join('; ')}`.slice(0, 150)
                 );
+                if (invalid.length > problemLines.length) {
+                    problemLines.push(`…and ${invalid.length - problemLines.length} more in the attached report`);
+                }
+                const summary = [
+                    `📋 **${manifest}**: ${valid.length} of ${rows.length} products ready`,
+                    invalid.length > 0 ? `⚠️ ${invalid.length} rows will be skipped:\n${problemLines.join('\n')}` : '✅ No problems found'
+                ].join('\n');
                 
-                // Send the category selection message
+                if (valid.length === 0) {
+                    await interaction.editReply({ content: `${summary}\n\n❌ Nothing to add`, files });
+                    return;
+                }
+                
+                // Rows that name their own category keep it; the rest take the one picked here
+                const uncategorized = valid.filter(product => !product.mainCategory).length;
                 const message = await interaction.editReply({
-                    content: '✅ Product details received! Please select a category:',
-                    components: [mainCategoryRow]
+                    content: uncategorized > 0
+                        ? `${summary}\n\nSelect a category for the ${uncategorized} products without one:`
+                        : `${summary}\n\nConfirm adding ${valid.length} products?`,
+                    files,
+                    components: [
+                        uncategorized > 0
+                            ? createMainCategoryRow('bulk_main_category', 'Select category for products without one')
+                            : createBulkConfirmRow()
+                    ]
                 });
-                
-                // Store product data in cache using message ID
-                productDataCache.set(message.id, { 
-                    attachment, 
-                    name, 
-                    price, 
-                    link 
+
+                // Only the counts are kept: Confirm reads and validates the ZIP again, since
+                // the rows themselves could outgrow a session document
+                await sessions.start('bulk', message.id, {
+                    zipUrl: zipAttachment.url,
+                    count: valid.length
                 });
-                break;
+
+            } catch (zipError) {
+                console.error('ZIP processing error:', zipError);
+                await interaction.editReply(`❌ Failed to process ZIP file: ${zipError.message}`);
+            }
+        }
+    });
+    
+    registry.define({
+        name: 'edit',
+        description: 'Edit an existing product',
+        help: 'Change a product\'s name, price, link, image or category',
+        options: [
+            { name: 'id', type: 'string', description: 'Product ID', required: true },
+            { name: 'name', type: 'string', description: 'New product name' },
+            { name: 'price', type: 'string', description: 'New product price, e.g. $12.50 or 12.50 EUR' },
+            { name: 'link', type: 'string', description: 'New product link' },
+            { name: 'attachment', type: 'attachment', description: 'New image attachment', validate: validateImage }
+        ],
+        handler: async (interaction, { options }) => {
+            const id = options.getString('id');
+            const attachment = options.getAttachment('attachment');
+            const changes = {};
+            for (const field of ['name', 'price', 'link']) {
+                const value = options.getString(field);
+                if (value !== null && value.trim()) changes[field] = value.trim();
+            }
+            if (changes.price) {
+                try {
+                    Object.assign(changes, normalizePrice(changes.price));
+                } catch (error) {
+                    await interaction.editReply(`❌ ${error.message}`);
+                    return;
+                }
+            }
+            
+            const product = await catalog.products.get(id);
+            if (!product) {
+                await interaction.editReply(`❌ Product \`${id}\` not found`);
+                return;
+            }
+            
+            await startEditSession(interaction, product, changes, attachment);
+        }
+    });
+    
+    registry.define({
+        name: 'apikey',
+        description: 'Manage catalog API keys',
+        help: 'Manage API keys for the catalog API',
+        subcommands: [
+            {
+                name: 'create',
+                description: 'Issue a new API key',
+                options: [
+                    { name: 'label', type: 'string', description: 'What the key is for', required: true }
+                ]
+            },
+            { name: 'list', description: 'List issued API keys' },
+            {
+                name: 'revoke',
+                description: 'Revoke an API key',
+                options: [
+                    { name: 'id', type: 'string', description: 'API key ID', required: true }
+                ]
+            }
+        ],
+        handler: async (interaction, { options, subcommand }) => {
+            if (subcommand === 'create') {
+                const label = options.getString('label');
+                const { id, key } = await createApiKey(catalog, { label, createdBy: interaction.user.id });
+                await recordAudit(catalog, { actor: discordActor(interaction.user), action: 'apiKey.create', targetType: 'apiKey', targetId: id, after: { label } });
+                await interaction.editReply(
+                    `🔑 API key **${label}** created (ID: \`${id}\`)\n` +
+                    `\`${key}\`\n` +
+                    `Copy it now - it won't be shown again. Send it as \`X-API-Key\` or \`Authorization: Bearer\`.`
+                );
+            } else if (subcommand === 'list') {
+                const keys = await listApiKeys(catalog);
+                if (keys.length === 0) {
+                    await interaction.editReply('No API keys issued yet.');
+                    return;
+                }
+                const lines = keys.map(k =>
+                    `${k.revoked_at ? '🔴' : '🟢'} \`${k.id}\` **${k.label}** (${k.prefix}…) by <@${k.created_by}>`
+                );
+                await interaction.editReply(`🔑 **API keys (${keys.length})**\n${lines.join('\n')}`);
+            } else if (subcommand === 'revoke') {
+                const id = options.getString('id');
+                const revoked = await revokeApiKey(catalog, id);
+                if (revoked) {
+                    await recordAudit(catalog, { actor: discordActor(interaction.user), action: 'apiKey.revoke', targetType: 'apiKey', targetId: id });
+                }
+                await interaction.editReply(revoked ? `✅ Revoked API key \`${id}\`` : `❌ API key \`${id}\` not found`);
+            }
+        }
+    });
+    
+    registry.define({
+        name: 'link',
+        description: 'Show live price and stock from a monitored URL on a product',
+        help: 'Link a product to a URL the scraper watches to show its live price and stock',
+        options: [
+            { name: 'id', type: 'string', description: 'Product ID', required: true },
+            { name: 'url', type: 'string', description: 'URL on the scraper watchlist', required: true }
+        ],
+        handler: async (interaction, { options }) => {
+            const id = options.getString('id');
+            let monitorUrl;
+            try {
+                monitorUrl = normalizeMonitorUrl(options.getString('url'));
+            } catch (error) {
+                await interaction.editReply('❌ Please give a full http(s) URL');
+                return;
+            }
+            
+            const before = await catalog.products.get(id);
+            const updated = before && await catalog.products.update(id, { monitorUrl });
+            if (!updated) {
+                await interaction.editReply(`❌ Product \`${id}\` not found`);
+                return;
+            }
+            await recordAudit(catalog, { actor: discordActor(interaction.user), action: 'product.link', targetType: 'product', targetId: id, before, after: updated });
+            await interaction.editReply(
+                `✅ Linked "${updated.name}" to ${monitorUrl}\n` +
+                'Live price and stock show up after the next scrape, as long as the URL is on the scraper watchlist (`/addlink`).'
+            );
+        }
+    });
+    
+    registry.define({
+        name: 'unlink',
+        description: 'Stop showing live price and stock on a product',
+        help: 'Unlink a product from its watched URL and clear its live price and stock',
+        options: [
+            { name: 'id', type: 'string', description: 'Product ID', required: true }
+        ],
+        handler: async (interaction, { options }) => {
+            const id = options.getString('id');
+            const before = await catalog.products.get(id);
+            const updated = before && await catalog.products.update(id, { monitorUrl: null, live: null });
+            if (updated) {
+                await recordAudit(catalog, { actor: discordActor(interaction.user), action: 'product.unlink', targetType: 'product', targetId: id, before, after: updated });
+            }
+            await interaction.editReply(updated
+                ? `✅ Unlinked "${updated.name}" from monitoring`
+                : `❌ Product \`${id}\` not found`);
+        }
+    });
+    
+    registry.define({
+        name: 'import-url',
+        description: 'Create a product from a store page',
+        help: 'Create a product from a store page\'s title, price and image',
+        options: [
+            {
+                name: 'url',
+                type: 'string',
+                description: 'Product page URL',
+                required: true,
+                validate: url => (isValidUrl(url) ? null : 'Please give a full http(s) product URL')
+            },
+            { name: 'name', type: 'string', description: 'Use this name instead of the page title' },
+            { name: 'price', type: 'string', description: 'Use this price instead of the one on the page' }
+        ],
+        handler: async (interaction, { options }) => {
+            const url = options.getString('url');
+            await interaction.editReply('🔍 Reading the product page...');
+            const signal = AbortSignal.timeout(IMPORT_PAGE_TIMEOUT);
+            let html;
+            try {
+                html = await importScraper.fetchPage(url, { signal, maxBytes: MAX_PAGE_SIZE });
+            } catch (error) {
+                await interaction.editReply(error.type === 'max-size'
+                    ? `❌ That page is too large to read (max ${MAX_PAGE_SIZE / 1024 / 1024}MB)`
+                    : signal.aborted
+                        ? `❌ That page took longer than ${IMPORT_PAGE_TIMEOUT / 1000} seconds to load`
+                        : `❌ Couldn't read that page: ${error.message}`);
+                return;
+            }
+            const details = extractProductDetails(html, url);
+            const name = (options.getString('name') || details.title || '').slice(0, 256);
+            const priceText = options.getString('price') || details.price;
+            
+            const missing = [];
+            if (!name) missing.push('title (set `name`)');
+            if (!priceText) missing.push('price (set `price`)');
+            if (!details.image) missing.push('image');
+            if (missing.length > 0) {
+                await interaction.editReply(`❌ Couldn't find the product's ${missing.join(', ')} on that page`);
+                return;
             }
-
             
-case 'bulk-add': {
-    const zipAttachment = options.getAttachment('zipfile');
-    const names = options.getString('names').split(',').map(n => n.trim());
-    const prices = options.getString('prices').split(',').map(p => p.trim());
-    const links = options.getString('links').split(',').map(l => l.trim());
-
-    // Validate ZIP file
-    if (!zipAttachment || zipAttachment.contentType !== 'application/zip') {
-        await interaction.editReply('❌ Please attach a valid ZIP file');
-        return;
-    }
-
-    // Validate input lengths
-    if (names.length !== prices.length || names.length !== links.length) {
-        await interaction.editReply('❌ Number of names, prices, and links must match');
-        return;
-    }
-
-    if (names.length < 1 || names.length > 10) {
-        await interaction.editReply('❌ You can add 1-10 products at once');
-        return;
-    }
-
-    try {
-        // Download and process ZIP
-        const response = await fetch(zipAttachment.url);
-        const arrayBuffer = await response.arrayBuffer();
-        const buffer = Buffer.from(arrayBuffer);
-        const zip = new AdmZip(buffer);
-        const zipEntries = zip.getEntries();
-        
-        // Filter for image files
-const imageEntries = zipEntries.filter(entry => 
-    !entry.isDirectory && /\.(jpg|jpeg|png|gif|webp|avif)$/i.test(entry.entryName)
-);
-
-        if (imageEntries.length < names.length) {
-            await interaction.editReply(`❌ ZIP contains only ${imageEntries.length} images, but ${names.length} products specified`);
-            return;
+            let price;
+            try {
+                price = normalizePrice(priceText, details.currency || undefined);
+            } catch (error) {
+                await interaction.editReply(`❌ ${error.message}. Set \`price\` to enter it yourself.`);
+                return;
+            }
+            
+            // Check the image now so picking a category can't fail on it later
+            let contentType;
+            try {
+                const imageResponse = await fetchLimited(details.image, { timeout: IMPORT_IMAGE_TIMEOUT, maxBytes: MAX_IMAGE_SIZE });
+                contentType = (imageResponse.headers.get('content-type') || '').split(';')[0];
+                if (!imageResponse.ok || !contentType.startsWith('image/')) throw new Error(imageResponse.statusText);
+                await imageResponse.buffer();
+            } catch (error) {
+                await interaction.editReply(error.type === 'max-size'
+                    ? `❌ Image too large (max ${MAX_IMAGE_SIZE / 1024 / 1024}MB)`
+                    : `❌ Couldn't download the product image from ${details.image}`);
+                return;
+            }
+            
+            const preview = new EmbedBuilder()
+                .setTitle(name)
+                .setURL(url)
+                .setColor('#3498db')
+                .addFields(
+                    { name: 'Price', value: price.price, inline: true },
+                    { name: 'Link', value: url }
+                )
+                .setImage(details.image);
+            
+            const message = await interaction.editReply({
+                content: '✅ Product found! Please select a category to add it:',
+                embeds: [preview],
+                components: [createMainCategoryRow('import_main_category', 'Select main category')]
+            });
+            
+            await sessions.start('add', message.id, {
+                attachment: {
+                    url: details.image,
+                    contentType,
+                    name: new URL(details.image).pathname.split('/').pop() || 'image'
+                },
+                name,
+                price,
+                link: url
+            });
         }
-
-        // Process products
-        const bulkProducts = [];
-        for (let i = 0; i < names.length; i++) {
-            const imageData = imageEntries[i].getData();
-            const filename = imageEntries[i].entryName;
+    });
+    
+    registry.define({
+        name: 'category',
+        description: 'Manage product categories',
+        subcommands: [
+            {
+                name: 'add',
+                description: 'Add a main category, or a subcategory under parent',
+                options: [
+                    { name: 'name', type: 'string', description: 'Category name', required: true },
+                    { name: 'parent', type: 'string', description: 'Main category to add a subcategory to', autocomplete: true }
+                ]
+            },
+            {
+                name: 'remove',
+                description: 'Remove an empty category',
+                options: [
+                    { name: 'name', type: 'string', description: 'Category name', required: true, autocomplete: true },
+                    { name: 'parent', type: 'string', description: 'Main category, when removing a subcategory', autocomplete: true }
+                ]
+            },
+            {
+                name: 'rename',
+                description: 'Rename a category and the products filed under it',
+                options: [
+                    { name: 'name', type: 'string', description: 'Current category name', required: true, autocomplete: true },
+                    { name: 'new_name', type: 'string', description: 'New category name', required: true },
+                    { name: 'parent', type: 'string', description: 'Main category, when renaming a subcategory', autocomplete: true }
+                ]
+            },
+            {
+                name: 'move',
+                description: 'Move a subcategory and its products to another main category',
+                options: [
+                    { name: 'name', type: 'string', description: 'Subcategory name', required: true, autocomplete: true },
+                    { name: 'from', type: 'string', description: 'Current main category', required: true, autocomplete: true },
+                    { name: 'to', type: 'string', description: 'New main category', required: true, autocomplete: true }
+                ]
+            },
+            { name: 'list', description: 'Show the category tree with product counts', level: 'read' }
+        ],
+        autocomplete: autocompleteCategory,
+        handler: async (interaction, { options, subcommand }) => {
+            const name = options.getString('name');
+            const parent = options.getString('parent');
             
-            bulkProducts.push({
-                name: names[i],
-                price: prices[i],
-                link: links[i],
-                image: {
-                    data: imageData.toString('base64'),
-                    contentType: getContentType(filename),
-                    name: filename
-                }
+            if (subcommand === 'list') {
+                const tree = await getCategoryTree(catalog);
+                const lines = tree.map(category => [
+                    `**${category.name}** (${category.count})`,
+                    ...category.subCategories.map(sub => `└ ${sub.name} (${sub.count})`)
+                ].join('\n'));
+                await interaction.editReply(`🗂️ **Categories**\n${lines.join('\n') || 'None yet.'}`);
+                return;
+            }
+            
+            let reply;
+            let details = { name: normalizeCategoryName(name), parent: parent ? normalizeCategoryName(parent) : null };
+            if (subcommand === 'add') {
+                const added = await addCategory(catalog, name, parent);
+                reply = `✅ Added category **${formatCategory(added.mainCategory, added.subCategory)}**`;
+            } else if (subcommand === 'remove') {
+                await removeCategory(catalog, name, parent);
+                const removed = parent
+                    ? formatCategory(normalizeCategoryName(parent), normalizeCategoryName(name))
+                    : normalizeCategoryName(name);
+                reply = `✅ Removed category **${removed}**`;
+            } else if (subcommand === 'rename') {
+                const newName = options.getString('new_name');
+                const updated = await renameCategory(catalog, name, newName, parent);
+                details = { ...details, newName: normalizeCategoryName(newName), productsUpdated: updated };
+                reply = `✅ Renamed **${normalizeCategoryName(name)}** to **${normalizeCategoryName(newName)}** (${updated} products updated)`;
+            } else if (subcommand === 'move') {
+                const to = options.getString('to');
+                const updated = await moveCategory(catalog, name, options.getString('from'), to);
+                details = { ...details, from: normalizeCategoryName(options.getString('from')), to: normalizeCategoryName(to), productsUpdated: updated };
+                reply = `✅ Moved **${normalizeCategoryName(name)}** to **${normalizeCategoryName(to)}** (${updated} products updated)`;
+            }
+            
+            await recordAudit(catalog, {
+                actor: discordActor(interaction.user),
+                action: `category.${subcommand}`,
+                targetType: 'category',
+                targetId: details.parent ? `${details.parent}/${details.name}` : details.name,
+                after: details
             });
+            await refreshCategories();
+            await interaction.editReply(reply);
         }
-
-        // Create preview text
-        const previewText = names.map((name, i) => 
-            `**${i+1}.** ${name} - ${prices[i]} - ${links[i]}`
-        ).join('\n');
-
-        // Category selection
-        const mainCategoryRow = new ActionRowBuilder().addComponents(
-            new StringSelectMenuBuilder()
-                .setCustomId('bulk_main_category')
-                .setPlaceholder('Select main category for ALL products')
-                .addOptions(
-                    Object.keys(CATEGORIES).map(cat => ({
-                        label: cat,
-                        value: cat
-                    }))
-                )
-        );
-
-        const message = await interaction.editReply({
-            content: `**Preview of ${names.length} products**\n${previewText}\n\nSelect category:`,
-            components: [mainCategoryRow]
-        });
-
-        bulkProductCache.set(message.id, {
-            products: bulkProducts,
-            timestamp: Date.now()
-        });
-
-    } catch (zipError) {
-        console.error('ZIP processing error:', zipError);
-        await interaction.editReply('❌ Failed to process ZIP file');
-    }
-    break;
-}
-
+    });
+    
+    registry.define({
+        name: 'list',
+        description: 'Browse products, optionally by category',
+        help: 'Browse products page by page',
+        level: 'read',
+        options: [
+            { name: 'category', type: 'string', description: 'Main category', autocomplete: true },
+            { name: 'subcategory', type: 'string', description: 'Subcategory', autocomplete: true }
+        ],
+        autocomplete: autocompleteCategory,
+        handler: browseCatalog
+    });
+    
+    registry.define({
+        name: 'search',
+        description: 'Search products by name',
+        help: 'Find products by name',
+        level: 'read',
+        options: [
+            { name: 'text', type: 'string', description: 'Words from the product name', required: true }
+        ],
+        handler: browseCatalog
+    });
+    
+    registry.define({
+        name: 'audit',
+        description: 'Show who changed what in the catalog',
+        help: 'Show recent catalog changes, optionally for one user or product',
+        options: [
+            { name: 'user', type: 'user', description: 'Only changes made by this user' },
+            { name: 'product', type: 'string', description: 'Only changes to this product ID' }
+        ],
+        handler: async (interaction, { options }) => {
+            const user = options.getUser('user');
+            const productId = options.getString('product');
+            const session = {
+                view: 'audit',
+                params: {
+                    actorId: user?.id,
+                    targetType: productId ? 'product' : undefined,
+                    targetId: productId || undefined
+                },
+                title: [user && `<@${user.id}>`, productId && `product \`${productId}\``].filter(Boolean).join(', '),
+                cursors: [null],
+                page: 0
+            };
+            const message = await interaction.editReply(await renderAuditPage(session));
+            await sessions.start('list', message.id, session);
         }
+    });
+    
+    registry.define(createPermissionsCommand(
+        () => permissions.targets,
+        async interaction => interaction.editReply(await handlePermissionsCommand(interaction, permissions, catalog))
+    ));
+    
+    // Read actions are open to everyone by default; the rest need ADMIN_ROLE_ID or
+    // Manage Server until /permissions says otherwise
+    const permissions = createPermissions({
+        bot: 'firebase',
+        store: catalog.permissions,
+        adminRoleId: process.env.ADMIN_ROLE_ID,
+        actions: registry.actions(),
+        onDenied: (interaction, action) => recordDenied(catalog, interaction, action)
+    });
+    
+client.on('interactionCreate', async interaction => {
+    if (interaction.isAutocomplete()) {
+        return registry.autocomplete(interaction)
+            .catch(error => console.error('Autocomplete error:', error));
+    }
+    if (!interaction.isChatInputCommand()) return;
+    
+    try {
+        await registry.dispatch(interaction, permissions);
     } catch (error) {
         console.error('Command error:', error);
-        await interaction.editReply(`❌ Error: ${error.message}`);
+        const reply = { content: `❌ Error: ${error.message}`, flags: 64 };
+        await (interaction.deferred || interaction.replied ? interaction.editReply(reply) : interaction.reply(reply));
     }
 });
 
 client.on('interactionCreate', async interaction => {
-    if (!interaction.isStringSelectMenu() && !interaction.isButton()) return;
+    if (!interaction.isStringSelectMenu() && !interaction.isButton() && !interaction.isModalSubmit()) return;
     
     // Skip if already handled
     if (handledInteractions.has(interaction.id)) {
@@ -442,29 +1468,61 @@ client.on('interactionCreate', async interaction => {
     handledInteractions.add(interaction.id);
 
     try {
+        const [action, productId] = interaction.customId.split(':');
+        if (BUTTON_COMMANDS[action] && !(await permissions.check(interaction, BUTTON_COMMANDS[action]))) {
+            return interaction.reply({ content: DENIED_MESSAGE, flags: 64 });
+        }
+        
+        // Modals have to be shown instead of deferring, and their submissions get a fresh reply
+        if (action === 'list_edit') {
+            const product = await catalog.products.get(productId);
+            if (!product) {
+                return interaction.reply({ content: `❌ Product \`${productId}\` not found`, flags: 64 });
+            }
+            return interaction.showModal(createEditModal(product));
+        }
+        
+        if (action === 'list_edit_modal') {
+            await interaction.deferReply({ flags: 64 });
+            const product = await catalog.products.get(productId);
+            if (!product) {
+                return interaction.editReply(`❌ Product \`${productId}\` not found`);
+            }
+            const changes = {};
+            for (const field of ['name', 'price', 'link']) {
+                const value = interaction.fields.getTextInputValue(field).trim();
+                if (value && value !== product[field]) changes[field] = value;
+            }
+            if (changes.price) {
+                Object.assign(changes, normalizePrice(changes.price));
+                if (changes.price === product.price) {
+                    delete changes.price;
+                    delete changes.priceAmount;
+                    delete changes.priceCurrency;
+                }
+            }
+            return startEditSession(interaction, product, changes);
+        }
+        
         // Safely defer interaction
         await safeDeferUpdate(interaction);
 
-        // Handle main category selection
-        if (interaction.customId === 'main_category') {
+        // Handle main category selection, for /add and /import-url
+        if (interaction.customId === 'main_category' || interaction.customId === 'import_main_category') {
             const mainCategory = interaction.values[0];
-            const cachedData = productDataCache.get(interaction.message.id);
+            const cachedData = await sessions.get('add', interaction.message.id);
             if (!cachedData) {
-                return interaction.editReply('❌ Product data expired. Please try the command again.');
+                return interaction.editReply(sessionExpired('add', '/add or /import-url'));
             }
             
             if (CATEGORIES[mainCategory] && CATEGORIES[mainCategory].length > 0) {
-                const subCategoryRow = new ActionRowBuilder().addComponents(
-                    new StringSelectMenuBuilder()
-                        .setCustomId('sub_category')
-                        .setPlaceholder('Select subcategory')
-                        .addOptions(
-                            CATEGORIES[mainCategory].map(subCat => ({
-                                label: subCat,
-                                value: subCat
-                            }))
-                        )
-                );
+                const subCategoryId = interaction.customId === 'import_main_category' ? 'import_sub_category' : 'sub_category';
+                const subCategoryRow = createSubCategoryRow(subCategoryId, mainCategory, 'Select subcategory');
+                
+                await sessions.update('add', interaction.message.id, {
+                    ...cachedData,
+                    mainCategory
+                });
                 
                 await interaction.editReply({
                     content: `✅ Main category: **${mainCategory}** selected! Please choose a subcategory:`,
@@ -472,8 +1530,8 @@ client.on('interactionCreate', async interaction => {
                 });
             } else {
                 const { attachment, name, price, link } = cachedData;
-                const productId = await addProduct(attachment, name, price, link, mainCategory);
-                productDataCache.delete(interaction.message.id);
+                const productId = await addProduct(discordActor(interaction.user), attachment, name, price, link, mainCategory);
+                await sessions.end('add', interaction.message.id);
                 await interaction.editReply({
                     content: `✅ Added product: "${name}" (ID: ${productId})\nCategory: **${mainCategory}**`,
                     components: []
@@ -482,16 +1540,16 @@ client.on('interactionCreate', async interaction => {
         }
         
         // Handle subcategory selection
-        else if (interaction.customId === 'sub_category') {
+        else if (interaction.customId === 'sub_category' || interaction.customId === 'import_sub_category') {
             const subCategory = interaction.values[0];
-            const cachedData = productDataCache.get(interaction.message.id);
+            const cachedData = await sessions.get('add', interaction.message.id);
             if (!cachedData || !cachedData.mainCategory) {
-                return interaction.editReply('❌ Product data expired. Please try the command again.');
+                return interaction.editReply(sessionExpired('add', '/add or /import-url'));
             }
             
             const { attachment, name, price, link, mainCategory } = cachedData;
-            const productId = await addProduct(attachment, name, price, link, mainCategory, subCategory);
-            productDataCache.delete(interaction.message.id);
+            const productId = await addProduct(discordActor(interaction.user), attachment, name, price, link, mainCategory, subCategory);
+            await sessions.end('add', interaction.message.id);
             await interaction.editReply({
                 content: `✅ Added product: "${name}" (ID: ${productId})\nCategory: **${mainCategory} > ${subCategory}**`,
                 components: []
@@ -500,12 +1558,11 @@ client.on('interactionCreate', async interaction => {
         
         // Handle bulk main category selection
         else if (interaction.customId === 'bulk_main_category') {
-            const cached = bulkProductCache.get(interaction.message.id);
-            if (!cached || Date.now() - cached.timestamp > 300000) {
-                return interaction.editReply('❌ Session expired. Please restart the command.');
+            const cached = await sessions.get('bulk', interaction.message.id);
+            if (!cached) {
+                return interaction.editReply(sessionExpired('bulk', '/bulk-add'));
             }
             
-            const { products } = cached;
             const mainCategory = interaction.values[0];
             
             if (!CATEGORIES.hasOwnProperty(mainCategory)) {
@@ -514,107 +1571,285 @@ client.on('interactionCreate', async interaction => {
 
             const subCategories = CATEGORIES[mainCategory] || [];
             
+            await sessions.update('bulk', interaction.message.id, {
+                ...cached,
+                mainCategory,
+                subCategory: null
+            });
+            
             if (subCategories.length > 0) {
-                const subCategoryRow = new ActionRowBuilder().addComponents(
-                    new StringSelectMenuBuilder()
-                        .setCustomId('bulk_sub_category')
-                        .setPlaceholder('Select subcategory for ALL products')
-                        .addOptions(
-                            subCategories.map(subCat => ({
-                                label: subCat,
-                                value: subCat
-                            }))
-                        )
-                );
-                
-                bulkProductCache.set(interaction.message.id, {
-                    ...cached,
-                    mainCategory,
-                    timestamp: Date.now()
-                });
+                const subCategoryRow = createSubCategoryRow('bulk_sub_category', mainCategory, 'Select subcategory for products without one');
                 
                 await interaction.editReply({
                     content: `✅ Main category: **${mainCategory}** selected! Please choose a subcategory:`,
                     components: [subCategoryRow]
                 });
             } else {
-                const actionRow = new ActionRowBuilder().addComponents(
-                    new ButtonBuilder()
-                        .setCustomId('confirm_bulk_add')
-                        .setLabel('Confirm')
-                        .setStyle(ButtonStyle.Success),
-                    new ButtonBuilder()
-                        .setCustomId('cancel_bulk_add')
-                        .setLabel('Cancel')
-                        .setStyle(ButtonStyle.Danger)
-                );
-                
-                bulkProductCache.set(interaction.message.id, {
-                    ...cached,
-                    mainCategory,
-                    timestamp: Date.now()
-                });
-                
                 await interaction.editReply({
-                    content: `✅ Main category **${mainCategory}** selected! Confirm adding ${products.length} products?`,
-                    components: [actionRow]
+                    content: `✅ Main category **${mainCategory}** selected! Confirm adding ${cached.count} products?`,
+                    components: [createBulkConfirmRow()]
                 });
             }
         }
         
         // Handle bulk subcategory selection
         else if (interaction.customId === 'bulk_sub_category') {
-            const cached = bulkProductCache.get(interaction.message.id);
-            if (!cached || !cached.products || Date.now() - cached.timestamp > 300000) {
-                return interaction.editReply('❌ Session expired. Please restart the command.');
+            const cached = await sessions.get('bulk', interaction.message.id);
+            if (!cached) {
+                return interaction.editReply(sessionExpired('bulk', '/bulk-add'));
             }
             
             const subCategory = interaction.values[0];
-            const actionRow = new ActionRowBuilder().addComponents(
-                new ButtonBuilder()
-                    .setCustomId('confirm_bulk_add')
-                    .setLabel('Confirm')
-                    .setStyle(ButtonStyle.Success),
-                new ButtonBuilder()
-                    .setCustomId('cancel_bulk_add')
-                    .setLabel('Cancel')
-                    .setStyle(ButtonStyle.Danger)
-            );
             
-            bulkProductCache.set(interaction.message.id, {
+            await sessions.update('bulk', interaction.message.id, {
                 ...cached,
-                subCategory,
-                timestamp: Date.now()
+                subCategory
             });
             
             await interaction.editReply({
-                content: `✅ Category: **${cached.mainCategory} > ${subCategory}**\nConfirm adding ${cached.products.length} products?`,
-                components: [actionRow]
+                content: `✅ Category: **${cached.mainCategory} > ${subCategory}**\nConfirm adding ${cached.count} products?`,
+                components: [createBulkConfirmRow()]
             });
         }
         
         // Handle bulk add confirmation
         else if (interaction.customId === 'confirm_bulk_add') {
-            const cached = bulkProductCache.get(interaction.message.id);
-            if (!cached || !cached.products) {
-                return interaction.editReply('❌ Session expired. Please restart the command.');
+            const cached = await sessions.get('bulk', interaction.message.id);
+            if (!cached) {
+                return interaction.editReply(sessionExpired('bulk', '/bulk-add'));
             }
+            // Stop a second click from importing everything twice
+            if (!(await sessions.end('bulk', interaction.message.id))) return;
             
-            const { products, mainCategory, subCategory } = cached;
-            const productsForFirestore = products.map(product => ({
-                name: product.name,
-                price: product.price,
-                link: product.link,
-                mainCategory,
-                subCategory,
-                image: product.image
-            }));
+            const { zipUrl, count, mainCategory, subCategory } = cached;
+            await interaction.editReply({ content: `⏳ Adding ${count} products...`, components: [] });
+            
+            let result;
+            try {
+                const zipBuffer = await downloadZip(zipUrl);
+                const { rows, images } = readBulkZip(zipBuffer);
+                const { valid } = validateRows(rows, { images, categories: CATEGORIES });
+                const productsToAdd = valid.map(product => ({
+                    ...product,
+                    mainCategory: product.mainCategory || mainCategory,
+                    subCategory: product.mainCategory ? product.subCategory : subCategory
+                }));
+                result = await bulkAddProducts(zipBuffer, productsToAdd, discordActor(interaction.user), (done, total) =>
+                    interaction.editReply(`⏳ Added ${done} of ${total} products...`)
+                );
+            } catch (error) {
+                return interaction.editReply(
+                    `❌ Bulk add stopped after ${error.addedIds?.length || 0} products: ${error.message}`
+                );
+            }
+            
+            const { addedIds, failed } = result;
+            const failedLines = failed.slice(0, 10).map(({ row, name, error }) => `• Row ${row} (${name}): ${error}`);
+            if (failed.length > failedLines.length) {
+                failedLines.push(`…and ${failed.length - failedLines.length} more`);
+            }
+            
+            await interaction.editReply({
+                content: `✅ Added ${addedIds.length} products!` +
+                    (failed.length > 0 ? `\n⚠️ ${failed.length} failed:\n${failedLines.join('\n')}` : ''),
+                embeds: [],
+                components: []
+            });
+        }
+        
+        // Handle edit category selection
+        else if (interaction.customId === 'edit_main_category' || interaction.customId === 'edit_sub_category' || interaction.customId === 'edit_keep_category') {
+            const session = await sessions.get('edit', interaction.message.id);
+            if (!session) {
+                return interaction.editReply(sessionExpired('edit', '/edit'));
+            }
             
-            const addedIds = await bulkAddProducts(productsForFirestore);
-            bulkProductCache.delete(interaction.message.id);
+            if (interaction.customId === 'edit_main_category') {
+                const mainCategory = interaction.values[0];
+                if (!CATEGORIES.hasOwnProperty(mainCategory)) {
+                    return interaction.editReply('❌ Invalid category selected. Please try again.');
+                }
+                session.mainCategory = mainCategory;
+                session.subCategory = null;
+                await sessions.update('edit', interaction.message.id, session);
+                
+                if (CATEGORIES[mainCategory].length > 0) {
+                    return interaction.editReply({
+                        content: `✅ Main category: **${mainCategory}** selected! Please choose a subcategory:`,
+                        embeds: [],
+                        components: [createSubCategoryRow('edit_sub_category', mainCategory, 'Select subcategory')]
+                    });
+                }
+            } else if (interaction.customId === 'edit_sub_category') {
+                session.subCategory = interaction.values[0];
+                await sessions.update('edit', interaction.message.id, session);
+            }
+            
+            await interaction.editReply(createEditPreview(session));
+        }
+        
+        // Handle edit confirmation
+        else if (interaction.customId === 'confirm_edit') {
+            const session = await sessions.get('edit', interaction.message.id);
+            if (!session) {
+                return interaction.editReply(sessionExpired('edit', '/edit'));
+            }
+            
+            const { changes, attachment } = session;
+            // The session's copy went through JSON, so the audit entry and old image come from the catalog
+            const before = await catalog.products.get(session.before.id);
+            if (!before) {
+                return interaction.editReply({ content: `❌ Product \`${session.before.id}\` no longer exists`, embeds: [], components: [] });
+            }
+            const updates = {
+                ...changes,
+                mainCategory: session.mainCategory,
+                subCategory: session.subCategory || null
+            };
+            
+            if (attachment) {
+                const response = await fetchLimited(attachment.url, { timeout: IMPORT_IMAGE_TIMEOUT, maxBytes: MAX_IMAGE_SIZE });
+                if (!response.ok) throw new Error(`Failed to download image: ${response.statusText}`);
+                updates.image = await saveImage(await response.buffer(), { name: attachment.name });
+            }
+            
+            const updated = await catalog.products.update(before.id, updates);
+            await sessions.end('edit', interaction.message.id);
+            if (!updated) {
+                if (updates.image) await deleteImage(updates.image);
+                return interaction.editReply({ content: `❌ Product \`${before.id}\` no longer exists`, embeds: [], components: [] });
+            }
+            if (updates.image) await deleteImage(before.image);
+            await recordAudit(catalog, {
+                actor: discordActor(interaction.user),
+                action: 'product.update',
+                targetType: 'product',
+                targetId: updated.id,
+                before,
+                after: updated
+            });
+            
+            await interaction.editReply({
+                content: `✅ Updated product: "${updated.name}" (ID: ${updated.id})`,
+                embeds: [],
+                components: []
+            });
+        }
+        
+        // Handle edit cancellation
+        else if (interaction.customId === 'cancel_edit') {
+            await sessions.end('edit', interaction.message.id);
+            await interaction.editReply({
+                content: '❌ Edit cancelled',
+                embeds: [],
+                components: []
+            });
+        }
+        
+        // Handle /list and /search paging
+        else if (action === 'list_prev' || action === 'list_next') {
+            const session = await sessions.get('list', interaction.message.id);
+            if (!session) {
+                return interaction.editReply(sessionExpired('list', 'the command'));
+            }
+            
+            const [, page, cursor] = interaction.customId.split(':');
+            session.page = Math.max(0, parseInt(page) || 0);
+            session.cursors[session.page] = cursor || null;
+            await interaction.editReply(await LIST_VIEWS[session.view](session));
+            await sessions.update('list', interaction.message.id, session);
+        }
+        
+        // Ask before removing a product from a /list or /search page
+        else if (action === 'list_remove') {
+            const product = await catalog.products.get(productId);
+            if (!product) {
+                return interaction.followUp({ content: `❌ Product \`${productId}\` not found`, flags: 64 });
+            }
+            
+            const actionRow = new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`confirm_remove:${product.id}`)
+                    .setLabel('Remove')
+                    .setStyle(ButtonStyle.Danger),
+                new ButtonBuilder()
+                    .setCustomId('cancel_remove')
+                    .setLabel('Cancel')
+                    .setStyle(ButtonStyle.Secondary)
+            );
+            await interaction.followUp({
+                content: '🗑️ Remove this product?',
+                embeds: [createProductEmbed(product)],
+                components: [actionRow],
+                flags: 64
+            });
+        }
+        
+        else if (action === 'confirm_remove') {
+            const removed = await removeProduct(productId, discordActor(interaction.user));
+            await interaction.editReply({
+                content: removed
+                    ? `🗑️ Moved product \`${productId}\` to the trash. It will be purged in ${retentionDays()} days.`
+                    : `❌ Product \`${productId}\` not found`,
+                embeds: [],
+                components: removed ? createUndoRow(undoCustomId('undo_remove', [productId])) : []
+            });
+        }
+        
+        else if (interaction.customId === 'confirm_restore') {
+            const cached = await sessions.get('restore', interaction.message.id);
+            if (!cached) {
+                return interaction.editReply(sessionExpired('restore', '/restore'));
+            }
+            if (!(await sessions.end('restore', interaction.message.id))) return;
+            
+            const { zipUrl, mode } = cached;
+            await interaction.editReply({ content: `⏳ Restoring (${mode})...`, components: [] });
+            
+            let result;
+            try {
+                const zipBuffer = await downloadZip(zipUrl);
+                const plan = await planRestore(catalog, zipBuffer, { mode });
+                result = await applyRestore(zipBuffer, plan, discordActor(interaction.user), (done, total) =>
+                    interaction.editReply(`⏳ Restored ${done} of ${total} products...`)
+                );
+            } catch (error) {
+                return interaction.editReply(
+                    `❌ Restore stopped after ${error.addedIds?.length || 0} products: ${error.message}`
+                );
+            }
             
+            const { addedIds, updated, trashed, failed } = result;
+            const failedLines = failed.slice(0, 10).map(({ row, name, error }) => `• Row ${row} (${name}): ${error}`);
+            if (failed.length > failedLines.length) {
+                failedLines.push(`…and ${failed.length - failedLines.length} more`);
+            }
+            await interaction.editReply({
+                content: `✅ Restore done: ${addedIds.length} added, ${updated} updated, ${trashed} moved to the trash` +
+                    (failed.length > 0 ? `\n⚠️ ${failed.length} failed:\n${failedLines.join('\n')}` : ''),
+                components: []
+            });
+        }
+        
+        else if (interaction.customId === 'cancel_restore') {
+            await sessions.end('restore', interaction.message.id);
+            await interaction.editReply({ content: '❌ Restore cancelled', components: [] });
+        }
+        
+        else if (action === 'undo_remove') {
+            const restored = await restoreProducts(productId.split(','), discordActor(interaction.user));
+            await interaction.editReply({
+                content: restored.length > 0
+                    ? `↩️ Restored ${restored.map(product => `"${product.name}"`).join(', ')}`
+                    : '❌ Nothing to restore: the product is no longer in the trash',
+                embeds: [],
+                components: []
+            });
+        }
+        
+        else if (interaction.customId === 'cancel_remove') {
             await interaction.editReply({
-                content: `✅ Added ${addedIds.length} products to **${mainCategory}${subCategory ? ` > ${subCategory}` : ''}**!`,
+                content: '❌ Removal cancelled',
                 embeds: [],
                 components: []
             });
@@ -622,7 +1857,7 @@ client.on('interactionCreate', async interaction => {
         
         // Handle bulk add cancellation
         else if (interaction.customId === 'cancel_bulk_add') {
-            bulkProductCache.delete(interaction.message.id);
+            await sessions.end('bulk', interaction.message.id);
             await interaction.editReply({
                 content: '❌ Bulk add cancelled',
                 embeds: [],
@@ -642,10 +1877,29 @@ client.on('interactionCreate', async interaction => {
 
     client.once('ready', async () => {
         console.log(`✅ Bot logged in as ${client.user.tag}!`);
+        try {
+            await catalog.init();
+            if (await seedDefaultCategories(catalog)) {
+                console.log('✅ Seeded default categories');
+            }
+            await refreshCategories();
+            console.log(`✅ Using ${catalog.backend} catalog storage`);
+            const purgeTrash = () => purgeExpiredProducts(catalog)
+                .catch(error => console.error('Trash purge failed:', error));
+            await purgeTrash();
+            setInterval(purgeTrash, PURGE_INTERVAL);
+            const purgeSessions = () => sessions.purgeExpired()
+                .catch(error => console.error('Session purge failed:', error));
+            await purgeSessions();
+            setInterval(purgeSessions, SESSION_PURGE_INTERVAL);
+        } catch (error) {
+            console.error('❌ FATAL: Catalog storage setup failed:', error);
+            process.exit(1);
+        }
         try {
             await rest.put(
                 Routes.applicationCommands(client.user.id),
-                { body: commands }
+                { body: registry.toJSON() }
             );
             console.log('✅ Slash commands registered');
         } catch (error) {
@@ -662,154 +1916,260 @@ client.on('interactionCreate', async interaction => {
     console.log('Starting Scraper bot...');
     const TOKEN = process.env.DISCORD_BOT_TOKEN;
     const CLIENT_ID = process.env.DISCORD_CLIENT_ID;
+    // The one guild the bot served before it kept a watchlist per guild; its old
+    // entries and ALERT_CHANNEL_ID are handed to it on startup
     const GUILD_ID = process.env.DISCORD_GUILD_ID;
-    const PRODUCTS_FILE = "./products.json";
+    const ALERT_CHANNEL_ID = process.env.ALERT_CHANNEL_ID;
+    const MONITOR_INTERVAL_MINUTES = parseFloat(process.env.MONITOR_INTERVAL_MINUTES || "0");
+    // 'global' registers commands once for every guild; 'guild' registers them in
+    // each guild as the bot joins, which shows changes straight away
+    const COMMAND_SCOPE = process.env.COMMAND_SCOPE === "guild" ? "guild" : "global";
     
-    let products = [];
-    let lastScrapeResults = [];
-    let scrapeCacheTimestamp = 0;
-    const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes cache
+    if (!process.env.DATABASE_URL) {
+        console.error('❌ FATAL: Missing environment variables: DATABASE_URL');
+        process.exit(1);
+    }
     
+    // Catalog products linked to a watched URL get each scrape's price and stock.
+    // Without catalog storage configured the scraper just runs on its own.
+    let catalog = null;
     try {
-        if (fs.existsSync(PRODUCTS_FILE)) {
-            products = JSON.parse(fs.readFileSync(PRODUCTS_FILE, "utf8"));
-        } else {
-            fs.writeFileSync(PRODUCTS_FILE, "[]");
+        catalog = createCatalog();
+    } catch (error) {
+        console.warn('⚠️ Catalog sync disabled:', error.message);
+    }
+    
+    // Watchlist changes go in the catalog's audit log when there is one, so /audit on
+    // the Firebase bot shows them, and in the scraper's own Postgres audit_log otherwise,
+    // which GET /api/audit?log=scraper reads
+    const auditStore = () => catalog || { audit: auditLog };
+    
+    // Last scrape of each guild's watchlist: guildId -> { results, timestamp }
+    const scrapeCache = new Map();
+    // Each /products reply keeps the results it paged through, so its buttons still work after a restart
+    const sessions = createSessions(interactionSessions);
+    const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes cache
+    const MAX_WATCHLIST_FILE_SIZE = 2 * 1024 * 1024;
+    
+    const browserPool = createBrowserPool({
+        launch: launchBrowser,
+        browsers: parseInt(process.env.BROWSER_POOL_SIZE || "1"),
+        concurrency: parseInt(process.env.BROWSER_CONCURRENCY || "3"),
+        pageTimeout: parseInt(process.env.PAGE_TIMEOUT_MS || "120000"),
+    });
+    
+    const scraper = createScraper(browserPool);
+    
+    async function checkSite(site, scrape) {
+        try {
+            const result = await scrape;
+            return {
+                id: site.id,
+                guildId: site.guildId,
+                name: site.name,
+                url: site.url,
+                price: result.price,
+                stock: result.stock,
+                inStock: result.inStock,
+                checkText: site.checkText || "",
+            };
+        } catch (err) {
+            return {
+                id: site.id,
+                guildId: site.guildId,
+                name: site.name,
+                url: site.url,
+                error: err.message,
+            };
+        }
+    }
+    
+    // Scrapes one guild's watchlist, or every guild's when guildId is left out
+    async function checkSites(guildId) {
+        const products = guildId ? await watchlist.list(guildId) : await watchlist.listAll();
+        // The pool caps how many pages are open at once, the rest queue up. Guilds
+        // watching the same page with the same selectors share one scrape.
+        const scrapes = new Map();
+        const results = await Promise.all(products.map(site => {
+            const key = JSON.stringify([site.url, site.priceSelector, site.stockSelector]);
+            if (!scrapes.has(key)) scrapes.set(key, scraper.checkSite(site));
+            return checkSite(site, scrapes.get(key));
+        }));
+        
+        const timestamp = Date.now();
+        if (guildId) scrapeCache.set(guildId, { results, timestamp });
+        for (const id of new Set(results.map(result => result.guildId))) {
+            scrapeCache.set(id, { results: results.filter(result => result.guildId === id), timestamp });
+        }
+        
+        const checkedAt = new Date();
+        const readings = results.map(toReading);
+        try {
+            await history.recordResults(readings, checkedAt);
+        } catch (err) {
+            console.error("Failed to record scrape history:", err);
+        }
+        if (catalog) {
+            try {
+                const synced = await syncLiveStatus(catalog, readings, checkedAt);
+                if (synced > 0) console.log(`🔗 Updated live price and stock on ${synced} catalog products`);
+            } catch (err) {
+                console.error("Failed to sync live status to the catalog:", err);
+            }
+        }
+        try {
+            await notifyWatchers(readings);
+        } catch (err) {
+            console.error("Failed to check watches:", err);
         }
-        console.log(`Loaded ${products.length} products`);
-    } catch (err) {
-        console.error("Error loading products:", err);
+        return results;
+    }
+    
+    function isOutOfStock(site) {
+        if (typeof site.inStock === 'boolean') return !site.inStock;
+        return !!site.checkText && site.stock.toLowerCase().includes(site.checkText.toLowerCase());
     }
     
-    function saveProducts() {
-        fs.writeFileSync(PRODUCTS_FILE, JSON.stringify(products, null, 2));
+    // priceNum is in the base currency so readings from shops showing different
+    // currencies (DHgate picks one per visitor) compare like for like
+    function toReading(result) {
+        if (result.error) return result;
+        const money = parseMoney(result.price, getAdapter(result.url).currency || BASE_CURRENCY);
+        const priceNum = money ? convertAmount(money.amount, money.currency) : null;
+        return {
+            ...result,
+            priceAmount: money ? money.amount : null,
+            currency: money ? money.currency : null,
+            priceNum: Number.isFinite(priceNum) ? priceNum : null,
+            inStock: !isOutOfStock(result)
+        };
     }
     
-    function reorganizeIds() {
-        products.sort((a, b) => a.id - b.id);
-        for (let i = 0; i < products.length; i++) {
-            products[i].id = i + 1;
+    function createAlertEmbed(alert) {
+        const { reading } = alert;
+        const embed = new EmbedBuilder()
+            .setTitle(`[${reading.id}] ${reading.name}`)
+            .setURL(reading.url)
+            .setTimestamp();
+        
+        switch (alert.type) {
+            case 'restock':
+                return embed
+                    .setColor('#2ecc71')
+                    .setDescription(`🟢 **Back in stock!**\nPrice: \`${reading.price}\``);
+            case 'price_drop':
+            case 'price_rise':
+                return embed
+                    .setColor(alert.type === 'price_drop' ? '#3498db' : '#e67e22')
+                    .setDescription(
+                        `${alert.type === 'price_drop' ? '📉 **Price dropped**' : '📈 **Price increased**'} ` +
+                        `by ${Math.abs(alert.change).toFixed(1)}%\n` +
+                        `\`${formatMoney(alert.previousPrice, BASE_CURRENCY)}\` → \`${formatMoney(reading.priceNum, BASE_CURRENCY)}\` (${reading.price})`
+                    );
+            case 'failing':
+                return embed
+                    .setColor('#e74c3c')
+                    .setDescription(`🚫 **Monitoring started failing**\nError: ${reading.error}`);
         }
-        saveProducts();
     }
     
-    function generateProductId() {
-        const usedIds = new Set(products.map(p => p.id));
-        for (let id = 1; id <= 100; id++) {
-            if (!usedIds.has(id)) return id;
+    function createWatchMessage({ watch, reading, reasons }) {
+        const lines = [];
+        if (reasons.includes('below')) {
+            lines.push(`📉 **Now \`${reading.price}\`**, at or below your ${formatMoney(watch.belowAmount, watch.belowCurrency)}`);
         }
-        return null;
+        if (reasons.includes('restock')) {
+            lines.push("🟢 **In stock**");
+        }
+        const embed = new EmbedBuilder()
+            .setTitle(`[${reading.id}] ${reading.name}`)
+            .setURL(reading.url)
+            .setColor('#2ecc71')
+            .setDescription(lines.join("\n"))
+            .setFooter({ text: 'You asked for this DM with /watch' })
+            .setTimestamp();
+        const buttons = new ActionRowBuilder().addComponents(
+            new ButtonBuilder().setLabel('Open product').setStyle(ButtonStyle.Link).setURL(reading.url),
+            new ButtonBuilder().setCustomId(`watch_unwatch:${reading.id}`).setLabel('Unwatch').setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder().setCustomId('watch_dms:off').setLabel('Stop all DMs').setStyle(ButtonStyle.Danger)
+        );
+        return { embeds: [embed], components: [buttons] };
     }
     
-    async function safeGoto(page, url, retries = 3) {
-        for (let i = 0; i < retries; i++) {
+    // DMs the members whose /watch conditions a scrape has just met
+    async function notifyWatchers(readings) {
+        const watches = await userWatches.listForProducts(readings.map(reading => reading.id));
+        const { notify, changes } = userWatches.matchWatches(watches, readings);
+        // Saved first: a member with closed DMs shouldn't be retried every run
+        await userWatches.saveMatches(changes);
+        for (const match of notify) {
             try {
-                await page.goto(url, { waitUntil: "networkidle2", timeout: 30000 });
-                return;
-            } catch (e) {
-                if (i === retries - 1) throw e;
-                await new Promise(r => setTimeout(r, 5000));
+                const user = await client.users.fetch(match.watch.userId);
+                await user.send(createWatchMessage(match));
+            } catch (err) {
+                console.error(`Failed to DM watch alert to user ${match.watch.userId}:`, err.message);
             }
         }
+        if (notify.length > 0) console.log(`📬 Sent ${notify.length} watch alerts`);
     }
     
-    async function puppeteerCheck(site) {
-        const browser = await puppeteerExtra.launch({
-            headless: true,
-            args: ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage", "--disable-http2"],
-        });
-        const page = await browser.newPage();
-        await page.setUserAgent(
-            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/115.0.0.0 Safari/537.36"
-        );
-        await safeGoto(page, site.url);
-        const result = await page.evaluate(
-            (priceSelector, stockSelector) => {
-                const priceEl = document.querySelector(priceSelector);
-                const stockEl = document.querySelector(stockSelector);
-                const price = priceEl ? priceEl.innerText.trim() : "N/A";
-                const stock = stockEl ? stockEl.innerText.trim() : "N/A";
-                return { price, stock };
-            },
-            site.priceSelector,
-            site.stockSelector
-        );
-        await browser.close();
-        return result;
+    function formatWatch(watch) {
+        const conditions = [
+            watch.belowPrice !== null ? `below ${formatMoney(watch.belowAmount, watch.belowCurrency)}` : null,
+            watch.restock ? "when in stock" : null
+        ].filter(Boolean).join(", ");
+        return `[${watch.productId}] **${watch.name}** - ${conditions}\n${watch.url}`;
     }
     
-    async function axiosFallback(site) {
-        try {
-            const res = await axios.get(site.url, { timeout: 15000 });
-            const $ = cheerio.load(res.data);
-            const price = $(site.priceSelector).first().text().trim() || "N/A";
-            const stock = $(site.stockSelector).first().text().trim() || "N/A";
-            return { price, stock };
-        } catch (err) {
-            throw new Error("Fallback axios error: " + err.message);
-        }
+    function createDmToggleRow(optedOut) {
+        return new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(optedOut ? 'watch_dms:on' : 'watch_dms:off')
+                .setLabel(optedOut ? 'Resume DMs' : 'Stop all DMs')
+                .setStyle(optedOut ? ButtonStyle.Success : ButtonStyle.Danger)
+        );
     }
     
-    async function checkSites() {
-        const results = [];
-        for (const site of products) {
+    // Each guild's alerts go to its own channel, so one missing channel doesn't hold up the rest
+    async function sendAlerts(alerts) {
+        const settings = await guildSettings.getMany(alerts.map(alert => alert.reading.guildId));
+        for (const [guildId, { alertChannelId }] of settings) {
+            const guildAlerts = alerts.filter(alert => alert.reading.guildId === guildId);
+            if (!alertChannelId) {
+                console.warn(`${guildAlerts.length} alerts dropped for guild ${guildId}: no alert channel set`);
+                continue;
+            }
             try {
-                let result;
-                try {
-                    result = await puppeteerCheck(site);
-                } catch (puppeteerErr) {
-                    console.warn(`Puppeteer failed for ${site.name}: ${puppeteerErr.message}`);
-                    result = await axiosFallback(site);
+                const channel = await client.channels.fetch(alertChannelId);
+                for (const embeds of chunkArray(guildAlerts.map(createAlertEmbed), 10)) {
+                    await channel.send({ embeds });
                 }
-                results.push({
-                    id: site.id,
-                    name: site.name,
-                    url: site.url,
-                    price: result.price,
-                    stock: result.stock,
-                    checkText: site.checkText || "",
-                });
             } catch (err) {
-                results.push({
-                    id: site.id,
-                    name: site.name,
-                    url: site.url,
-                    error: err.message,
-                });
+                console.error(`Failed to send alerts to guild ${guildId}:`, err);
             }
         }
-        lastScrapeResults = results;
-        scrapeCacheTimestamp = Date.now();
-        return results;
     }
     
-    function parsePrice(priceStr) {
-        if (!priceStr) return null;
-        const cleanStr = priceStr.replace(/[^\d.,]/g, '');
-        const lastComma = cleanStr.lastIndexOf(',');
-        const lastDot = cleanStr.lastIndexOf('.');
-        
-        if (lastComma > lastDot) {
-            return parseFloat(cleanStr.replace(/\./g, '').replace(',', '.'));
-        } else if (lastDot > lastComma) {
-            return parseFloat(cleanStr.replace(/,/g, ''));
-        }
-        
-        return parseFloat(cleanStr);
-    }
+    // Price thresholds of the guilds in the current monitor run
+    let monitorSettings = new Map();
+    
+    const monitor = createMonitor({
+        intervalMs: MONITOR_INTERVAL_MINUTES * 60 * 1000,
+        priceThreshold: reading => monitorSettings.get(reading.guildId).priceThreshold,
+        check: async () => {
+            const readings = (await checkSites()).map(toReading);
+            monitorSettings = await guildSettings.getMany(readings.map(reading => reading.guildId));
+            return readings;
+        },
+        onAlerts: sendAlerts
+    });
     
-    function getPriceData() {
-        const now = Date.now();
-        if (now - scrapeCacheTimestamp > CACHE_DURATION || lastScrapeResults.length === 0) {
+    function getPriceData(guildId) {
+        const cached = scrapeCache.get(guildId);
+        if (!cached || Date.now() - cached.timestamp > CACHE_DURATION || cached.results.length === 0) {
             return null;
         }
-        return lastScrapeResults.map(p => {
-            const priceNum = parsePrice(p.price);
-            return {
-                ...p,
-                priceNum: isNaN(priceNum) ? null : priceNum
-            };
-        }).filter(p => p.priceNum !== null);
+        return cached.results.map(toReading).filter(p => p.priceNum !== null && p.priceNum !== undefined);
     }
     
     function findClosestPrices(priceData, targetPrice, count = 5) {
@@ -849,7 +2209,7 @@ client.on('interactionCreate', async interaction => {
     function createPageEmbed(pageItems, pageIndex, totalPages) {
         const lines = pageItems.map((site) => {
             if (site.error) return `[${site.id}] 🚫 **${site.name}** - Error: ${site.error}\n${site.url}`;
-            const isOut = site.stock.toLowerCase().includes(site.checkText.toLowerCase());
+            const isOut = isOutOfStock(site);
             const emoji = isOut ? "🔴" : "🟢";
             return `[${site.id}] ${emoji} **${site.name}**\nPrice: \`${site.price}\`\nStock: \`${site.stock}\`\n${site.url}`;
         });
@@ -895,371 +2255,823 @@ client.on('interactionCreate', async interaction => {
         partials: [Partials.Channel],
     });
     
-    client.once("ready", () => {
+    const rest = new REST({ version: "10" }).setToken(TOKEN);
+    
+    // The application owner, or any member of the team that owns it
+    async function isBotOwner(user) {
+        const { owner } = await client.application.fetch();
+        return owner?.members ? owner.members.has(user.id) : owner?.id === user.id;
+    }
+    
+    // Registers every command globally, or in one guild when guildId is given
+    async function registerCommands(guildId) {
+        const route = guildId ? Routes.applicationGuildCommands(CLIENT_ID, guildId) : Routes.applicationCommands(CLIENT_ID);
+        try {
+            await rest.put(route, { body: registry.toJSON() });
+            console.log(`Slash commands registered ${guildId ? `in guild ${guildId}` : "globally"}`);
+        } catch (err) {
+            console.error(`Failed to register slash commands ${guildId ? `in guild ${guildId}` : "globally"}:`, err);
+        }
+    }
+    
+    client.once("ready", async () => {
         console.log(`Logged in as ${client.user.tag}`);
-        const commands = [
-    new SlashCommandBuilder()
-        .setName('add')
-        .setDescription('Add a new product')
-        .addAttachmentOption(option => 
-            option.setName('attachment')
-                .setDescription('Image attachment')
-                .setRequired(true)
-        )
-        .addStringOption(option =>
-            option.setName('name')
-                .setDescription('Product name')
-                .setRequired(true)
-        )
-        .addStringOption(option =>
-            option.setName('price')
-                .setDescription('Product price ($XX.XX)')
-                .setRequired(true)
-        )
-        .addStringOption(option =>
-            option.setName('link')
-                .setDescription('Product link')
-                .setRequired(true)
-        )
-        .toJSON(),
-    new SlashCommandBuilder()
-        .setName('remove')
-        .setDescription('Remove a product')
-        .addStringOption(option =>
-            option.setName('id')
-                .setDescription('Product ID')
-                .setRequired(true)
-        )
-        .toJSON(),
-    new SlashCommandBuilder()
-            .setName('bulk-add')
-            .setDescription('Add multiple products (up to 10) via ZIP file')
-            .addAttachmentOption(option => 
-                option.setName('zipfile')
-                    .setDescription('ZIP file containing product images')
-                    .setRequired(true)
-            )
-            .addStringOption(option =>
-                option.setName('names')
-                    .setDescription('Product names (comma separated)')
-                    .setRequired(true)
-            )
-            .addStringOption(option =>
-                option.setName('prices')
-                    .setDescription('Product prices (comma separated)')
-                    .setRequired(true)
-            )
-            .addStringOption(option =>
-                option.setName('links')
-                    .setDescription('Product links (comma separated)')
-                    .setRequired(true)
-            )
-        .toJSON(),
-    new SlashCommandBuilder()
-        .setName('help')
-        .setDescription('Show all available commands')
-        .toJSON()
-].map(cmd => cmd.toJSON());
+        try {
+            await db.migrate();
+            if (GUILD_ID) {
+                const adopted = await watchlist.adoptUnassigned(GUILD_ID);
+                if (adopted > 0) console.log(`📦 Moved ${adopted} products from the shared watchlist to guild ${GUILD_ID}`);
+                await guildSettings.seed(GUILD_ID, { alertChannelId: ALERT_CHANNEL_ID });
+            }
+            const products = await watchlist.listAll();
+            console.log(`Loaded ${products.length} products across ${new Set(products.map(p => p.guildId)).size} guilds`);
+        } catch (err) {
+            console.error("❌ FATAL: Database setup failed:", err);
+            process.exit(1);
+        }
+        if (catalog) {
+            try {
+                await catalog.init();
+                console.log(`🔗 Syncing live status to the ${catalog.backend} catalog`);
+            } catch (err) {
+                console.warn("⚠️ Catalog sync disabled:", err.message);
+                catalog = null;
+            }
+        }
+        const purgeTrash = () => purgeExpiredWatchlist(watchlist)
+            .catch(err => console.error("Trash purge failed:", err));
+        await purgeTrash();
+        setInterval(purgeTrash, PURGE_INTERVAL);
+        const purgeSessions = () => sessions.purgeExpired()
+            .catch(err => console.error("Session purge failed:", err));
+        await purgeSessions();
+        setInterval(purgeSessions, SESSION_PURGE_INTERVAL);
+        if (MONITOR_INTERVAL_MINUTES > 0) {
+            monitor.start();
+        }
         
-        const rest = new REST({ version: "10" }).setToken(TOKEN);
-        rest
-            .put(Routes.applicationGuildCommands(CLIENT_ID, GUILD_ID), { body: commands })
-            .then(() => console.log("Slash commands registered"))
-            .catch(console.error);
+        if (COMMAND_SCOPE === "guild") {
+            for (const guildId of client.guilds.cache.keys()) {
+                await registerCommands(guildId);
+            }
+        } else {
+            await registerCommands();
+            // Guild commands from the single-guild days would show up twice next to the global ones
+            if (GUILD_ID) {
+                await rest.put(Routes.applicationGuildCommands(CLIENT_ID, GUILD_ID), { body: [] }).catch(console.error);
+            }
+        }
     });
     
-    client.on("interactionCreate", async interaction => {
-        if (!interaction.isChatInputCommand() && !interaction.isButton() && !interaction.isStringSelectMenu()) {
-            return;
+    client.on("guildCreate", async guild => {
+        console.log(`➕ Joined guild ${guild.name} (${guild.id})`);
+        if (COMMAND_SCOPE === "guild") {
+            await registerCommands(guild.id);
         }
-        
-        try {
-            if (interaction.isChatInputCommand()) {
-                const command = interaction.commandName;
+    });
+    
+    // The watchlist stays in place in case the bot is invited back
+    client.on("guildDelete", guild => {
+        console.log(`➖ Left guild ${guild.name || guild.id} (${guild.id})`);
+    });
+    
+    const registry = createCommandRegistry({
+        help: { title: '🔍 Scraper Bot Commands', description: 'Monitor product prices and availability', color: '#2ecc71' },
+        defer: 'public',
+        // Every guild has its own watchlist, so most commands need one
+        dm: false
+    });
+    
+    function parseIds(text) {
+        return text.split(',').map(id => parseInt(id.trim()));
+    }
+    
+    function validateIds(text) {
+        return parseIds(text).some(isNaN) ? 'Invalid IDs format. Please use comma-separated numbers.' : null;
+    }
+    
+    registry.define({
+        name: 'products',
+        description: 'Check the status of every monitored product',
+        help: 'Check current product status with pagination',
+        level: 'read',
+        handler: async interaction => {
+            const { guildId } = interaction;
+            try {
+                const results = await checkSites(guildId);
+                const pages = chunkArray(results, 5);
+                
+                if (pages.length === 0) {
+                    await interaction.editReply("No products to monitor. Add products using /addlink command.");
+                    return;
+                }
+                
+                const embedPage = createPageEmbed(pages[0], 0, pages.length);
+                const buttons = createNavigationButtons(0, pages.length);
+                
+                const message = await interaction.editReply({
+                    ...embedPage,
+                    components: [buttons],
+                });
+                
+                await sessions.start("products", message.id, { results });
+            } catch (error) {
+                console.error("Error in products command:", error);
+                await interaction.editReply("❌ An error occurred while checking products.");
+            }
+        }
+    });
+    
+    registry.define({
+        name: 'invalid',
+        description: 'Show products with monitoring errors',
+        level: 'read',
+        handler: async interaction => {
+            const { guildId } = interaction;
+            try {
+                const cached = scrapeCache.get(guildId);
+                const results = cached ? cached.results : await checkSites(guildId);
+                const invalidProducts = results.filter(p => p.error);
+                
+                if (invalidProducts.length === 0) {
+                    await interaction.editReply("✅ All products are working correctly!");
+                    return;
+                }
+                
+                const invalidList = invalidProducts.map(p => 
+                    `[${p.id}] **${p.name}**\n${p.url}\nError: ${p.error}`
+                ).join("\n\n");
                 
-                if (command === "help") {
-                    const helpEmbed = new EmbedBuilder()
-                        .setTitle('🔍 Scraper Bot Commands')
-                        .setDescription('Monitor product prices and availability')
-                        .setColor('#2ecc71')
-                        .addFields(
-                            { name: '/products', value: 'Check current product status with pagination' },
-                            { name: '/invalid', value: 'Show products with monitoring errors' },
-                            { name: '/prices [target]', value: 'Find products closest to target price' },
-                            { name: '/addlink [name] [url]', value: 'Add new product to monitor' },
-                            { name: '/removelink [id]', value: 'Remove a product by ID' },
-                            { name: '/bulklink [file]', value: 'Bulk import products from JSON file' },
-                            { name: '/bulkremovelink [ids]', value: 'Remove multiple products by comma-separated IDs' }
-                        );
-                    
-                    return interaction.reply({ embeds: [helpEmbed], flags: 64 });
+                await interaction.editReply({
+                    content: `⚠️ **Invalid Products (${invalidProducts.length})**\n\n${invalidList}`
+                });
+            } catch (error) {
+                console.error("Error in invalid command:", error);
+                await interaction.editReply("❌ Failed to check invalid products.");
+            }
+        }
+    });
+    
+    registry.define({
+        name: 'prices',
+        description: 'Find the products closest to a target price',
+        level: 'read',
+        options: [
+            { name: 'target', type: 'number', description: 'Target price', required: true, minValue: 0 },
+            { name: 'currency', type: 'string', description: `Currency of the target price (default ${BASE_CURRENCY})`, minLength: 3, maxLength: 3 }
+        ],
+        handler: async (interaction, { options }) => {
+            const { guildId } = interaction;
+            try {
+                const targetPrice = options.getNumber("target");
+                const currency = (options.getString("currency") || BASE_CURRENCY).toUpperCase();
+                const targetBase = convertAmount(targetPrice, currency);
+                if (targetBase === null) {
+                    await interaction.editReply(`❌ Unknown currency ${currency}`);
+                    return;
                 }
+                let priceData = getPriceData(guildId);
                 
-                // Defer reply for all other commands
-                if (!interaction.replied && !interaction.deferred) {
-                    await interaction.deferReply();
+                if (!priceData) {
+                    await interaction.editReply("🔍 Prices are being updated... This might take a moment");
+                    await checkSites(guildId);
+                    priceData = getPriceData(guildId) || [];
                 }
                 
-                if (command === "products") {
-                    try {
-                        const results = await checkSites();
-                        const pages = chunkArray(results, 5);
-                        
-                        if (pages.length === 0) {
-                            await interaction.editReply("No products to monitor. Add products using /addlink command.");
-                            return;
-                        }
-                        
-                        const embedPage = createPageEmbed(pages[0], 0, pages.length);
-                        const buttons = createNavigationButtons(0, pages.length);
-                        
-                        const message = await interaction.editReply({
-                            ...embedPage,
-                            components: [buttons],
-                        });
-                        
-                        client.messageCache = client.messageCache || new Map();
-                        client.messageCache.set(message.id, { pages, currentPage: 0, interaction });
-                    } catch (error) {
-                        console.error("Error in products command:", error);
-                        await interaction.editReply("❌ An error occurred while checking products.");
-                    }
-                } 
-                else if (command === "invalid") {
-                    try {
-                        const results = lastScrapeResults.length > 0 ? lastScrapeResults : await checkSites();
-                        const invalidProducts = results.filter(p => p.error);
-                        
-                        if (invalidProducts.length === 0) {
-                            await interaction.editReply("✅ All products are working correctly!");
-                            return;
-                        }
-                        
-                        const invalidList = invalidProducts.map(p => 
-                            `[${p.id}] **${p.name}**\n${p.url}\nError: ${p.error}`
-                        ).join("\n\n");
-                        
-                        await interaction.editReply({
-                            content: `⚠️ **Invalid Products (${invalidProducts.length})**\n\n${invalidList}`
-                        });
-                    } catch (error) {
-                        console.error("Error in invalid command:", error);
-                        await interaction.editReply("❌ Failed to check invalid products.");
-                    }
+                if (priceData.length === 0) {
+                    await interaction.editReply("❌ No valid price data available");
+                    return;
                 }
-                else if (command === "prices") {
-                    try {
-                        const targetPrice = interaction.options.getNumber("target");
-                        let priceData = getPriceData();
-                        
-                        if (!priceData) {
-                            await interaction.editReply("🔍 Prices are being updated... This might take a moment");
-                            const results = await checkSites();
-                            priceData = results.map(p => {
-                                const priceNum = parsePrice(p.price);
-                                return {
-                                    ...p,
-                                    priceNum: isNaN(priceNum) ? null : priceNum
-                                };
-                            }).filter(p => p.priceNum !== null);
-                        }
-                        
-                        if (priceData.length === 0) {
-                            await interaction.editReply("❌ No valid price data available");
-                            return;
-                        }
-                        
-                        const closestProducts = findClosestPrices(priceData, targetPrice);
-                        let resultProducts = closestProducts;
-                        
-                        if (closestProducts.length === 0 || closestProducts[0].difference > 0) {
-                            resultProducts = findPriceRange(priceData);
-                        }
-                        
-                        if (resultProducts.length === 0) {
-                            await interaction.editReply("❌ No products found with valid prices");
-                            return;
-                        }
-                        
-                        const priceList = resultProducts.map(p => 
-                            `[${p.id}] **${p.name}**\nPrice: \`${p.price}\` (${p.priceNum.toFixed(2)})\nDifference: \`${p.difference ? p.difference.toFixed(2) : "N/A"}\``
-                        ).join("\n\n");
-                        
-                        await interaction.editReply({
-                            content: `💰 **Product Prices (Target: ${targetPrice})**\n\n${priceList}`
-                        });
-                    } catch (error) {
-                        console.error("Error in prices command:", error);
-                        await interaction.editReply("❌ Failed to retrieve prices.");
-                    }
+                
+                const closestProducts = findClosestPrices(priceData, targetBase);
+                let resultProducts = closestProducts;
+                
+                if (closestProducts.length === 0 || closestProducts[0].difference > 0) {
+                    resultProducts = findPriceRange(priceData);
                 }
-                else if (command === "addlink") {
-                    try {
-                        const name = interaction.options.getString("name");
-                        const url = interaction.options.getString("url");
-                        
-                        if (!name || !url) {
-                            await interaction.editReply("❌ Both name and URL are required.");
-                            return;
-                        }
-                        
-                        const id = generateProductId();
-                        if (!id) {
-                            await interaction.editReply("❌ Maximum product limit reached (100 products)");
-                            return;
-                        }
-                        
-                        const newProduct = {
-                            id,
-                            name,
-                            url,
-                            priceSelector: DEFAULT_PRICE_SELECTOR,
-                            stockSelector: DEFAULT_STOCK_SELECTOR,
-                            checkText: DEFAULT_CHECK_TEXT
-                        };
-                        
-                        products.push(newProduct);
-                        saveProducts();
-                        
-                        await interaction.editReply(`✅ Added product: **${name}** (ID: ${id})\n${url}`);
-                    } catch (error) {
-                        console.error("Error in addlink command:", error);
-                        await interaction.editReply("❌ Failed to add product.");
-                    }
+                
+                if (resultProducts.length === 0) {
+                    await interaction.editReply("❌ No products found with valid prices");
+                    return;
+                }
+                
+                // Compared in the base currency, shown in the one asked for
+                const inCurrency = amount => formatMoney(convertAmount(amount, BASE_CURRENCY, currency), currency);
+                const priceList = resultProducts.map(p => 
+                    `[${p.id}] **${p.name}**\nPrice: \`${p.price}\` (≈ ${inCurrency(p.priceNum)})\nDifference: \`${p.difference ? inCurrency(p.difference) : "N/A"}\``
+                ).join("\n\n");
+                
+                await interaction.editReply({
+                    content: `💰 **Product Prices (Target: ${formatMoney(targetPrice, currency)})**\n\n${priceList}`
+                });
+            } catch (error) {
+                console.error("Error in prices command:", error);
+                await interaction.editReply("❌ Failed to retrieve prices.");
+            }
+        }
+    });
+    
+    registry.define({
+        name: 'addlink',
+        description: 'Add a product to monitor',
+        options: [
+            { name: 'name', type: 'string', description: 'Product name', required: true },
+            { name: 'url', type: 'string', description: 'Product page URL', required: true }
+        ],
+        handler: async (interaction, { options }) => {
+            const { guildId } = interaction;
+            try {
+                const name = options.getString("name");
+                const url = options.getString("url");
+                
+                const { maxProducts } = await guildSettings.get(guildId);
+                if (await watchlist.count(guildId) >= maxProducts) {
+                    await interaction.editReply(`❌ This server already watches the most products it may (${maxProducts}). Remove some first.`);
+                    return;
+                }
+                
+                const adapter = getAdapter(url);
+                const product = await watchlist.add(guildId, {
+                    name,
+                    url,
+                    ...adapter.defaults
+                });
+                const { id } = product;
+                await recordAudit(auditStore(), { actor: discordActor(interaction.user), action: 'watchlist.add', targetType: 'watchlist', targetId: id, after: product });
+                
+                await interaction.editReply(`✅ Added product: **${name}** (ID: ${id}) using the ${adapter.name} adapter\n${url}`);
+            } catch (error) {
+                console.error("Error in addlink command:", error);
+                await interaction.editReply("❌ Failed to add product.");
+            }
+        }
+    });
+    
+    registry.define({
+        name: 'removelink',
+        description: 'Move a monitored product to the trash',
+        help: 'Move a product to the trash',
+        options: [
+            { name: 'id', type: 'integer', description: 'Product ID', required: true }
+        ],
+        handler: async (interaction, { options }) => {
+            const { guildId } = interaction;
+            try {
+                const id = options.getInteger("id");
+                const actor = discordActor(interaction.user);
+                const removed = await watchlist.remove(guildId, id, trashOptions(actor));
+                
+                if (!removed) {
+                    await interaction.editReply(`❌ Product with ID ${id} not found.`);
+                    return;
+                }
+                await recordAudit(auditStore(), { actor, action: 'watchlist.remove', targetType: 'watchlist', targetId: id, before: removed });
+                
+                await interaction.editReply({
+                    content: `🗑️ Moved **${removed.name}** (ID: ${id}) to the trash. It will be purged in ${retentionDays()} days.`,
+                    components: createUndoRow(undoCustomId('undo_removelink', [id]))
+                });
+            } catch (error) {
+                console.error("Error in removelink command:", error);
+                await interaction.editReply("❌ Failed to remove product.");
+            }
+        }
+    });
+    
+    registry.define({
+        name: 'bulklink',
+        description: 'Add products to monitor from a JSON file',
+        help: 'Bulk import products from JSON file',
+        options: [
+            {
+                name: 'file',
+                type: 'attachment',
+                description: 'JSON array of { name, url } objects',
+                required: true,
+                validate: file => (file.contentType && file.contentType.includes("json") ? null : "Please attach a valid JSON file.")
+            }
+        ],
+        handler: async (interaction, { options }) => {
+            const { guildId } = interaction;
+            try {
+                const attachment = options.getAttachment("file");
+                
+                const file = await downloadAttachment(attachment.url, { timeout: ATTACHMENT_TIMEOUT, maxBytes: MAX_WATCHLIST_FILE_SIZE, label: 'JSON file' });
+                const jsonData = JSON.parse(file.toString('utf8'));
+                
+                if (!Array.isArray(jsonData)) {
+                    await interaction.editReply("❌ Invalid JSON format. Expected an array of products.");
+                    return;
+                }
+                
+                const { maxProducts } = await guildSettings.get(guildId);
+                const watched = await watchlist.count(guildId);
+                if (watched + jsonData.length > maxProducts) {
+                    await interaction.editReply(`❌ This server watches ${watched} of at most ${maxProducts} products, so ${jsonData.length} more won't fit.`);
+                    return;
+                }
+                
+                const added = await watchlist.addMany(guildId, jsonData.map(product => {
+                    const { defaults } = getAdapter(product.url || "");
+                    return {
+                        name: product.name || "Unnamed Product",
+                        url: product.url || "",
+                        priceSelector: product.priceSelector || defaults.priceSelector,
+                        stockSelector: product.stockSelector || defaults.stockSelector,
+                        checkText: product.checkText || defaults.checkText
+                    };
+                }));
+                await recordAudit(auditStore(), added.map(p => ({
+                    actor: discordActor(interaction.user),
+                    action: 'watchlist.add',
+                    targetType: 'watchlist',
+                    targetId: p.id,
+                    after: p
+                })));
+                const addedProducts = added.map(p => `${p.id}: ${p.name}`);
+                
+                await interaction.editReply({
+                    content: `✅ Added ${jsonData.length} products:\n${addedProducts.join("\n")}`
+                });
+            } catch (error) {
+                console.error("Error in bulklink command:", error);
+                await interaction.editReply(`❌ Failed to bulk add products: ${error.message}`);
+            }
+        }
+    });
+    
+    registry.define({
+        name: 'bulkremovelink',
+        description: 'Move several monitored products to the trash',
+        help: 'Move multiple products to the trash by comma-separated IDs',
+        options: [
+            { name: 'ids', type: 'string', description: 'Comma-separated product IDs', required: true, validate: validateIds }
+        ],
+        handler: async (interaction, { options }) => {
+            const { guildId } = interaction;
+            try {
+                const idsInput = options.getString("ids");
+                const idsToRemove = parseIds(idsInput);
+                
+                const validIds = new Set((await watchlist.getMany(guildId, idsToRemove)).map(p => p.id));
+                const invalidIds = idsToRemove.filter(id => !validIds.has(id));
+                
+                if (invalidIds.length > 0) {
+                    await interaction.editReply(`❌ These IDs are invalid: ${invalidIds.join(', ')}`);
+                    return;
                 }
-                else if (command === "removelink") {
-                    try {
-                        const id = interaction.options.getInteger("id");
-                        const index = products.findIndex(p => p.id === id);
-                        
-                        if (index === -1) {
-                            await interaction.editReply(`❌ Product with ID ${id} not found.`);
-                            return;
-                        }
-                        
-                        const productName = products[index].name;
-                        products.splice(index, 1);
-                        saveProducts();
-                        reorganizeIds();
-                        
-                        await interaction.editReply(`✅ Removed product: **${productName}** (ID: ${id})`);
-                    } catch (error) {
-                        console.error("Error in removelink command:", error);
-                        await interaction.editReply("❌ Failed to remove product.");
+                
+                const actor = discordActor(interaction.user);
+                const removed = await watchlist.removeMany(guildId, idsToRemove, trashOptions(actor));
+                await recordAudit(auditStore(), removed.map(p => ({
+                    actor,
+                    action: 'watchlist.remove',
+                    targetType: 'watchlist',
+                    targetId: p.id,
+                    before: p
+                })));
+                const removedProducts = removed.map(p => `${p.id}: ${p.name}`);
+                
+                const undoId = undoCustomId('undo_removelink', removed.map(p => p.id));
+                await interaction.editReply({
+                    content: `🗑️ Moved ${removedProducts.length} products to the trash for ${retentionDays()} days:\n${removedProducts.join("\n")}` +
+                        (undoId ? '' : '\nUse `/trash restore` to bring them back.'),
+                    components: createUndoRow(undoId)
+                });
+            } catch (error) {
+                console.error("Error in bulkremovelink command:", error);
+                await interaction.editReply("❌ Failed to remove products.");
+            }
+        }
+    });
+    
+    registry.define({
+        name: 'trash',
+        description: 'Manage removed products',
+        help: () => `Manage removed products; they are purged after ${retentionDays()} days`,
+        subcommands: [
+            { name: 'list', description: 'Show products in the trash', level: 'read' },
+            {
+                name: 'restore',
+                description: 'Put removed products back on the watchlist',
+                options: [
+                    { name: 'ids', type: 'string', description: 'Comma-separated product IDs', required: true, validate: validateIds }
+                ]
+            },
+            {
+                name: 'purge',
+                description: 'Delete products and their history for good',
+                options: [
+                    { name: 'ids', type: 'string', description: 'Comma-separated product IDs', validate: validateIds },
+                    { name: 'all', type: 'boolean', description: 'Empty the whole trash' }
+                ]
+            }
+        ],
+        handler: async (interaction, { options, subcommand }) => {
+            const { guildId } = interaction;
+            try {
+                const actor = discordActor(interaction.user);
+                const idsInput = options.getString("ids");
+                const ids = idsInput ? parseIds(idsInput) : null;
+                
+                if (subcommand === "list") {
+                    await purgeExpiredWatchlist(watchlist);
+                    const trashed = await watchlist.listTrash(guildId);
+                    const lines = trashed.slice(0, 20).map(p =>
+                        formatTrashEntry(p.id, p.name, p.deletedBy, p.deletedAt, p.expiresAt)
+                    );
+                    if (trashed.length > lines.length) lines.push(`…and ${trashed.length - lines.length} more`);
+                    await interaction.editReply(`🗑️ **Trash** (${trashed.length})\n${lines.join("\n") || "Empty."}`);
+                } else if (subcommand === "restore") {
+                    const restored = await watchlist.restoreMany(guildId, ids);
+                    await recordAudit(auditStore(), restored.map(p => ({
+                        actor,
+                        action: 'watchlist.restore',
+                        targetType: 'watchlist',
+                        targetId: p.id,
+                        after: p
+                    })));
+                    const missing = ids.filter(id => !restored.some(p => p.id === id));
+                    await interaction.editReply([
+                        restored.length > 0 ? `↩️ Restored ${restored.map(p => `${p.id}: ${p.name}`).join(", ")}` : null,
+                        missing.length > 0 ? `❌ Not in the trash: ${missing.join(", ")}` : null
+                    ].filter(Boolean).join("\n"));
+                } else if (subcommand === "purge") {
+                    if (!ids && !options.getBoolean("all")) {
+                        await interaction.editReply("❌ Give the `ids` to purge, or set `all` to empty the whole trash.");
+                        return;
                     }
+                    const purged = await watchlist.purgeTrash({
+                        guildId,
+                        ids: ids || (await watchlist.listTrash(guildId)).map(p => p.id)
+                    });
+                    await recordAudit(auditStore(), purged.map(p => ({
+                        actor,
+                        action: 'watchlist.purge',
+                        targetType: 'watchlist',
+                        targetId: p.id,
+                        before: p
+                    })));
+                    await interaction.editReply(`🔥 Deleted ${purged.length} products and their history for good.`);
+                }
+            } catch (error) {
+                console.error("Error in trash command:", error);
+                await interaction.editReply("❌ Failed to update the trash.");
+            }
+        }
+    });
+    
+    registry.define({
+        name: 'history',
+        description: 'Show price and stock history for a monitored product',
+        help: 'Show price and stock history for a product',
+        level: 'read',
+        options: [
+            { name: 'id', type: 'integer', description: 'Product ID', required: true }
+        ],
+        handler: async (interaction, { options }) => {
+            const { guildId } = interaction;
+            try {
+                const id = options.getInteger("id");
+                const product = await watchlist.get(guildId, id);
+                
+                if (!product) {
+                    await interaction.editReply(`❌ Product with ID ${id} not found.`);
+                    return;
+                }
+                
+                const records = await history.getHistory(product.id);
+                if (records.length === 0) {
+                    await interaction.editReply(`❌ No history recorded yet for **${product.name}**. Run /products to take a reading.`);
+                    return;
+                }
+                
+                const summary = history.summarizeHistory(records);
+                const toTimestamp = iso => `<t:${Math.floor(new Date(iso).getTime() / 1000)}:R>`;
+                const formatPrice = value => value === null ? "N/A" : formatMoney(value, BASE_CURRENCY);
+                
+                let stockText = "Unknown";
+                if (summary.inStock !== null) {
+                    stockText = summary.inStock ? "🟢 In stock" : "🔴 Sold out";
+                    stockText += summary.lastStockChange
+                        ? ` since ${toTimestamp(summary.lastStockChange.checkedAt)}`
+                        : " (no change recorded)";
                 }
-                else if (command === "bulkremovelink") {
-                    try {
-                        const idsInput = interaction.options.getString("ids");
-                        const idsToRemove = idsInput.split(',').map(id => parseInt(id.trim()));
-                        
-                        if (idsToRemove.some(isNaN)) {
-                            await interaction.editReply("❌ Invalid IDs format. Please use comma-separated numbers.");
-                            return;
-                        }
-                        
-                        const validIds = new Set(products.map(p => p.id));
-                        const invalidIds = idsToRemove.filter(id => !validIds.has(id));
-                        
-                        if (invalidIds.length > 0) {
-                            await interaction.editReply(`❌ These IDs are invalid: ${invalidIds.join(', ')}`);
-                            return;
-                        }
-                        
-                        const removedProducts = [];
-                        products = products.filter(p => {
-                            if (idsToRemove.includes(p.id)) {
-                                removedProducts.push(`${p.id}: ${p.name}`);
-                                return false;
-                            }
-                            return true;
-                        });
-                        
-                        saveProducts();
-                        reorganizeIds();
-                        
-                        await interaction.editReply({
-                            content: `✅ Removed ${removedProducts.length} products:\n${removedProducts.join("\n")}`
-                        });
-                    } catch (error) {
-                        console.error("Error in bulkremovelink command:", error);
-                        await interaction.editReply("❌ Failed to remove products.");
+                
+                let currentText = "N/A";
+                if (summary.current) {
+                    currentText = `\`${summary.current.price}\``;
+                    if (summary.average) {
+                        const diff = ((summary.current.priceNum - summary.average) / summary.average) * 100;
+                        currentText += ` (${diff >= 0 ? "+" : ""}${diff.toFixed(1)}% vs average)`;
                     }
                 }
-                else if (command === "bulklink") {
-                    try {
-                        const attachment = interaction.options.getAttachment("file");
-                        if (!attachment || !attachment.contentType || !attachment.contentType.includes("json")) {
-                            await interaction.editReply("❌ Please attach a valid JSON file.");
-                            return;
-                        }
-                        
-                        const response = await fetch(attachment.url);
-                        if (!response.ok) throw new Error("Failed to download file");
-                        const jsonData = await response.json();
-                        
-                        if (!Array.isArray(jsonData)) {
-                            await interaction.editReply("❌ Invalid JSON format. Expected an array of products.");
-                            return;
-                        }
-                        
-                        const addedProducts = [];
-                        for (const product of jsonData) {
-                            const id = generateProductId();
-                            if (!id) {
-                                await interaction.editReply("❌ Maximum product limit reached (100 products)");
-                                return;
-                            }
-                            
-                            products.push({
-                                id,
-                                name: product.name || "Unnamed Product",
-                                url: product.url || "",
-                                priceSelector: product.priceSelector || DEFAULT_PRICE_SELECTOR,
-                                stockSelector: product.stockSelector || DEFAULT_STOCK_SELECTOR,
-                                checkText: product.checkText || DEFAULT_CHECK_TEXT
-                            });
-                            addedProducts.push(`${id}: ${product.name || "Unnamed Product"}`);
-                        }
-                        
-                        saveProducts();
-                        
-                        await interaction.editReply({
-                            content: `✅ Added ${jsonData.length} products:\n${addedProducts.join("\n")}`
-                        });
-                    } catch (error) {
-                        console.error("Error in bulklink command:", error);
-                        await interaction.editReply(`❌ Failed to bulk add products: ${error.message}`);
+                
+                const embed = new EmbedBuilder()
+                    .setTitle(`📈 [${product.id}] ${product.name}`)
+                    .setURL(product.url)
+                    .setColor('#2ecc71')
+                    .addFields(
+                        { name: 'Current', value: currentText },
+                        { name: 'Min', value: formatPrice(summary.min), inline: true },
+                        { name: 'Max', value: formatPrice(summary.max), inline: true },
+                        { name: 'Average', value: formatPrice(summary.average), inline: true },
+                        { name: 'Stock', value: stockText },
+                        { name: 'Readings', value: `${summary.count} since ${toTimestamp(summary.firstCheckedAt)}` }
+                    );
+                
+                const files = [];
+                try {
+                    const chart = await renderHistoryChart(browserPool, records, product.name);
+                    files.push(new AttachmentBuilder(chart, { name: 'history.png' }));
+                    embed.setImage('attachment://history.png');
+                } catch (chartError) {
+                    console.error("Failed to render history chart:", chartError);
+                }
+                
+                await interaction.editReply({ embeds: [embed], files });
+            } catch (error) {
+                console.error("Error in history command:", error);
+                await interaction.editReply("❌ Failed to load product history.");
+            }
+        }
+    });
+    
+    registry.define(createPermissionsCommand(
+        () => permissions.targets,
+        async interaction => interaction.editReply(await handlePermissionsCommand(interaction, permissions, auditStore()))
+    ));
+    
+    registry.define({
+        name: 'settings',
+        description: 'Show or change how the bot works in this server',
+        help: 'Set this server\'s alert channel and price threshold',
+        subcommands: [
+            { name: 'show', description: 'Show the alert channel, price threshold and product limit', level: 'read' },
+            {
+                name: 'alerts',
+                description: 'Choose where price and stock alerts go',
+                options: [
+                    {
+                        name: 'channel',
+                        type: 'channel',
+                        description: 'Alert channel; leave out to turn alerts off',
+                        channelTypes: [ChannelType.GuildText, ChannelType.GuildAnnouncement]
                     }
+                ]
+            },
+            {
+                name: 'threshold',
+                description: 'Smallest price change that raises an alert',
+                options: [
+                    { name: 'percent', type: 'number', description: 'Percent; leave out to use the default', minValue: 0 }
+                ]
+            },
+            {
+                name: 'limit',
+                description: 'How many products this server may watch (bot owner only)',
+                options: [
+                    { name: 'max', type: 'integer', description: 'Leave out to use the default', minValue: 1 }
+                ]
+            }
+        ],
+        handler: async (interaction, { options, subcommand }) => {
+            const { guildId } = interaction;
+            try {
+                const before = await guildSettings.get(guildId);
+                let settings = before;
+                
+                if (subcommand === "alerts") {
+                    const channel = options.getChannel("channel");
+                    settings = await guildSettings.update(guildId, { alertChannelId: channel ? channel.id : null });
+                } else if (subcommand === "threshold") {
+                    settings = await guildSettings.update(guildId, { priceThreshold: options.getNumber("percent") });
+                } else if (subcommand === "limit") {
+                    // Server admins could otherwise lift their own limit
+                    if (!(await isBotOwner(interaction.user))) {
+                        await interaction.editReply("❌ Only the bot owner can change the product limit.");
+                        return;
+                    }
+                    settings = await guildSettings.update(guildId, { maxProducts: options.getInteger("max") });
+                }
+                
+                if (subcommand !== "show") {
+                    await recordAudit(auditStore(), {
+                        actor: discordActor(interaction.user),
+                        action: `settings.${subcommand}`,
+                        targetType: 'guild',
+                        targetId: guildId,
+                        before,
+                        after: settings
+                    });
                 }
+                
+                const watched = await watchlist.count(guildId);
+                await interaction.editReply([
+                    `⚙️ **Settings**${subcommand === "show" ? "" : " updated"}`,
+                    `Alert channel: ${settings.alertChannelId ? `<#${settings.alertChannelId}>` : "none, alerts are off"}`,
+                    `Price threshold: ${settings.priceThreshold}%`,
+                    `Products: ${watched} of ${settings.maxProducts}`
+                ].join("\n"));
+            } catch (error) {
+                console.error("Error in settings command:", error);
+                await interaction.editReply(error.status === 400 ? `❌ ${error.message}` : "❌ Failed to update the settings.");
             }
-            else if (interaction.isButton() || interaction.isStringSelectMenu()) {
-                if (!client.messageCache) return;
-                const cached = client.messageCache.get(interaction.message.id);
-                if (!cached) return;
+        }
+    });
+    
+    // A member's own watches are answered privately and count as reads, since they
+    // only concern the member. They span guilds, so they can be managed from DMs too.
+    registry.define({
+        name: 'watch',
+        description: 'Get a DM when a product drops below a price or comes back in stock',
+        help: 'Get a DM when a product drops below your price or is in stock',
+        level: 'read',
+        defer: 'ephemeral',
+        options: [
+            { name: 'id', type: 'integer', description: 'Product ID', required: true },
+            { name: 'below', type: 'number', description: 'DM me when the price is at or below this', minValue: 0 },
+            { name: 'currency', type: 'string', description: `Currency of the below price (default ${BASE_CURRENCY})`, minLength: 3, maxLength: 3 },
+            { name: 'restock', type: 'boolean', description: 'DM me when it is in stock' }
+        ],
+        handler: async (interaction, { options }) => {
+            const { guildId } = interaction;
+            try {
+                const id = options.getInteger("id");
+                const below = options.getNumber("below");
+                const currency = (options.getString("currency") || BASE_CURRENCY).toUpperCase();
+                const restock = options.getBoolean("restock") || false;
+                
+                if (below === null && !restock) {
+                    await interaction.editReply("❌ Give a `below` price, set `restock`, or both.");
+                    return;
+                }
+                const belowPrice = below === null ? null : convertAmount(below, currency);
+                if (below !== null && belowPrice === null) {
+                    await interaction.editReply(`❌ Unknown currency ${currency}`);
+                    return;
+                }
+                const product = await watchlist.get(guildId, id);
+                if (!product) {
+                    await interaction.editReply(`❌ Product with ID ${id} not found.`);
+                    return;
+                }
                 
+                const watch = await userWatches.put(interaction.user.id, product.id, {
+                    belowPrice,
+                    belowAmount: below,
+                    belowCurrency: below === null ? null : currency,
+                    restock
+                });
+                const optedOut = await userWatches.isOptedOut(interaction.user.id);
+                await interaction.editReply({
+                    content: `👀 Watching ${formatWatch({ ...watch, name: product.name, url: product.url })}\n` +
+                        (optedOut
+                            ? "⚠️ Your DMs from this bot are turned off, so you won't hear about it until you resume them."
+                            : "You'll get a DM when that happens. Keep DMs from server members open."),
+                    components: optedOut ? [createDmToggleRow(true)] : []
+                });
+            } catch (error) {
+                console.error("Error in watch command:", error);
+                await interaction.editReply("❌ Failed to save your watch.");
+            }
+        }
+    });
+    
+    registry.define({
+        name: 'unwatch',
+        description: 'Stop getting DMs about a product',
+        level: 'read',
+        dm: true,
+        defer: 'ephemeral',
+        options: [
+            { name: 'id', type: 'integer', description: 'Product ID', required: true }
+        ],
+        handler: async (interaction, { options }) => {
+            try {
+                const id = options.getInteger("id");
+                const removed = await userWatches.remove(interaction.user.id, id);
+                await interaction.editReply(removed
+                    ? `🔕 You'll no longer get DMs about product ${id}.`
+                    : `❌ You aren't watching product ${id}. See /mywatches.`);
+            } catch (error) {
+                console.error("Error in unwatch command:", error);
+                await interaction.editReply("❌ Failed to remove your watch.");
+            }
+        }
+    });
+    
+    registry.define({
+        name: 'mywatches',
+        description: 'List the products you get DMs about',
+        help: 'List your watches and turn DMs off or on',
+        level: 'read',
+        dm: true,
+        defer: 'ephemeral',
+        handler: async interaction => {
+            try {
+                const watches = await userWatches.listForUser(interaction.user.id);
+                const optedOut = await userWatches.isOptedOut(interaction.user.id);
+                const lines = watches.slice(0, 20).map(formatWatch);
+                if (watches.length > lines.length) lines.push(`…and ${watches.length - lines.length} more`);
+                await interaction.editReply({
+                    content: `👀 **Your watches** (${watches.length})\n${lines.join("\n\n") || "None yet. Use /watch to add one."}\n\n` +
+                        (optedOut ? "🔕 DMs are turned off." : "🔔 DMs are on."),
+                    components: [createDmToggleRow(optedOut)]
+                });
+            } catch (error) {
+                console.error("Error in mywatches command:", error);
+                await interaction.editReply("❌ Failed to load your watches.");
+            }
+        }
+    });
+    
+    // Anyone could change the watchlist before; now only reads are open by default
+    const permissions = createPermissions({
+        bot: 'scraper',
+        store: guildPermissions,
+        adminRoleId: process.env.ADMIN_ROLE_ID,
+        actions: registry.actions(),
+        onDenied: (interaction, action) => recordDenied(auditStore(), interaction, action)
+    });
+    
+    client.on("interactionCreate", async interaction => {
+        if (!interaction.isChatInputCommand() && !interaction.isButton() && !interaction.isStringSelectMenu()) {
+            return;
+        }
+        
+        try {
+            if (interaction.isChatInputCommand()) {
+                await registry.dispatch(interaction, permissions);
+            }
+            else if (interaction.isButton() && interaction.customId.startsWith("undo_removelink:")) {
+                if (!(await permissions.check(interaction, "removelink"))) {
+                    return interaction.reply({ content: DENIED_MESSAGE, flags: 64 });
+                }
+                await interaction.deferUpdate();
+                const ids = interaction.customId.split(":")[1].split(",").map(id => parseInt(id));
+                const restored = await watchlist.restoreMany(interaction.guildId, ids);
+                await recordAudit(auditStore(), restored.map(p => ({
+                    actor: discordActor(interaction.user),
+                    action: 'watchlist.restore',
+                    targetType: 'watchlist',
+                    targetId: p.id,
+                    after: p
+                })));
+                await interaction.editReply({
+                    content: restored.length > 0
+                        ? `↩️ Restored ${restored.length} products:\n${restored.map(p => `${p.id}: ${p.name}`).join("\n")}`
+                        : "❌ Nothing to restore: these products are no longer in the trash.",
+                    components: []
+                });
+            }
+            else if (interaction.isButton() && interaction.customId.startsWith("watch_")) {
+                const [action, value] = interaction.customId.split(":");
+                if (action === "watch_unwatch") {
+                    const removed = await userWatches.remove(interaction.user.id, parseInt(value));
+                    await interaction.reply({
+                        content: removed ? `🔕 You'll no longer get DMs about product ${value}.` : "❌ You aren't watching that product any more.",
+                        flags: 64
+                    });
+                } else if (action === "watch_dms") {
+                    const optedOut = value === "off";
+                    await userWatches.setOptOut(interaction.user.id, optedOut);
+                    await interaction.reply({
+                        content: optedOut
+                            ? "🔕 DMs turned off. Your watches are kept; use /mywatches to turn DMs back on."
+                            : "🔔 DMs turned back on.",
+                        components: [createDmToggleRow(optedOut)],
+                        flags: 64
+                    });
+                }
+            }
+            else if (interaction.customId.startsWith("page_") || interaction.customId === "select_page") {
                 await interaction.deferUpdate();
                 
-                let newPage = cached.currentPage;
-                if (interaction.isButton()) {
-                    const pageIndex = parseInt(interaction.customId.split("_")[1]);
-                    newPage = pageIndex;
-                } else if (interaction.isStringSelectMenu()) {
-                    if (interaction.customId === "select_page") {
-                        newPage = parseInt(interaction.values[0]);
-                    }
+                // The page is in the button or menu; only the results come from the session
+                const requested = parseInt(interaction.isButton() ? interaction.customId.split("_")[1] : interaction.values[0]);
+                const session = await sessions.get("products", interaction.message.id);
+                let results = session?.results;
+                let note = "";
+                if (!results) {
+                    const cached = scrapeCache.get(interaction.guildId);
+                    results = cached ? cached.results : await checkSites(interaction.guildId);
+                    note = `⌛ The results on this message expired after ${describeTtl("products")}, so these are from the latest check.\n\n`;
                 }
+                await sessions.update("products", interaction.message.id, { results });
                 
-                const embedPage = createPageEmbed(cached.pages[newPage], newPage, cached.pages.length);
-                const buttons = createNavigationButtons(newPage, cached.pages.length);
+                const pages = chunkArray(results, 5);
+                if (pages.length === 0) {
+                    return interaction.editReply({ content: `${note}No products to monitor. Add products using /addlink command.`, components: [] });
+                }
+                const newPage = Math.min(Math.max(requested || 0, 0), pages.length - 1);
+                const embedPage = createPageEmbed(pages[newPage], newPage, pages.length);
+                const buttons = createNavigationButtons(newPage, pages.length);
                 
                 await interaction.editReply({
-                    content: embedPage.content,
+                    content: note + embedPage.content,
                     components: [buttons]
                 });
-                
-                cached.currentPage = newPage;
-                client.messageCache.set(interaction.message.id, cached);
             }
         } catch (error) {
             console.error('Error handling interaction:', error);
@@ -1284,6 +3096,15 @@ client.on('interactionCreate', async interaction => {
         }
     });
     
+    process.once('SIGTERM', async () => {
+        console.log('SIGTERM received - shutting down');
+        monitor.stop();
+        await browserPool.close();
+        await db.pool.end();
+        client.destroy();
+        process.exit(0);
+    });
+    
     process.on('unhandledRejection', error => {
     if (error.code === 10062) {
         console.log('Unhandled Interaction Error (10062) - Ignoring');
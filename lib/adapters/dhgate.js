@@ -0,0 +1,31 @@
+const { extractProduct } = require('./generic');
+
+// DHgate ships CSS-module class names with a build hash appended, so match on the
+// stable prefix and keep older layouts around as fallbacks
+const PRICE_SELECTORS = [
+    "b[class^='productPrice_price']",
+    "[class*='productPrice_price']",
+    "[class*='product-price'] .price",
+    "#js-price"
+];
+const STOCK_SELECTORS = [
+    "button[class*='productButton_soldout']",
+    "[class*='soldout']"
+];
+
+module.exports = {
+    name: 'dhgate',
+    domains: ['dhgate.com'],
+    // Prices without a currency sign are in US dollars; other currencies DHgate
+    // shows ("€", "£", "AU $") are detected from the sign and converted
+    currency: 'USD',
+    defaults: {
+        priceSelector: PRICE_SELECTORS[0],
+        stockSelector: STOCK_SELECTORS[0],
+        checkText: 'Sold Out'
+    },
+    extract: (html, site) => extractProduct(html, site, {
+        priceSelectors: PRICE_SELECTORS,
+        stockSelectors: STOCK_SELECTORS
+    })
+};
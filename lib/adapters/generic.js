@@ -0,0 +1,46 @@
+const cheerio = require('cheerio');
+const { readStructuredData } = require('./structured');
+
+function readSelector($, selectors) {
+    for (const selector of selectors.filter(Boolean)) {
+        const text = $(selector).first().text().trim();
+        if (text) return text;
+    }
+    return null;
+}
+
+// Structured data first (JSON-LD, OpenGraph, microdata), then the product's
+// configured selectors, then whatever fallbacks the adapter knows about
+function extractProduct(html, site, fallbacks = {}) {
+    const $ = cheerio.load(html);
+    const structured = readStructuredData($);
+    const result = { price: 'N/A', stock: 'N/A', source: 'selector' };
+
+    if (structured && structured.price) {
+        result.price = structured.currency ? `${structured.currency} ${structured.price}` : structured.price;
+        result.source = structured.source;
+    } else {
+        result.price = readSelector($, [site.priceSelector, ...(fallbacks.priceSelectors || [])]) || 'N/A';
+    }
+
+    if (structured && typeof structured.inStock === 'boolean') {
+        result.inStock = structured.inStock;
+        result.stock = structured.inStock ? 'In Stock' : 'Out of Stock';
+    } else {
+        result.stock = readSelector($, [site.stockSelector, ...(fallbacks.stockSelectors || [])]) || 'N/A';
+    }
+
+    return result;
+}
+
+module.exports = {
+    name: 'generic',
+    domains: [],
+    defaults: {
+        priceSelector: null,
+        stockSelector: null,
+        checkText: ''
+    },
+    extract: (html, site) => extractProduct(html, site),
+    extractProduct
+};
@@ -0,0 +1,18 @@
+const dhgate = require('./dhgate');
+const generic = require('./generic');
+
+const adapters = [dhgate];
+
+function getAdapter(url) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.toLowerCase();
+    } catch (err) {
+        return generic;
+    }
+    return adapters.find(adapter =>
+        adapter.domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`))
+    ) || generic;
+}
+
+module.exports = { getAdapter };
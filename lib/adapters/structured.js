@@ -0,0 +1,94 @@
+const IN_STOCK = ['instock', 'instoreonly', 'onlineonly', 'limitedavailability', 'preorder', 'presale', 'backorder'];
+const OUT_OF_STOCK = ['outofstock', 'soldout', 'discontinued'];
+
+function parseAvailability(value) {
+    if (!value) return null;
+    const key = String(value).split('/').pop().toLowerCase().replace(/[^a-z]/g, '');
+    if (IN_STOCK.includes(key)) return true;
+    if (OUT_OF_STOCK.includes(key)) return false;
+    return null;
+}
+
+function hasType(node, type) {
+    const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+    return types.includes(type);
+}
+
+function findProducts(node, found = []) {
+    if (!node || typeof node !== 'object') return found;
+    if (Array.isArray(node)) {
+        node.forEach(child => findProducts(child, found));
+        return found;
+    }
+    if (hasType(node, 'Product')) found.push(node);
+    if (node['@graph']) findProducts(node['@graph'], found);
+    return found;
+}
+
+function fromOffer(offer) {
+    if (!offer) return null;
+    if (Array.isArray(offer)) {
+        return offer.map(fromOffer).find(Boolean) || null;
+    }
+    if (offer.offers) return fromOffer(offer.offers);
+    const price = offer.price ?? offer.lowPrice ?? offer.priceSpecification?.price;
+    if (price === undefined && !offer.availability) return null;
+    return {
+        price: price !== undefined ? String(price) : null,
+        currency: offer.priceCurrency || offer.priceSpecification?.priceCurrency || null,
+        inStock: parseAvailability(offer.availability)
+    };
+}
+
+// image may be a URL, an ImageObject or a list of either
+function imageUrl(image) {
+    if (!image) return null;
+    if (Array.isArray(image)) return imageUrl(image[0]);
+    if (typeof image === 'object') return image.url || image.contentUrl || null;
+    return String(image);
+}
+
+function readJsonLd($) {
+    for (const script of $('script[type="application/ld+json"]').toArray()) {
+        let data;
+        try {
+            data = JSON.parse($(script).contents().text());
+        } catch (err) {
+            continue;
+        }
+        for (const product of findProducts(data)) {
+            const offer = fromOffer(product.offers);
+            if (offer) return { ...offer, title: product.name || null, image: imageUrl(product.image), source: 'json-ld' };
+        }
+    }
+    return null;
+}
+
+function readMetaTags($) {
+    const meta = name => $(`meta[property="${name}"], meta[name="${name}"]`).attr('content') || null;
+    const itemprop = name => {
+        const el = $(`[itemprop="${name}"]`).first();
+        if (!el.length) return null;
+        return (el.attr('content') || el.attr('href') || el.text()).trim() || null;
+    };
+
+    const price = meta('product:price:amount') || meta('og:price:amount') || itemprop('price');
+    const availability = meta('product:availability') || meta('og:availability') || itemprop('availability');
+    if (!price && !availability) return null;
+
+    return {
+        price,
+        currency: meta('product:price:currency') || meta('og:price:currency') || itemprop('priceCurrency'),
+        inStock: parseAvailability(availability),
+        source: 'meta'
+    };
+}
+
+function readStructuredData($) {
+    return readJsonLd($) || readMetaTags($);
+}
+
+module.exports = {
+    parseAvailability,
+    readStructuredData
+};
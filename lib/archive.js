@@ -0,0 +1,205 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { getImage } = require('./images');
+const { getCategoryMap } = require('./categories');
+const { readBulkZip, validateRows } = require('./bulkImport');
+const { BASE_CURRENCY } = require('./price');
+
+const ARCHIVE_VERSION = 1;
+const PAGE_SIZE = 100;
+const RESTORE_MODES = ['merge', 'replace'];
+// Same headers /bulk-add reads, so an export doubles as a bulk-add ZIP
+const CSV_COLUMNS = ['id', 'name', 'price', 'currency', 'link', 'image', 'mainCategory', 'subCategory', 'monitorUrl'];
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp', 'image/avif': 'avif' };
+
+async function listAllProducts(catalog) {
+    const all = [];
+    let cursor;
+    do {
+        const page = await catalog.products.list({ sort: 'date', order: 'asc', limit: PAGE_SIZE, cursor });
+        all.push(...page.products);
+        cursor = page.nextCursor;
+    } while (cursor);
+    return all;
+}
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+    return [CSV_COLUMNS, ...rows.map(row => CSV_COLUMNS.map(column => row[column]))]
+        .map(cells => cells.map(csvField).join(','))
+        .join('\r\n');
+}
+
+// Image bytes for a product, from the image store or a legacy base64 document
+async function readProductImage(image) {
+    if (!image) return null;
+    if (image.data) return { data: Buffer.from(image.data, 'base64'), contentType: image.contentType };
+    if (image.id) return getImage(image.id);
+    return null;
+}
+
+// Builds a ZIP with products.json (full fidelity, plus categories), products.csv
+// and every image under images/. Returns { buffer, count, missingImages }.
+async function exportCatalog(catalog) {
+    const zip = new AdmZip();
+    const products = await listAllProducts(catalog);
+    const categories = await catalog.categories.list();
+    const missingImages = [];
+    const entries = [];
+
+    for (const product of products) {
+        let imagePath = null;
+        const image = await readProductImage(product.image);
+        if (image) {
+            const extension = EXTENSIONS[image.contentType] || path.extname(product.image.name || '').slice(1) || 'bin';
+            imagePath = `images/${product.id}.${extension}`;
+            zip.addFile(imagePath, image.data);
+        } else {
+            missingImages.push(product.id);
+        }
+
+        entries.push({
+            id: product.id,
+            name: product.name,
+            price: product.price,
+            priceAmount: product.priceAmount,
+            priceCurrency: product.priceCurrency,
+            link: product.link,
+            mainCategory: product.mainCategory,
+            subCategory: product.subCategory || null,
+            monitorUrl: product.monitorUrl || null,
+            image: imagePath,
+            created_at: product.created_at instanceof Date ? product.created_at.toISOString() : product.created_at
+        });
+    }
+
+    const manifest = {
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        baseCurrency: BASE_CURRENCY,
+        categories: categories.map(({ name, subCategories, position }) => ({ name, subCategories, position })),
+        products: entries
+    };
+    zip.addFile('products.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+    zip.addFile('products.csv', Buffer.from(toCsv(entries.map(entry => ({
+        ...entry,
+        // Amount and currency separately, so the CSV reads back exactly
+        price: entry.priceAmount ?? entry.price,
+        currency: entry.priceCurrency
+    })))));
+
+    return { buffer: zip.toBuffer(), count: entries.length, missingImages };
+}
+
+function readArchiveCategories(buffer) {
+    const entry = new AdmZip(buffer).getEntry('products.json');
+    if (!entry) return [];
+    const manifest = JSON.parse(entry.getData().toString('utf8'));
+    return Array.isArray(manifest.categories) ? manifest.categories : [];
+}
+
+// Works out what restoring an archive would do without changing anything.
+// merge: products whose link is already in the catalog are updated, the rest added.
+// replace: every product is added and the current catalog goes to the trash.
+async function planRestore(catalog, buffer, { mode = 'merge' } = {}) {
+    if (!RESTORE_MODES.includes(mode)) {
+        throw new Error(`Unknown restore mode "${mode}". Use one of: ${RESTORE_MODES.join(', ')}`);
+    }
+
+    const { manifest, rows, images } = readBulkZip(buffer);
+    if (!manifest) {
+        throw new Error('No products.json or products.csv found in the ZIP');
+    }
+
+    // Categories the archive brings along count as known, and are created on restore
+    const existingCategories = await getCategoryMap(catalog);
+    const newCategories = [];
+    const categories = { ...existingCategories };
+    for (const category of readArchiveCategories(buffer)) {
+        const known = categories[category.name] || [];
+        const missing = (category.subCategories || []).filter(sub => !known.includes(sub));
+        if (!categories[category.name] || missing.length > 0) {
+            newCategories.push({ name: category.name, subCategories: missing });
+            categories[category.name] = [...known, ...missing];
+        }
+    }
+
+    const { valid, invalid } = validateRows(rows, { images, categories });
+    // Unlike /bulk-add there is no category to fall back on
+    const categorized = valid.filter(row => {
+        if (row.mainCategory) return true;
+        invalid.push({ row: row.row, name: row.name, problems: ['missing mainCategory'] });
+        return false;
+    });
+    invalid.sort((a, b) => a.row - b.row);
+
+    // Within the archive the first row with a link wins
+    const seenLinks = new Set();
+    const duplicates = [];
+    const unique = categorized.filter(row => {
+        if (seenLinks.has(row.link)) {
+            duplicates.push({ row: row.row, name: row.name, link: row.link });
+            return false;
+        }
+        seenLinks.add(row.link);
+        return true;
+    });
+
+    const current = await listAllProducts(catalog);
+    const byLink = new Map(current.map(product => [product.link, product]));
+    const toAdd = [];
+    const toUpdate = [];
+    for (const row of unique) {
+        const existing = mode === 'merge' ? byLink.get(row.link) : null;
+        if (existing) toUpdate.push({ ...row, existingId: existing.id });
+        else toAdd.push(row);
+    }
+
+    return {
+        mode,
+        manifest,
+        total: rows.length,
+        invalid,
+        duplicates,
+        newCategories,
+        toAdd,
+        toUpdate,
+        toTrash: mode === 'replace' ? current.map(product => product.id) : []
+    };
+}
+
+function formatRestoreSummary(plan) {
+    const lines = [
+        `Mode: ${plan.mode}`,
+        `Manifest: ${plan.manifest} (${plan.total} rows)`,
+        `To add: ${plan.toAdd.length}`,
+        `To update (same link): ${plan.toUpdate.length}`,
+        `Current products moved to the trash: ${plan.toTrash.length}`,
+        `Duplicate links in the ZIP, skipped: ${plan.duplicates.length}`,
+        `Rows with problems, skipped: ${plan.invalid.length}`
+    ];
+    if (plan.newCategories.length > 0) {
+        lines.push(`Categories to create: ${plan.newCategories
+            .map(({ name, subCategories }) => (subCategories.length ? `${name} > ${subCategories.join(', ')}` : name))
+            .join('; ')}`);
+    }
+    for (const { row, name, link } of plan.duplicates) {
+        lines.push(`Row ${row}${name ? ` (${name})` : ''}: duplicate link ${link}`);
+    }
+    for (const { row, name, problems } of plan.invalid) {
+        lines.push(`Row ${row}${name ? ` (${name})` : ''}: ${problems.join('; ')}`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    RESTORE_MODES,
+    listAllProducts,
+    exportCatalog,
+    planRestore,
+    formatRestoreSummary
+};
@@ -0,0 +1,88 @@
+const AUDIT_PAGE_SIZE = 20;
+const MAX_AUDIT_PAGE_SIZE = 100;
+// Derived or bulky fields that would only bloat an entry
+const OMITTED_FIELDS = ['name_lower', 'searchTokens', 'priceValue', 'live'];
+
+function discordActor(user) {
+    return { type: 'discord', id: user.id, label: user.tag || user.username || null };
+}
+
+// requireAdmin() puts the API key or Firebase user on req.actor
+function requestActor(req) {
+    const actor = req.actor || {};
+    return { type: actor.type || 'unknown', id: actor.id || null, label: actor.label || actor.email || null };
+}
+
+// JSON-safe copy of a record: dates as ISO strings, legacy base64 images dropped
+function snapshot(record) {
+    if (!record) return null;
+    const copy = {};
+    for (const [key, value] of Object.entries(record)) {
+        if (OMITTED_FIELDS.includes(key) || value === undefined) continue;
+        if (value instanceof Date) {
+            copy[key] = value.toISOString();
+        } else if (key === 'image' && value && value.data) {
+            copy[key] = { contentType: value.contentType, name: value.name };
+        } else {
+            copy[key] = value;
+        }
+    }
+    return JSON.parse(JSON.stringify(copy));
+}
+
+function toEntry({ actor, action, targetType, targetId, before = null, after = null }) {
+    return {
+        actorType: actor.type,
+        actorId: actor.id ? String(actor.id) : null,
+        actorLabel: actor.label || null,
+        action,
+        targetType,
+        targetId: targetId !== undefined && targetId !== null ? String(targetId) : null,
+        before: snapshot(before),
+        after: snapshot(after)
+    };
+}
+
+// `store` is anything with an audit store: a catalog, or { audit: require('./auditLog') }.
+// The change has already happened by the time it is audited, so a failed write
+// is logged rather than turned into an error for the user.
+async function recordAudit(store, entries) {
+    const list = (Array.isArray(entries) ? entries : [entries]).map(toEntry);
+    if (list.length === 0) return;
+    try {
+        await store.audit.addMany(list);
+    } catch (err) {
+        console.error('Failed to write audit entries:', err, JSON.stringify(list));
+    }
+}
+
+async function listAudit(catalog, { actorId, targetType, targetId, action, limit = AUDIT_PAGE_SIZE, cursor } = {}) {
+    return catalog.audit.list({
+        actorId: actorId || undefined,
+        targetType: targetType || undefined,
+        targetId: targetId || undefined,
+        action: action || undefined,
+        limit: Math.min(limit, MAX_AUDIT_PAGE_SIZE),
+        cursor: cursor || undefined
+    });
+}
+
+// Names of the fields an update touched, for one-line summaries
+function changedFields(before, after) {
+    if (!before || !after) return [];
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].filter(key =>
+        !['updated_at', 'created_at'].includes(key) &&
+        JSON.stringify(before[key]) !== JSON.stringify(after[key])
+    );
+}
+
+module.exports = {
+    AUDIT_PAGE_SIZE,
+    MAX_AUDIT_PAGE_SIZE,
+    discordActor,
+    requestActor,
+    recordAudit,
+    listAudit,
+    changedFields
+};
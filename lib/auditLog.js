@@ -0,0 +1,69 @@
+const db = require('./db');
+const { newId, invalidCursor } = require('./catalog/shared');
+
+const AUDIT_COLUMNS = { actorId: 'actor_id', targetType: 'target_type', targetId: 'target_id', action: 'action' };
+
+// Audit entries in Postgres: the postgres catalog's audit store, and where the
+// scraper bot records watchlist changes when it runs without a catalog
+function fromAuditRow(row) {
+    return {
+        id: row.id,
+        actorType: row.actor_type,
+        actorId: row.actor_id,
+        actorLabel: row.actor_label,
+        action: row.action,
+        targetType: row.target_type,
+        targetId: row.target_id,
+        before: row.before,
+        after: row.after,
+        created_at: row.created_at
+    };
+}
+
+async function addMany(entries) {
+    await db.transaction(async client => {
+        for (const entry of entries) {
+            await client.query(
+                `INSERT INTO audit_log (id, actor_type, actor_id, actor_label, action, target_type, target_id, before, after)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+                [newId(), entry.actorType, entry.actorId, entry.actorLabel, entry.action,
+                    entry.targetType, entry.targetId, JSON.stringify(entry.before), JSON.stringify(entry.after)]
+            );
+        }
+    });
+}
+
+async function list({ limit = 20, cursor, ...filters }) {
+    const conditions = [];
+    const params = [];
+    const param = value => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+
+    for (const [key, column] of Object.entries(AUDIT_COLUMNS)) {
+        if (filters[key] !== undefined) conditions.push(`${column} = ${param(filters[key])}`);
+    }
+    if (cursor) {
+        const { rows } = await db.query('SELECT created_at FROM audit_log WHERE id = $1', [cursor]);
+        if (rows.length === 0) throw invalidCursor();
+        conditions.push(`(created_at, id) < (${param(rows[0].created_at)}, ${param(cursor)})`);
+    }
+
+    const { rows } = await db.query(
+        `SELECT * FROM audit_log
+         ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY created_at DESC, id DESC
+         LIMIT ${param(limit)}`,
+        params
+    );
+    return {
+        entries: rows.map(fromAuditRow),
+        nextCursor: rows.length === limit ? rows[rows.length - 1].id : null
+    };
+}
+
+module.exports = {
+    addMany,
+    list
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { isFirebaseReady } = require('./firebase');
+
+const KEY_PREFIX = 'mrc_';
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Only the hash is stored, so a key can be shown exactly once when issued
+async function createApiKey(catalog, { label, createdBy }) {
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const id = await catalog.apiKeys.create({
+        hash: hashKey(key),
+        prefix: key.slice(0, KEY_PREFIX.length + 6),
+        label,
+        created_by: createdBy
+    });
+    return { id, key };
+}
+
+async function listApiKeys(catalog) {
+    return catalog.apiKeys.list();
+}
+
+async function revokeApiKey(catalog, id) {
+    return catalog.apiKeys.revoke(id);
+}
+
+async function findApiKey(catalog, key) {
+    const apiKey = await catalog.apiKeys.findByHash(hashKey(key));
+    if (!apiKey || apiKey.revoked_at) return null;
+    return apiKey;
+}
+
+function readCredential(req) {
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) return apiKey.trim();
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+// Accepts either an API key or a Firebase ID token carrying the admin custom claim
+function requireAdmin(catalog) {
+    return async (req, res, next) => {
+        const credential = readCredential(req);
+        if (!credential) {
+            return res.status(401).json({ error: 'Authentication required: send an API key or a Firebase ID token' });
+        }
+
+        try {
+            if (credential.startsWith(KEY_PREFIX)) {
+                const apiKey = await findApiKey(catalog, credential);
+                if (!apiKey) {
+                    return res.status(401).json({ error: 'Invalid or revoked API key' });
+                }
+                catalog.apiKeys.touch(apiKey.id)
+                    .catch(err => console.error('Failed to record API key use:', err));
+                req.actor = { type: 'apiKey', id: apiKey.id, label: apiKey.label };
+                return next();
+            }
+
+            if (!isFirebaseReady()) {
+                return res.status(401).json({ error: 'ID tokens need Firebase configured - use an API key' });
+            }
+
+            let decoded;
+            try {
+                decoded = await admin.auth().verifyIdToken(credential);
+            } catch (err) {
+                return res.status(401).json({ error: 'Invalid or expired ID token', details: err.message });
+            }
+            if (decoded.admin !== true) {
+                return res.status(403).json({ error: 'Admin privileges required' });
+            }
+            req.actor = { type: 'firebase', id: decoded.uid, email: decoded.email };
+            next();
+        } catch (err) {
+            console.error('Authentication error:', err);
+            res.status(500).json({ error: 'Server error during authentication', details: err.message });
+        }
+    };
+}
+
+module.exports = {
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    requireAdmin
+};
@@ -0,0 +1,106 @@
+// Keeps a few headless browsers alive and hands out pages from them, so a scrape
+// doesn't pay for a full Chromium launch per product.
+function createBrowserPool({ launch, browsers = 1, concurrency = 3, pageTimeout = 120000 }) {
+    const slots = Array(browsers).fill(null);
+    const idlePages = new Map();
+    const waiting = [];
+    let active = 0;
+    let nextSlot = 0;
+    let closed = false;
+
+    async function getBrowser(index) {
+        if (!slots[index]) {
+            slots[index] = launch().then(browser => {
+                browser.on('disconnected', () => {
+                    if (closed) return;
+                    console.warn(`Browser ${index} disconnected - relaunching on next use`);
+                    slots[index] = null;
+                    idlePages.delete(browser);
+                });
+                return browser;
+            }).catch(err => {
+                slots[index] = null;
+                throw err;
+            });
+        }
+        return slots[index];
+    }
+
+    async function acquirePage() {
+        const browser = await getBrowser(nextSlot);
+        nextSlot = (nextSlot + 1) % slots.length;
+        const pages = idlePages.get(browser) || [];
+        while (pages.length > 0) {
+            const page = pages.pop();
+            if (!page.isClosed()) return { browser, page };
+        }
+        return { browser, page: await browser.newPage() };
+    }
+
+    async function releasePage(browser, page, reusable) {
+        if (closed || !browser.connected || page.isClosed()) return;
+        if (!reusable) {
+            await page.close().catch(() => {});
+            return;
+        }
+        try {
+            await page.goto('about:blank');
+            if (!idlePages.has(browser)) idlePages.set(browser, []);
+            idlePages.get(browser).push(page);
+        } catch (err) {
+            await page.close().catch(() => {});
+        }
+    }
+
+    function acquireSlot() {
+        if (active < concurrency) {
+            active++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => waiting.push(resolve));
+    }
+
+    function releaseSlot() {
+        const next = waiting.shift();
+        if (next) {
+            next();
+        } else {
+            active--;
+        }
+    }
+
+    async function withPage(task) {
+        if (closed) throw new Error('Browser pool is closed');
+        await acquireSlot();
+        let browser, page;
+        let reusable = false;
+        let timer;
+        try {
+            ({ browser, page } = await acquirePage());
+            const timeout = new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error(`Page timed out after ${pageTimeout}ms`)), pageTimeout);
+            });
+            const result = await Promise.race([task(page), timeout]);
+            reusable = true;
+            return result;
+        } finally {
+            clearTimeout(timer);
+            if (page) await releasePage(browser, page, reusable);
+            releaseSlot();
+        }
+    }
+
+    async function close() {
+        closed = true;
+        const launched = await Promise.allSettled(slots.filter(Boolean));
+        slots.fill(null);
+        idlePages.clear();
+        await Promise.all(launched
+            .filter(r => r.status === 'fulfilled')
+            .map(r => r.value.close().catch(err => console.error('Failed to close browser:', err))));
+    }
+
+    return { withPage, close };
+}
+
+module.exports = { createBrowserPool };
@@ -0,0 +1,219 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { normalizePrice } = require('./price');
+const { MAX_IMAGE_SIZE } = require('./images');
+
+const MANIFEST_NAMES = ['products.csv', 'products.json'];
+const IMAGE_PATTERN = /\.(jpg|jpeg|png|gif|webp|avif)$/i;
+
+// Header spellings people actually use, mapped to product fields
+const COLUMN_ALIASES = {
+    name: 'name',
+    price: 'price',
+    currency: 'currency',
+    pricecurrency: 'currency',
+    link: 'link',
+    url: 'link',
+    image: 'image',
+    imagefile: 'image',
+    filename: 'image',
+    maincategory: 'mainCategory',
+    category: 'mainCategory',
+    subcategory: 'subCategory',
+    monitorurl: 'monitorUrl'
+};
+
+// RFC 4180: quoted fields may hold commas, newlines and "" for a literal quote
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+function toRecord(entries) {
+    const record = {};
+    for (const [key, value] of entries) {
+        const field = COLUMN_ALIASES[String(key).toLowerCase().replace(/[^a-z]/g, '')];
+        if (field && value !== undefined && value !== null) {
+            record[field] = String(value).trim();
+        }
+    }
+    return record;
+}
+
+// "Jewelry accessories" -> JEWELRY_ACCESSORIES, the way category names are stored
+function toCategoryName(value) {
+    return value ? value.toUpperCase().replace(/[\s-]+/g, '_') : undefined;
+}
+
+function parseManifest(filename, text) {
+    // Spreadsheet exports often start with a byte order mark
+    text = text.replace(/^\uFEFF/, '');
+
+    if (filename.endsWith('.json')) {
+        const data = JSON.parse(text);
+        const list = Array.isArray(data) ? data : data.products;
+        if (!Array.isArray(list)) {
+            throw new Error('products.json must be an array or { "products": [...] }');
+        }
+        return list.map(item => toRecord(Object.entries(item || {})));
+    }
+
+    const [header, ...rows] = parseCsv(text);
+    if (!header) throw new Error('products.csv is empty');
+    return rows.map(cells => toRecord(header.map((key, i) => [key, cells[i]])));
+}
+
+// Reads the manifest and indexes the images in a bulk-add ZIP.
+// Returns { manifest, rows, images } where images maps a lowercased path to its entry.
+function readBulkZip(buffer) {
+    const zip = new AdmZip(buffer);
+    const entries = zip.getEntries().filter(entry =>
+        !entry.isDirectory && !entry.entryName.startsWith('__MACOSX/')
+    );
+
+    // The shallowest manifest wins, so a copy tucked in a subfolder doesn't
+    const manifestEntry = entries
+        .filter(entry => MANIFEST_NAMES.includes(path.posix.basename(entry.entryName).toLowerCase()))
+        .sort((a, b) => a.entryName.split('/').length - b.entryName.split('/').length)[0];
+
+    const images = new Map();
+    for (const entry of entries.filter(entry => IMAGE_PATTERN.test(entry.entryName))) {
+        images.set(entry.entryName.toLowerCase(), entry);
+    }
+
+    if (!manifestEntry) {
+        return { manifest: null, rows: [], images };
+    }
+
+    const manifestDir = path.posix.dirname(manifestEntry.entryName);
+    const rows = parseManifest(
+        manifestEntry.entryName.toLowerCase(),
+        manifestEntry.getData().toString('utf8')
+    ).map(row => ({
+        ...row,
+        mainCategory: toCategoryName(row.mainCategory),
+        subCategory: toCategoryName(row.subCategory),
+        // Image paths are relative to the manifest, like links in a web page
+        imagePath: row.image ? path.posix.join(manifestDir, row.image).toLowerCase() : null
+    }));
+
+    return { manifest: manifestEntry.entryName, rows, images };
+}
+
+function findImage(images, row) {
+    if (!row.imagePath) return null;
+    if (images.has(row.imagePath)) return images.get(row.imagePath);
+    // Fall back to the bare filename when it is unique in the ZIP
+    const basename = path.posix.basename(row.imagePath);
+    const matches = [...images.keys()].filter(key => path.posix.basename(key) === basename);
+    return matches.length === 1 ? images.get(matches[0]) : null;
+}
+
+function isValidLink(link) {
+    try {
+        const url = new URL(link);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
+
+// Splits rows into ones ready to add and a report of what is wrong with the rest.
+// Rows without a category are valid; they take the category picked for the import.
+function validateRows(rows, { images, categories }) {
+    const valid = [];
+    const invalid = [];
+
+    rows.forEach((row, index) => {
+        const problems = [];
+        if (!row.name) problems.push('missing name');
+
+        let price = null;
+        if (!row.price) {
+            problems.push('missing price');
+        } else {
+            try {
+                price = normalizePrice(row.price, row.currency ? row.currency.toUpperCase() : undefined);
+            } catch (error) {
+                problems.push(error.message);
+            }
+        }
+
+        if (!row.link) problems.push('missing link');
+        else if (!isValidLink(row.link)) problems.push(`bad link "${row.link}"`);
+        if (row.monitorUrl && !isValidLink(row.monitorUrl)) problems.push(`bad monitorUrl "${row.monitorUrl}"`);
+
+        const image = findImage(images, row);
+        if (!row.image) problems.push('missing image filename');
+        else if (!image) problems.push(`image "${row.image}" not in ZIP`);
+        else if (image.header.size > MAX_IMAGE_SIZE) problems.push(`image "${row.image}" larger than ${MAX_IMAGE_SIZE / 1024 / 1024}MB`);
+
+        if (row.mainCategory && !categories[row.mainCategory]) {
+            problems.push(`unknown category "${row.mainCategory}"`);
+        } else if (row.subCategory && !row.mainCategory) {
+            problems.push('subCategory given without mainCategory');
+        } else if (row.subCategory && !categories[row.mainCategory].includes(row.subCategory)) {
+            problems.push(`unknown subcategory "${row.mainCategory} > ${row.subCategory}"`);
+        }
+
+        // Rows are numbered from 1, not counting the CSV header
+        const line = index + 1;
+        if (problems.length > 0) {
+            invalid.push({ row: line, name: row.name || '', problems });
+        } else {
+            valid.push({ ...row, ...price, row: line, imageEntry: image.entryName });
+        }
+    });
+
+    return { valid, invalid };
+}
+
+function formatReport({ manifest, valid, invalid }) {
+    const lines = [`Manifest: ${manifest}`, `Ready to add: ${valid.length}`, `Rows with problems: ${invalid.length}`];
+    for (const { row, name, problems } of invalid) {
+        lines.push(`Row ${row}${name ? ` (${name})` : ''}: ${problems.join('; ')}`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    MANIFEST_NAMES,
+    parseCsv,
+    readBulkZip,
+    validateRows,
+    formatReport
+};
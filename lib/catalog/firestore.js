@@ -0,0 +1,354 @@
+const admin = require('firebase-admin');
+const { initFirebase } = require('../firebase');
+const { buildSearchFields } = require('../search');
+const { SORT_FIELDS, matchesTerms, withoutInternalFields, definedOnly, invalidCursor } = require('./shared');
+
+const BATCH_LIMIT = 500;
+const IN_QUERY_LIMIT = 30;
+
+function fromDoc(doc) {
+    const data = doc.data();
+    return withoutInternalFields({
+        id: doc.id,
+        ...data,
+        created_at: data.created_at?.toDate?.() || null,
+        updated_at: data.updated_at?.toDate?.() || null
+    });
+}
+
+function fromTrashDoc(doc) {
+    const data = doc.data();
+    return {
+        ...fromDoc(doc),
+        deleted_at: data.deleted_at?.toDate?.() || null,
+        expires_at: data.expires_at?.toDate?.() || null
+    };
+}
+
+// Firestore caps a batch at 500 writes
+async function commitInChunks(db, items, write, writesPerItem = 1) {
+    const size = Math.floor(BATCH_LIMIT / writesPerItem);
+    for (let i = 0; i < items.length; i += size) {
+        const batch = db.batch();
+        items.slice(i, i + size).forEach(item => write(batch, item));
+        await batch.commit();
+    }
+}
+
+function createFirestoreCatalog() {
+    initFirebase();
+    const db = admin.firestore();
+    const productsRef = db.collection('products');
+    const apiKeysRef = db.collection('api_keys');
+    const categoriesRef = db.collection('categories');
+    const auditRef = db.collection('audit_log');
+    const trashRef = db.collection('products_trash');
+    const permissionsRef = db.collection('guild_permissions');
+    const sessionsRef = db.collection('interaction_sessions');
+    const now = () => admin.firestore.FieldValue.serverTimestamp();
+
+    async function getMany(ids) {
+        if (ids.length === 0) return [];
+        const snapshots = await db.getAll(...ids.map(id => productsRef.doc(id)));
+        return snapshots.filter(doc => doc.exists).map(fromDoc);
+    }
+
+    function inCategory({ mainCategory, subCategory }, ref = productsRef) {
+        let query = ref.where('mainCategory', '==', mainCategory);
+        if (subCategory !== undefined) query = query.where('subCategory', '==', subCategory);
+        return query;
+    }
+
+    const products = {
+        async add(product) {
+            const [added] = await products.addMany([product]);
+            return added;
+        },
+
+        async addMany(list) {
+            const entries = list.map(product => ({
+                ref: productsRef.doc(),
+                data: definedOnly({ ...product, ...buildSearchFields(product), created_at: now() })
+            }));
+            await commitInChunks(db, entries, (batch, entry) => batch.set(entry.ref, entry.data));
+            return getMany(entries.map(entry => entry.ref.id));
+        },
+
+        async get(id) {
+            const doc = await productsRef.doc(id).get();
+            return doc.exists ? fromDoc(doc) : null;
+        },
+
+        getMany,
+
+        async update(id, updates) {
+            const docRef = productsRef.doc(id);
+            const doc = await docRef.get();
+            if (!doc.exists) return null;
+            await docRef.update(definedOnly({ ...updates, ...buildSearchFields(updates), updated_at: now() }));
+            return fromDoc(await docRef.get());
+        },
+
+        async remove(id, options) {
+            const [removed] = await products.removeMany([id], options);
+            return removed || null;
+        },
+
+        // Moves products to the trash, where they stay until restored or purged
+        async removeMany(ids, { deletedBy = null, expiresAt }) {
+            const unique = [...new Set(ids)];
+            if (unique.length === 0) return [];
+            const existing = (await db.getAll(...unique.map(id => productsRef.doc(id)))).filter(doc => doc.exists);
+            await commitInChunks(db, existing, (batch, doc) => {
+                batch.set(trashRef.doc(doc.id), {
+                    ...doc.data(),
+                    deletedBy,
+                    deleted_at: now(),
+                    expires_at: admin.firestore.Timestamp.fromDate(expiresAt)
+                });
+                batch.delete(doc.ref);
+            }, 2);
+            return existing.map(fromDoc);
+        },
+
+        async listTrash() {
+            const snapshot = await trashRef.orderBy('deleted_at', 'desc').get();
+            return snapshot.docs.map(fromTrashDoc);
+        },
+
+        async restoreMany(ids) {
+            const unique = [...new Set(ids)];
+            if (unique.length === 0) return [];
+            const trashed = (await db.getAll(...unique.map(id => trashRef.doc(id)))).filter(doc => doc.exists);
+            await commitInChunks(db, trashed, (batch, doc) => {
+                const { deletedBy, deleted_at, expires_at, ...data } = doc.data();
+                batch.set(productsRef.doc(doc.id), data);
+                batch.delete(doc.ref);
+            }, 2);
+            return getMany(trashed.map(doc => doc.id));
+        },
+
+        // Deletes trashed products for good: the ones in ids, or every one expired by expiredBefore
+        async purgeTrash({ ids, expiredBefore }) {
+            let docs = [];
+            if (ids && ids.length > 0) {
+                docs = (await db.getAll(...ids.map(id => trashRef.doc(id)))).filter(doc => doc.exists);
+            } else if (!ids) {
+                const expiresAt = admin.firestore.Timestamp.fromDate(expiredBefore);
+                docs = (await trashRef.where('expires_at', '<=', expiresAt).get()).docs;
+            }
+            await commitInChunks(db, docs, (batch, doc) => batch.delete(doc.ref));
+            return docs.map(fromTrashDoc);
+        },
+
+        async count(filter) {
+            const snapshot = await inCategory(filter).count().get();
+            return snapshot.data().count;
+        },
+
+        async countTrashed(filter) {
+            const snapshot = await inCategory(filter, trashRef).count().get();
+            return snapshot.data().count;
+        },
+
+        // Trashed products are refiled too, so restoring one never brings back a
+        // category that was renamed; returns how many live products changed
+        async recategorize(filter, changes) {
+            const snapshot = await inCategory(filter).get();
+            await commitInChunks(db, snapshot.docs, (batch, doc) =>
+                batch.update(doc.ref, { ...changes, updated_at: now() })
+            );
+            const trashed = await inCategory(filter, trashRef).get();
+            await commitInChunks(db, trashed.docs, (batch, doc) => batch.update(doc.ref, changes));
+            return snapshot.size;
+        },
+
+        async findLinked(urls) {
+            const found = [];
+            for (let i = 0; i < urls.length; i += IN_QUERY_LIMIT) {
+                const snapshot = await productsRef.where('monitorUrl', 'in', urls.slice(i, i + IN_QUERY_LIMIT)).get();
+                found.push(...snapshot.docs.map(fromDoc));
+            }
+            return found;
+        },
+
+        // Scrape results aren't edits, so updated_at stays as it was
+        async updateLive(entries) {
+            await commitInChunks(db, entries, (batch, { id, live }) => batch.update(productsRef.doc(id), { live }));
+        },
+
+        async list({ mainCategory, subCategory, terms = [], minPrice, maxPrice, sort = 'date', order = 'desc', limit = 20, cursor }) {
+            let query = productsRef;
+
+            if (mainCategory) query = query.where('mainCategory', '==', mainCategory);
+            if (subCategory) query = query.where('subCategory', '==', subCategory);
+
+            // Firestore takes one array-contains per query: match on the longest term
+            // and check the rest against the name afterwards
+            const sortedTerms = [...terms].sort((a, b) => b.length - a.length);
+            if (sortedTerms.length > 0) {
+                query = query.where('searchTokens', 'array-contains', sortedTerms[0]);
+            }
+
+            if (minPrice !== undefined) query = query.where('priceValue', '>=', minPrice);
+            if (maxPrice !== undefined) query = query.where('priceValue', '<=', maxPrice);
+
+            query = query.orderBy(SORT_FIELDS[sort], order);
+
+            if (cursor) {
+                const cursorDoc = await productsRef.doc(cursor).get();
+                if (!cursorDoc.exists) throw invalidCursor();
+                query = query.startAfter(cursorDoc);
+            }
+
+            const snapshot = await query.limit(limit).get();
+            return {
+                products: snapshot.docs
+                    .filter(doc => matchesTerms(doc.data().name_lower, sortedTerms.slice(1)))
+                    .map(fromDoc),
+                nextCursor: snapshot.size === limit ? snapshot.docs[snapshot.size - 1].id : null
+            };
+        }
+    };
+
+    const apiKeys = {
+        async create(key) {
+            const docRef = await apiKeysRef.add({ ...key, created_at: now(), revoked_at: null });
+            return docRef.id;
+        },
+
+        async findByHash(hash) {
+            const snapshot = await apiKeysRef.where('hash', '==', hash).limit(1).get();
+            if (snapshot.empty) return null;
+            const doc = snapshot.docs[0];
+            return { id: doc.id, ...doc.data() };
+        },
+
+        async list() {
+            const snapshot = await apiKeysRef.orderBy('created_at', 'desc').get();
+            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        },
+
+        async revoke(id) {
+            const docRef = apiKeysRef.doc(id);
+            const doc = await docRef.get();
+            if (!doc.exists) return false;
+            await docRef.update({ revoked_at: now() });
+            return true;
+        },
+
+        async touch(id) {
+            await apiKeysRef.doc(id).update({ last_used_at: now() });
+        }
+    };
+
+    const categories = {
+        async list() {
+            const snapshot = await categoriesRef.orderBy('position').get();
+            return snapshot.docs.map(doc => ({ subCategories: [], ...doc.data(), name: doc.id }));
+        },
+
+        async get(name) {
+            const doc = await categoriesRef.doc(name).get();
+            return doc.exists ? { subCategories: [], ...doc.data(), name: doc.id } : null;
+        },
+
+        async put({ name, subCategories, position }) {
+            await categoriesRef.doc(name).set({ subCategories, position });
+        },
+
+        async remove(name) {
+            const docRef = categoriesRef.doc(name);
+            const doc = await docRef.get();
+            if (!doc.exists) return false;
+            await docRef.delete();
+            return true;
+        }
+    };
+
+    const audit = {
+        async addMany(entries) {
+            await commitInChunks(db, entries, (batch, entry) =>
+                batch.set(auditRef.doc(), { ...entry, created_at: now() })
+            );
+        },
+
+        async list({ limit = 20, cursor, ...filters }) {
+            let query = auditRef;
+            for (const key of ['actorId', 'targetType', 'targetId', 'action']) {
+                if (filters[key] !== undefined) query = query.where(key, '==', filters[key]);
+            }
+            query = query.orderBy('created_at', 'desc');
+
+            if (cursor) {
+                const cursorDoc = await auditRef.doc(cursor).get();
+                if (!cursorDoc.exists) throw invalidCursor();
+                query = query.startAfter(cursorDoc);
+            }
+
+            const snapshot = await query.limit(limit).get();
+            return {
+                entries: snapshot.docs.map(doc => ({
+                    id: doc.id,
+                    ...doc.data(),
+                    created_at: doc.data().created_at?.toDate?.() || null
+                })),
+                nextCursor: snapshot.size === limit ? snapshot.docs[snapshot.size - 1].id : null
+            };
+        }
+    };
+
+    const permissions = {
+        async get(bot, guildId) {
+            const doc = await permissionsRef.doc(`${bot}_${guildId}`).get();
+            return doc.exists ? doc.data().rules : null;
+        },
+
+        async put(bot, guildId, rules) {
+            await permissionsRef.doc(`${bot}_${guildId}`).set({ bot, guildId, rules, updated_at: now() });
+        }
+    };
+
+    const sessions = {
+        async get(id) {
+            const doc = await sessionsRef.doc(id).get();
+            if (!doc.exists) return null;
+            const data = doc.data();
+            return { id: doc.id, kind: data.kind, data: data.data, expiresAt: data.expires_at.toDate() };
+        },
+
+        async put({ id, kind, data, expiresAt }) {
+            await sessionsRef.doc(id).set({ kind, data, expires_at: expiresAt, updated_at: now() });
+        },
+
+        // In a transaction, so only one of two racing callers sees it go
+        remove(id) {
+            return db.runTransaction(async transaction => {
+                const doc = await transaction.get(sessionsRef.doc(id));
+                if (!doc.exists) return false;
+                transaction.delete(doc.ref);
+                return true;
+            });
+        },
+
+        async purgeExpired(before) {
+            const snapshot = await sessionsRef.where('expires_at', '<=', before).get();
+            await commitInChunks(db, snapshot.docs, (batch, doc) => batch.delete(doc.ref));
+            return snapshot.size;
+        }
+    };
+
+    return {
+        backend: 'firestore',
+        async init() {},
+        async close() {},
+        products,
+        apiKeys,
+        categories,
+        audit,
+        permissions,
+        sessions
+    };
+}
+
+module.exports = createFirestoreCatalog;
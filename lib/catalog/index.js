@@ -0,0 +1,20 @@
+const BACKENDS = ['firestore', 'postgres', 'memory', 'json'];
+
+// The one place either bot or the API gets catalog storage from. CATALOG_STORE
+// picks the backend; memory and json need no network, so they work offline.
+function createCatalog(backend = process.env.CATALOG_STORE || 'firestore') {
+    switch (backend) {
+        case 'firestore':
+            return require('./firestore')();
+        case 'postgres':
+            return require('./postgres')();
+        case 'memory':
+            return require('./memory')();
+        case 'json':
+            return require('./memory')({ file: process.env.CATALOG_FILE || './catalog.json' });
+        default:
+            throw new Error(`Unknown CATALOG_STORE "${backend}". Use one of: ${BACKENDS.join(', ')}`);
+    }
+}
+
+module.exports = { createCatalog };
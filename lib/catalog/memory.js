@@ -0,0 +1,353 @@
+const fs = require('fs');
+const { buildSearchFields } = require('../search');
+const { SORT_FIELDS, newId, matchesTerms, withoutInternalFields, definedOnly, invalidCursor } = require('./shared');
+
+const DATE_FIELDS = ['created_at', 'updated_at', 'revoked_at', 'last_used_at', 'deleted_at', 'expires_at', 'expiresAt'];
+const AUDIT_FILTERS = ['actorId', 'targetType', 'targetId', 'action'];
+
+function reviveDates(record) {
+    for (const field of DATE_FIELDS) {
+        if (record[field]) record[field] = new Date(record[field]);
+    }
+    return record;
+}
+
+function compareValues(a, b) {
+    if (a instanceof Date) return a - b;
+    if (typeof a === 'number') return a - b;
+    return String(a).localeCompare(String(b));
+}
+
+// Keeps everything in Maps. With a file it loads from and rewrites that JSON file
+// on every change, which is plenty for local development and tests.
+function createMemoryCatalog({ file } = {}) {
+    const state = { products: new Map(), apiKeys: new Map(), categories: new Map(), audit: new Map(), trash: new Map(), permissions: new Map(), sessions: new Map() };
+    const keyOf = (name, record) => {
+        if (name === 'categories') return record.name;
+        if (name === 'permissions') return `${record.bot}:${record.guildId}`;
+        return record.id;
+    };
+
+    if (file && fs.existsSync(file)) {
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        for (const [name, records] of Object.entries(saved)) {
+            if (!state[name]) continue;
+            records.forEach(record => state[name].set(keyOf(name, record), reviveDates(record)));
+        }
+    }
+
+    function save() {
+        if (!file) return;
+        const data = Object.fromEntries(
+            Object.entries(state).map(([name, map]) => [name, [...map.values()]])
+        );
+        fs.writeFileSync(file, JSON.stringify(data, null, 2));
+    }
+
+    const copy = record => withoutInternalFields(structuredClone(record));
+    const inCategory = (product, filter) =>
+        product.mainCategory === filter.mainCategory &&
+        (filter.subCategory === undefined || product.subCategory === filter.subCategory);
+
+    const products = {
+        async add(product) {
+            const [added] = await products.addMany([product]);
+            return added;
+        },
+
+        async addMany(list) {
+            const added = list.map(product => {
+                const record = definedOnly({
+                    ...structuredClone(product),
+                    ...buildSearchFields(product),
+                    id: newId(),
+                    created_at: new Date(),
+                    updated_at: null
+                });
+                state.products.set(record.id, record);
+                return copy(record);
+            });
+            save();
+            return added;
+        },
+
+        async get(id) {
+            const record = state.products.get(id);
+            return record ? copy(record) : null;
+        },
+
+        async getMany(ids) {
+            return ids.filter(id => state.products.has(id)).map(id => copy(state.products.get(id)));
+        },
+
+        async update(id, updates) {
+            const record = state.products.get(id);
+            if (!record) return null;
+            Object.assign(record, definedOnly({
+                ...structuredClone(updates),
+                ...buildSearchFields(updates),
+                updated_at: new Date()
+            }));
+            save();
+            return copy(record);
+        },
+
+        async remove(id, options) {
+            const [removed] = await products.removeMany([id], options);
+            return removed || null;
+        },
+
+        // Moves products to the trash, where they stay until restored or purged
+        async removeMany(ids, { deletedBy = null, expiresAt }) {
+            const removed = [];
+            for (const id of new Set(ids)) {
+                const record = state.products.get(id);
+                if (!record) continue;
+                state.products.delete(id);
+                state.trash.set(id, { ...record, deletedBy, deleted_at: new Date(), expires_at: expiresAt });
+                removed.push(copy(record));
+            }
+            save();
+            return removed;
+        },
+
+        async listTrash() {
+            return [...state.trash.values()]
+                .sort((a, b) => b.deleted_at - a.deleted_at)
+                .map(copy);
+        },
+
+        async restoreMany(ids) {
+            const restored = [];
+            for (const id of new Set(ids)) {
+                const record = state.trash.get(id);
+                if (!record) continue;
+                const { deletedBy, deleted_at, expires_at, ...product } = record;
+                state.trash.delete(id);
+                state.products.set(id, product);
+                restored.push(copy(product));
+            }
+            save();
+            return restored;
+        },
+
+        // Deletes trashed products for good: the ones in ids, or every one expired by expiredBefore
+        async purgeTrash({ ids, expiredBefore }) {
+            const purged = [...state.trash.values()].filter(record =>
+                ids ? ids.includes(record.id) : record.expires_at <= expiredBefore
+            );
+            purged.forEach(record => state.trash.delete(record.id));
+            save();
+            return purged.map(copy);
+        },
+
+        async count(filter) {
+            return [...state.products.values()].filter(product => inCategory(product, filter)).length;
+        },
+
+        async countTrashed(filter) {
+            return [...state.trash.values()].filter(product => inCategory(product, filter)).length;
+        },
+
+        // Trashed products are refiled too, so restoring one never brings back a
+        // category that was renamed; returns how many live products changed
+        async recategorize(filter, changes) {
+            const matching = [...state.products.values()].filter(product => inCategory(product, filter));
+            matching.forEach(product => Object.assign(product, changes, { updated_at: new Date() }));
+            [...state.trash.values()]
+                .filter(product => inCategory(product, filter))
+                .forEach(product => Object.assign(product, changes));
+            save();
+            return matching.length;
+        },
+
+        async findLinked(urls) {
+            return [...state.products.values()]
+                .filter(product => product.monitorUrl && urls.includes(product.monitorUrl))
+                .map(copy);
+        },
+
+        // Scrape results aren't edits, so updated_at stays as it was
+        async updateLive(entries) {
+            for (const { id, live } of entries) {
+                const record = state.products.get(id);
+                if (record) record.live = structuredClone(live);
+            }
+            save();
+        },
+
+        async list({ mainCategory, subCategory, terms = [], minPrice, maxPrice, sort = 'date', order = 'desc', limit = 20, cursor }) {
+            const field = SORT_FIELDS[sort];
+            const direction = order === 'desc' ? -1 : 1;
+
+            // Like Firestore's orderBy, records without the sort field are left out
+            const matching = [...state.products.values()]
+                .filter(p => p[field] !== undefined && p[field] !== null)
+                .filter(p => !mainCategory || p.mainCategory === mainCategory)
+                .filter(p => !subCategory || p.subCategory === subCategory)
+                .filter(p => minPrice === undefined || p.priceValue >= minPrice)
+                .filter(p => maxPrice === undefined || p.priceValue <= maxPrice)
+                .filter(p => matchesTerms(p.name_lower, terms))
+                .sort((a, b) => direction * (compareValues(a[field], b[field]) || a.id.localeCompare(b.id)));
+
+            let start = 0;
+            if (cursor) {
+                const cursorRecord = state.products.get(cursor);
+                if (!cursorRecord) throw invalidCursor();
+                start = matching.findIndex(p =>
+                    direction * (compareValues(p[field], cursorRecord[field]) || p.id.localeCompare(cursorRecord.id)) > 0
+                );
+                if (start === -1) start = matching.length;
+            }
+
+            const page = matching.slice(start, start + limit);
+            return {
+                products: page.map(copy),
+                nextCursor: page.length === limit && start + limit < matching.length ? page[page.length - 1].id : null
+            };
+        }
+    };
+
+    const apiKeys = {
+        async create(key) {
+            const id = newId();
+            state.apiKeys.set(id, { ...key, id, created_at: new Date(), revoked_at: null });
+            save();
+            return id;
+        },
+
+        async findByHash(hash) {
+            const key = [...state.apiKeys.values()].find(k => k.hash === hash);
+            return key ? { ...key } : null;
+        },
+
+        async list() {
+            return [...state.apiKeys.values()]
+                .sort((a, b) => b.created_at - a.created_at)
+                .map(key => ({ ...key }));
+        },
+
+        async revoke(id) {
+            const key = state.apiKeys.get(id);
+            if (!key) return false;
+            key.revoked_at = new Date();
+            save();
+            return true;
+        },
+
+        async touch(id) {
+            const key = state.apiKeys.get(id);
+            if (key) key.last_used_at = new Date();
+        }
+    };
+
+    const categories = {
+        async list() {
+            return [...state.categories.values()]
+                .sort((a, b) => a.position - b.position || a.name.localeCompare(b.name))
+                .map(category => structuredClone(category));
+        },
+
+        async get(name) {
+            const category = state.categories.get(name);
+            return category ? structuredClone(category) : null;
+        },
+
+        async put(category) {
+            state.categories.set(category.name, structuredClone(category));
+            save();
+        },
+
+        async remove(name) {
+            const removed = state.categories.delete(name);
+            save();
+            return removed;
+        }
+    };
+
+    const audit = {
+        async addMany(entries) {
+            // Entries written in the same millisecond still list in insertion order
+            const createdAt = new Date();
+            for (const entry of entries) {
+                const id = newId();
+                state.audit.set(id, { ...structuredClone(entry), id, created_at: createdAt, seq: state.audit.size });
+            }
+            save();
+        },
+
+        async list({ limit = 20, cursor, ...filters }) {
+            const newestFirst = (a, b) => b.created_at - a.created_at || b.seq - a.seq;
+            const matching = [...state.audit.values()]
+                .filter(entry => AUDIT_FILTERS.every(key => filters[key] === undefined || entry[key] === filters[key]))
+                .sort(newestFirst);
+
+            let start = 0;
+            if (cursor) {
+                const cursorEntry = state.audit.get(cursor);
+                if (!cursorEntry) throw invalidCursor();
+                start = matching.findIndex(entry => newestFirst(entry, cursorEntry) > 0);
+                if (start === -1) start = matching.length;
+            }
+
+            const page = matching.slice(start, start + limit);
+            return {
+                entries: page.map(({ seq, ...entry }) => structuredClone(entry)),
+                nextCursor: page.length === limit && start + limit < matching.length ? page[page.length - 1].id : null
+            };
+        }
+    };
+
+    const permissions = {
+        async get(bot, guildId) {
+            const record = state.permissions.get(`${bot}:${guildId}`);
+            return record ? structuredClone(record.rules) : null;
+        },
+
+        async put(bot, guildId, rules) {
+            state.permissions.set(`${bot}:${guildId}`, { bot, guildId, rules: structuredClone(rules) });
+            save();
+        }
+    };
+
+    const sessions = {
+        async get(id) {
+            const record = state.sessions.get(id);
+            return record ? structuredClone(record) : null;
+        },
+
+        async put(record) {
+            state.sessions.set(record.id, structuredClone(record));
+            save();
+        },
+
+        async remove(id) {
+            const removed = state.sessions.delete(id);
+            if (removed) save();
+            return removed;
+        },
+
+        async purgeExpired(before) {
+            const expired = [...state.sessions.values()].filter(record => record.expiresAt <= before);
+            expired.forEach(record => state.sessions.delete(record.id));
+            if (expired.length > 0) save();
+            return expired.length;
+        }
+    };
+
+    return {
+        backend: file ? 'json' : 'memory',
+        async init() {},
+        async close() {
+            save();
+        },
+        products,
+        apiKeys,
+        categories,
+        audit,
+        permissions,
+        sessions
+    };
+}
+
+module.exports = createMemoryCatalog;
@@ -0,0 +1,323 @@
+const db = require('../db');
+const guildPermissions = require('../guildPermissions');
+const interactionSessions = require('../interactionSessions');
+const auditLog = require('../auditLog');
+const { buildSearchFields } = require('../search');
+const { newId, withoutInternalFields, definedOnly, invalidCursor } = require('./shared');
+
+const SORT_COLUMNS = { date: 'created_at', price: 'price_value', name: 'name_lower' };
+const COLUMNS = 'id, data, created_at, updated_at';
+const TABLE_COLUMNS = 'id, main_category, sub_category, name_lower, search_tokens, price_value, data, created_at, updated_at';
+const TRASH_COLUMNS = `${COLUMNS}, deleted_by, deleted_at, expires_at`;
+const STORED_ELSEWHERE = ['id', 'created_at', 'updated_at', 'priceValue', 'name_lower', 'searchTokens'];
+const CATEGORY_COLUMNS = { mainCategory: 'main_category', subCategory: 'sub_category' };
+
+function fromRow(row) {
+    return withoutInternalFields({
+        ...row.data,
+        id: row.id,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    });
+}
+
+// Everything but the indexed columns lives in the data JSONB column
+function toColumns(product) {
+    const search = buildSearchFields(product);
+    const data = definedOnly({ ...product, priceValue: search.priceValue });
+    STORED_ELSEWHERE.filter(field => field !== 'priceValue').forEach(field => delete data[field]);
+    return {
+        main_category: product.mainCategory || null,
+        sub_category: product.subCategory || null,
+        name_lower: search.name_lower || '',
+        search_tokens: search.searchTokens || [],
+        price_value: search.priceValue,
+        data
+    };
+}
+
+async function insertProduct(client, product) {
+    const columns = toColumns(product);
+    const { rows } = await client.query(
+        `INSERT INTO catalog_products (id, main_category, sub_category, name_lower, search_tokens, price_value, data)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING ${COLUMNS}`,
+        [newId(), columns.main_category, columns.sub_category, columns.name_lower, columns.search_tokens, columns.price_value, columns.data]
+    );
+    return fromRow(rows[0]);
+}
+
+// WHERE clause for products filed under { mainCategory, subCategory? }
+function categoryConditions(filter, params) {
+    return Object.entries(CATEGORY_COLUMNS)
+        .filter(([field]) => filter[field] !== undefined)
+        .map(([field, column]) => {
+            params.push(filter[field]);
+            return `${column} IS NOT DISTINCT FROM $${params.length}`;
+        })
+        .join(' AND ');
+}
+
+function fromTrashRow(row) {
+    return { ...fromRow(row), deletedBy: row.deleted_by, deleted_at: row.deleted_at, expires_at: row.expires_at };
+}
+
+function fromCategoryRow(row) {
+    return { name: row.name, subCategories: row.sub_categories, position: row.position };
+}
+
+function createPostgresCatalog() {
+    const products = {
+        async add(product) {
+            return insertProduct(db, product);
+        },
+
+        async addMany(list) {
+            return db.transaction(async client => {
+                const added = [];
+                for (const product of list) {
+                    added.push(await insertProduct(client, product));
+                }
+                return added;
+            });
+        },
+
+        async get(id) {
+            const { rows } = await db.query(`SELECT ${COLUMNS} FROM catalog_products WHERE id = $1`, [id]);
+            return rows.length ? fromRow(rows[0]) : null;
+        },
+
+        async getMany(ids) {
+            const { rows } = await db.query(`SELECT ${COLUMNS} FROM catalog_products WHERE id = ANY($1::text[])`, [ids]);
+            return rows.map(fromRow);
+        },
+
+        async update(id, updates) {
+            return db.transaction(async client => {
+                const { rows } = await client.query(
+                    `SELECT ${COLUMNS} FROM catalog_products WHERE id = $1 FOR UPDATE`,
+                    [id]
+                );
+                if (rows.length === 0) return null;
+
+                const columns = toColumns({ ...fromRow(rows[0]), ...definedOnly(updates) });
+                const result = await client.query(
+                    `UPDATE catalog_products
+                     SET main_category = $2, sub_category = $3, name_lower = $4, search_tokens = $5,
+                         price_value = $6, data = $7, updated_at = now()
+                     WHERE id = $1
+                     RETURNING ${COLUMNS}`,
+                    [id, columns.main_category, columns.sub_category, columns.name_lower, columns.search_tokens, columns.price_value, columns.data]
+                );
+                return fromRow(result.rows[0]);
+            });
+        },
+
+        async remove(id, options) {
+            const [removed] = await products.removeMany([id], options);
+            return removed || null;
+        },
+
+        // Moves products to the trash, where they stay until restored or purged
+        async removeMany(ids, { deletedBy = null, expiresAt }) {
+            const { rows } = await db.query(
+                `WITH moved AS (DELETE FROM catalog_products WHERE id = ANY($1::text[]) RETURNING ${TABLE_COLUMNS})
+                 INSERT INTO catalog_products_trash (${TABLE_COLUMNS}, deleted_by, expires_at)
+                 SELECT ${TABLE_COLUMNS}, $2, $3 FROM moved
+                 RETURNING ${COLUMNS}`,
+                [ids, deletedBy, expiresAt]
+            );
+            return rows.map(fromRow);
+        },
+
+        async listTrash() {
+            const { rows } = await db.query(`SELECT ${TRASH_COLUMNS} FROM catalog_products_trash ORDER BY deleted_at DESC`);
+            return rows.map(fromTrashRow);
+        },
+
+        async restoreMany(ids) {
+            const { rows } = await db.query(
+                `WITH moved AS (DELETE FROM catalog_products_trash WHERE id = ANY($1::text[]) RETURNING ${TABLE_COLUMNS})
+                 INSERT INTO catalog_products (${TABLE_COLUMNS})
+                 SELECT ${TABLE_COLUMNS} FROM moved
+                 RETURNING ${COLUMNS}`,
+                [ids]
+            );
+            return rows.map(fromRow);
+        },
+
+        // Deletes trashed products for good: the ones in ids, or every one expired by expiredBefore
+        async purgeTrash({ ids, expiredBefore }) {
+            const { rows } = ids
+                ? await db.query(`DELETE FROM catalog_products_trash WHERE id = ANY($1::text[]) RETURNING ${TRASH_COLUMNS}`, [ids])
+                : await db.query(`DELETE FROM catalog_products_trash WHERE expires_at <= $1 RETURNING ${TRASH_COLUMNS}`, [expiredBefore]);
+            return rows.map(fromTrashRow);
+        },
+
+        async count(filter) {
+            const params = [];
+            const { rows } = await db.query(
+                `SELECT count(*)::int AS count FROM catalog_products WHERE ${categoryConditions(filter, params)}`,
+                params
+            );
+            return rows[0].count;
+        },
+
+        async countTrashed(filter) {
+            const params = [];
+            const { rows } = await db.query(
+                `SELECT count(*)::int AS count FROM catalog_products_trash WHERE ${categoryConditions(filter, params)}`,
+                params
+            );
+            return rows[0].count;
+        },
+
+        // The category is kept both in its own column and in data, so both change together.
+        // Trashed products are refiled too, so restoring one never brings back a
+        // category that was renamed; returns how many live products changed.
+        async recategorize(filter, changes) {
+            const params = [];
+            const where = categoryConditions(filter, params);
+            const assignments = Object.entries(CATEGORY_COLUMNS)
+                .filter(([field]) => changes[field] !== undefined)
+                .map(([field, column]) => {
+                    params.push(changes[field]);
+                    return `${column} = $${params.length}`;
+                });
+            params.push(changes);
+            const set = `${assignments.join(', ')}, data = data || $${params.length}::jsonb`;
+            return db.transaction(async client => {
+                const { rowCount } = await client.query(
+                    `UPDATE catalog_products SET ${set}, updated_at = now() WHERE ${where}`,
+                    params
+                );
+                await client.query(`UPDATE catalog_products_trash SET ${set} WHERE ${where}`, params);
+                return rowCount;
+            });
+        },
+
+        async findLinked(urls) {
+            const { rows } = await db.query(
+                `SELECT ${COLUMNS} FROM catalog_products WHERE data->>'monitorUrl' = ANY($1::text[])`,
+                [urls]
+            );
+            return rows.map(fromRow);
+        },
+
+        // Scrape results aren't edits, so updated_at stays as it was
+        async updateLive(entries) {
+            await db.transaction(async client => {
+                for (const { id, live } of entries) {
+                    await client.query(
+                        `UPDATE catalog_products SET data = jsonb_set(data, '{live}', $2::jsonb) WHERE id = $1`,
+                        [id, JSON.stringify(live)]
+                    );
+                }
+            });
+        },
+
+        async list({ mainCategory, subCategory, terms = [], minPrice, maxPrice, sort = 'date', order = 'desc', limit = 20, cursor }) {
+            const column = SORT_COLUMNS[sort];
+            const direction = order === 'desc' ? 'DESC' : 'ASC';
+            const conditions = [`${column} IS NOT NULL`];
+            const params = [];
+            const param = value => {
+                params.push(value);
+                return `$${params.length}`;
+            };
+
+            if (mainCategory) conditions.push(`main_category = ${param(mainCategory)}`);
+            if (subCategory) conditions.push(`sub_category = ${param(subCategory)}`);
+            if (terms.length > 0) conditions.push(`search_tokens @> ${param(terms)}::text[]`);
+            if (minPrice !== undefined) conditions.push(`price_value >= ${param(minPrice)}`);
+            if (maxPrice !== undefined) conditions.push(`price_value <= ${param(maxPrice)}`);
+
+            if (cursor) {
+                const { rows } = await db.query(`SELECT ${column} AS value FROM catalog_products WHERE id = $1`, [cursor]);
+                if (rows.length === 0) throw invalidCursor();
+                conditions.push(`(${column}, id) ${direction === 'DESC' ? '<' : '>'} (${param(rows[0].value)}, ${param(cursor)})`);
+            }
+
+            const { rows } = await db.query(
+                `SELECT ${COLUMNS} FROM catalog_products
+                 WHERE ${conditions.join(' AND ')}
+                 ORDER BY ${column} ${direction}, id ${direction}
+                 LIMIT ${param(limit)}`,
+                params
+            );
+            return {
+                products: rows.map(fromRow),
+                nextCursor: rows.length === limit ? rows[rows.length - 1].id : null
+            };
+        }
+    };
+
+    const apiKeys = {
+        async create(key) {
+            const id = newId();
+            await db.query(
+                'INSERT INTO api_keys (id, hash, prefix, label, created_by) VALUES ($1, $2, $3, $4, $5)',
+                [id, key.hash, key.prefix, key.label, key.created_by || null]
+            );
+            return id;
+        },
+
+        async findByHash(hash) {
+            const { rows } = await db.query('SELECT * FROM api_keys WHERE hash = $1', [hash]);
+            return rows[0] || null;
+        },
+
+        async list() {
+            const { rows } = await db.query('SELECT * FROM api_keys ORDER BY created_at DESC');
+            return rows;
+        },
+
+        async revoke(id) {
+            const { rowCount } = await db.query('UPDATE api_keys SET revoked_at = now() WHERE id = $1', [id]);
+            return rowCount > 0;
+        },
+
+        async touch(id) {
+            await db.query('UPDATE api_keys SET last_used_at = now() WHERE id = $1', [id]);
+        }
+    };
+
+    const categories = {
+        async list() {
+            const { rows } = await db.query('SELECT * FROM catalog_categories ORDER BY position, name');
+            return rows.map(fromCategoryRow);
+        },
+
+        async get(name) {
+            const { rows } = await db.query('SELECT * FROM catalog_categories WHERE name = $1', [name]);
+            return rows.length ? fromCategoryRow(rows[0]) : null;
+        },
+
+        async put({ name, subCategories, position }) {
+            await db.query(
+                `INSERT INTO catalog_categories (name, sub_categories, position) VALUES ($1, $2, $3)
+                 ON CONFLICT (name) DO UPDATE SET sub_categories = EXCLUDED.sub_categories, position = EXCLUDED.position`,
+                [name, subCategories, position]
+            );
+        },
+
+        async remove(name) {
+            const { rowCount } = await db.query('DELETE FROM catalog_categories WHERE name = $1', [name]);
+            return rowCount > 0;
+        }
+    };
+
+    return {
+        backend: 'postgres',
+        init: () => db.migrate(),
+        close: () => db.pool.end(),
+        products,
+        apiKeys,
+        categories,
+        audit: auditLog,
+        permissions: guildPermissions,
+        sessions: interactionSessions
+    };
+}
+
+module.exports = createPostgresCatalog;
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const { MAX_PREFIX_LENGTH } = require('../search');
+
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const SORT_FIELDS = { date: 'created_at', price: 'priceValue', name: 'name_lower' };
+const INTERNAL_FIELDS = ['name_lower', 'searchTokens'];
+
+// Same shape as Firestore auto IDs, so IDs look alike whichever backend made them
+function newId() {
+    const bytes = crypto.randomBytes(20);
+    return Array.from(bytes, b => ID_ALPHABET[b % ID_ALPHABET.length]).join('');
+}
+
+function matchesTerms(nameLower, terms) {
+    const words = String(nameLower || '').split(/[^\p{L}\p{N}]+/u);
+    return terms.every(term => words.some(word => word.startsWith(term.slice(0, MAX_PREFIX_LENGTH))));
+}
+
+function withoutInternalFields(product) {
+    const result = { ...product };
+    INTERNAL_FIELDS.forEach(field => delete result[field]);
+    return result;
+}
+
+// Firestore rejects undefined values, so every backend drops them the same way
+function definedOnly(fields) {
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+function invalidCursor() {
+    const error = new Error('Invalid cursor');
+    error.status = 400;
+    return error;
+}
+
+module.exports = {
+    SORT_FIELDS,
+    newId,
+    matchesTerms,
+    withoutInternalFields,
+    definedOnly,
+    invalidCursor
+};
@@ -0,0 +1,194 @@
+// The tree the bot shipped with, used to seed an empty catalog
+const DEFAULT_CATEGORIES = {
+    MENS: ['SHOES', 'CLOTHES', 'FRAGRANCE'],
+    WOMENS: ['SHOES', 'CLOTHES', 'FRAGRANCE'],
+    KIDS: [],
+    TECH: [],
+    JEWELRY_ACCESSORIES: [],
+    MISC: [],
+    MAIN: []
+};
+const MAX_NAME_LENGTH = 32;
+
+function categoryError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// "jewelry accessories" -> JEWELRY_ACCESSORIES, matching the names products already use
+function normalizeCategoryName(name) {
+    const normalized = String(name || '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+    if (!/^[A-Z0-9_]+$/.test(normalized) || normalized.length > MAX_NAME_LENGTH) {
+        throw categoryError(`Category names may only use letters, numbers and underscores (max ${MAX_NAME_LENGTH} characters)`, 400);
+    }
+    return normalized;
+}
+
+async function seedDefaultCategories(catalog) {
+    const existing = await catalog.categories.list();
+    if (existing.length > 0) return false;
+    const entries = Object.entries(DEFAULT_CATEGORIES);
+    for (const [position, [name, subCategories]] of entries.entries()) {
+        await catalog.categories.put({ name, subCategories, position });
+    }
+    return true;
+}
+
+// { MENS: ['SHOES', ...], KIDS: [], ... } in display order
+async function getCategoryMap(catalog) {
+    const categories = await catalog.categories.list();
+    return Object.fromEntries(categories.map(category => [category.name, category.subCategories]));
+}
+
+async function getCategoryTree(catalog) {
+    const categories = await catalog.categories.list();
+    return Promise.all(categories.map(async category => ({
+        name: category.name,
+        count: await catalog.products.count({ mainCategory: category.name }),
+        subCategories: await Promise.all(category.subCategories.map(async name => ({
+            name,
+            count: await catalog.products.count({ mainCategory: category.name, subCategory: name })
+        })))
+    })));
+}
+
+async function requireCategory(catalog, name) {
+    const category = await catalog.categories.get(name);
+    if (!category) throw categoryError(`Category ${name} does not exist`, 404);
+    return category;
+}
+
+function requireSubCategory(category, name) {
+    if (!category.subCategories.includes(name)) {
+        throw categoryError(`Category ${category.name} has no subcategory ${name}`, 404);
+    }
+}
+
+// Throws a 400 unless mainCategory (and subCategory, when given) name an existing category
+async function validateCategory(catalog, mainCategory, subCategory) {
+    const category = mainCategory ? await catalog.categories.get(mainCategory) : null;
+    if (!category) {
+        throw categoryError(`Unknown category ${mainCategory || '(none)'}`, 400);
+    }
+    if (subCategory && !category.subCategories.includes(subCategory)) {
+        throw categoryError(`Unknown subcategory ${mainCategory} > ${subCategory}`, 400);
+    }
+}
+
+// Adds a main category, or a subcategory when parent is given
+async function addCategory(catalog, name, parent) {
+    name = normalizeCategoryName(name);
+
+    if (parent) {
+        const category = await requireCategory(catalog, normalizeCategoryName(parent));
+        if (category.subCategories.includes(name)) {
+            throw categoryError(`Category ${category.name} already has a subcategory ${name}`, 409);
+        }
+        await catalog.categories.put({ ...category, subCategories: [...category.subCategories, name] });
+        return { mainCategory: category.name, subCategory: name };
+    }
+
+    const categories = await catalog.categories.list();
+    if (categories.some(category => category.name === name)) {
+        throw categoryError(`Category ${name} already exists`, 409);
+    }
+    const position = categories.reduce((max, category) => Math.max(max, category.position + 1), 0);
+    await catalog.categories.put({ name, subCategories: [], position });
+    return { mainCategory: name, subCategory: null };
+}
+
+// Refuses while products, live or in the trash, are still filed under the category
+async function removeCategory(catalog, name, parent) {
+    name = normalizeCategoryName(name);
+    const category = await requireCategory(catalog, parent ? normalizeCategoryName(parent) : name);
+    const filter = { mainCategory: category.name };
+    if (parent) {
+        requireSubCategory(category, name);
+        filter.subCategory = name;
+    }
+
+    const label = parent ? `${category.name} > ${name}` : name;
+    const count = await catalog.products.count(filter);
+    if (count > 0) {
+        throw categoryError(`${label} still has ${count} product(s). Move or remove them first.`, 409);
+    }
+    // A trashed product could be restored into the missing category
+    const trashed = await catalog.products.countTrashed(filter);
+    if (trashed > 0) {
+        throw categoryError(`${label} still has ${trashed} product(s) in the trash. Restore and move them, or purge them, first.`, 409);
+    }
+
+    if (parent) {
+        await catalog.categories.put({ ...category, subCategories: category.subCategories.filter(sub => sub !== name) });
+    } else {
+        await catalog.categories.remove(name);
+    }
+}
+
+// Renames a category and refiles the products in it; returns how many were updated
+async function renameCategory(catalog, name, newName, parent) {
+    name = normalizeCategoryName(name);
+    newName = normalizeCategoryName(newName);
+
+    if (parent) {
+        const category = await requireCategory(catalog, normalizeCategoryName(parent));
+        requireSubCategory(category, name);
+        if (category.subCategories.includes(newName)) {
+            throw categoryError(`Category ${category.name} already has a subcategory ${newName}`, 409);
+        }
+        await catalog.categories.put({
+            ...category,
+            subCategories: category.subCategories.map(sub => (sub === name ? newName : sub))
+        });
+        return catalog.products.recategorize(
+            { mainCategory: category.name, subCategory: name },
+            { subCategory: newName }
+        );
+    }
+
+    const category = await requireCategory(catalog, name);
+    if (await catalog.categories.get(newName)) {
+        throw categoryError(`Category ${newName} already exists`, 409);
+    }
+    // Create the new name before moving products so nothing points at a missing category
+    await catalog.categories.put({ ...category, name: newName });
+    const updated = await catalog.products.recategorize({ mainCategory: name }, { mainCategory: newName });
+    await catalog.categories.remove(name);
+    return updated;
+}
+
+// Moves a subcategory, with its products, to another main category
+async function moveCategory(catalog, name, from, to) {
+    name = normalizeCategoryName(name);
+    const source = await requireCategory(catalog, normalizeCategoryName(from));
+    const target = await requireCategory(catalog, normalizeCategoryName(to));
+    requireSubCategory(source, name);
+    if (source.name === target.name) {
+        throw categoryError(`${name} is already in ${target.name}`, 400);
+    }
+    if (target.subCategories.includes(name)) {
+        throw categoryError(`Category ${target.name} already has a subcategory ${name}`, 409);
+    }
+
+    await catalog.categories.put({ ...target, subCategories: [...target.subCategories, name] });
+    const updated = await catalog.products.recategorize(
+        { mainCategory: source.name, subCategory: name },
+        { mainCategory: target.name }
+    );
+    await catalog.categories.put({ ...source, subCategories: source.subCategories.filter(sub => sub !== name) });
+    return updated;
+}
+
+module.exports = {
+    DEFAULT_CATEGORIES,
+    normalizeCategoryName,
+    seedDefaultCategories,
+    getCategoryMap,
+    getCategoryTree,
+    validateCategory,
+    addCategory,
+    removeCategory,
+    renameCategory,
+    moveCategory
+};
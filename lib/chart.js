@@ -0,0 +1,84 @@
+const WIDTH = 800;
+const HEIGHT = 400;
+const PADDING = { top: 40, right: 30, bottom: 50, left: 70 };
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, c => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;'
+    }[c]));
+}
+
+function formatDate(date) {
+    return date.toISOString().slice(5, 16).replace('T', ' ');
+}
+
+// Price line over time, with sold-out stretches shaded red
+function renderHistorySvg(records, title = '') {
+    const points = records
+        .filter(r => r.priceNum !== null)
+        .map(r => ({ time: new Date(r.checkedAt).getTime(), price: r.priceNum }));
+    const times = records.map(r => new Date(r.checkedAt).getTime());
+
+    const plotWidth = WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+    const minTime = Math.min(...times);
+    const maxTime = Math.max(...times);
+    const prices = points.map(p => p.price);
+    let minPrice = prices.length ? Math.min(...prices) : 0;
+    let maxPrice = prices.length ? Math.max(...prices) : 1;
+    if (minPrice === maxPrice) {
+        minPrice -= 1;
+        maxPrice += 1;
+    }
+
+    const x = t => PADDING.left + (maxTime === minTime ? plotWidth / 2 : ((t - minTime) / (maxTime - minTime)) * plotWidth);
+    const y = p => PADDING.top + plotHeight - ((p - minPrice) / (maxPrice - minPrice)) * plotHeight;
+
+    const parts = [];
+
+    for (let i = 0; i < records.length; i++) {
+        if (records[i].inStock !== false) continue;
+        const start = x(times[i]);
+        const end = i + 1 < records.length ? x(times[i + 1]) : PADDING.left + plotWidth;
+        parts.push(`<rect x="${start}" y="${PADDING.top}" width="${Math.max(end - start, 2)}" height="${plotHeight}" fill="#e74c3c" fill-opacity="0.15"/>`);
+    }
+
+    for (let i = 0; i <= 4; i++) {
+        const price = minPrice + ((maxPrice - minPrice) * i) / 4;
+        const lineY = y(price);
+        parts.push(`<line x1="${PADDING.left}" x2="${PADDING.left + plotWidth}" y1="${lineY}" y2="${lineY}" stroke="#40444b"/>`);
+        parts.push(`<text x="${PADDING.left - 10}" y="${lineY + 4}" text-anchor="end">${price.toFixed(2)}</text>`);
+    }
+
+    parts.push(`<text x="${PADDING.left}" y="${HEIGHT - 15}">${formatDate(new Date(minTime))}</text>`);
+    parts.push(`<text x="${PADDING.left + plotWidth}" y="${HEIGHT - 15}" text-anchor="end">${formatDate(new Date(maxTime))}</text>`);
+
+    if (points.length > 0) {
+        const path = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(p.time)},${y(p.price)}`).join(' ');
+        parts.push(`<path d="${path}" fill="none" stroke="#2ecc71" stroke-width="2"/>`);
+        for (const p of points) {
+            parts.push(`<circle cx="${x(p.time)}" cy="${y(p.price)}" r="3" fill="#2ecc71"/>`);
+        }
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" font-family="sans-serif" font-size="12" fill="#dcddde">
+<rect width="${WIDTH}" height="${HEIGHT}" fill="#2f3136"/>
+<text x="${PADDING.left}" y="25" font-size="16" font-weight="bold">${escapeXml(title)}</text>
+${parts.join('\n')}
+</svg>`;
+}
+
+async function renderHistoryChart(pool, records, title) {
+    const svg = renderHistorySvg(records, title);
+    return pool.withPage(async page => {
+        await page.setViewport({ width: WIDTH, height: HEIGHT });
+        await page.setContent(`<html><body style="margin:0">${svg}</body></html>`);
+        return Buffer.from(await page.screenshot({ type: 'png' }));
+    });
+}
+
+module.exports = {
+    renderHistorySvg,
+    renderHistoryChart
+};
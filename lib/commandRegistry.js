@@ -0,0 +1,250 @@
+const { EmbedBuilder } = require('discord.js');
+const { DENIED_MESSAGE } = require('./permissions');
+
+// Option types by name, so definitions read like the builder calls they replace
+const OPTION_TYPES = {
+    subcommand: 1,
+    string: 3,
+    integer: 4,
+    boolean: 5,
+    user: 6,
+    channel: 7,
+    role: 8,
+    number: 10,
+    attachment: 11
+};
+const GETTERS = {
+    string: 'getString',
+    integer: 'getInteger',
+    boolean: 'getBoolean',
+    user: 'getUser',
+    channel: 'getChannel',
+    role: 'getRole',
+    number: 'getNumber',
+    attachment: 'getAttachment'
+};
+const NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+// Discord allows 25 fields in an embed
+const MAX_HELP_FIELDS = 25;
+
+// Choices may be a function, for lists only known once the bot is set up
+function resolveChoices(option) {
+    const choices = typeof option.choices === 'function' ? option.choices() : option.choices;
+    return choices.map(choice => (typeof choice === 'object' ? choice : { name: String(choice), value: choice }));
+}
+
+function checkOptions(where, options) {
+    let optional = false;
+    for (const option of options) {
+        if (!NAME_PATTERN.test(option.name)) throw new Error(`${where}: bad option name "${option.name}"`);
+        if (!GETTERS[option.type]) throw new Error(`${where}: unknown type "${option.type}" for option ${option.name}`);
+        if (option.required && optional) throw new Error(`${where}: required option ${option.name} must come before optional ones`);
+        optional = optional || !option.required;
+    }
+}
+
+function optionToJSON(option) {
+    const json = {
+        type: OPTION_TYPES[option.type],
+        name: option.name,
+        description: option.description,
+        required: !!option.required
+    };
+    if (option.choices) json.choices = resolveChoices(option);
+    if (option.autocomplete) json.autocomplete = true;
+    if (option.minValue !== undefined) json.min_value = option.minValue;
+    if (option.maxValue !== undefined) json.max_value = option.maxValue;
+    if (option.minLength !== undefined) json.min_length = option.minLength;
+    if (option.maxLength !== undefined) json.max_length = option.maxLength;
+    if (option.channelTypes) json.channel_types = option.channelTypes;
+    return json;
+}
+
+// Discord checks most of this before the command arrives; checking again here
+// covers clients that skip it and runs each option's own validate()
+function validateOptions(interaction, options) {
+    for (const option of options) {
+        const value = interaction.options[GETTERS[option.type]](option.name);
+        if (value === null || value === undefined) {
+            if (option.required) return `\`${option.name}\` is required`;
+            continue;
+        }
+        if (option.choices && !option.autocomplete) {
+            const values = resolveChoices(option).map(choice => choice.value);
+            if (!values.includes(value)) return `\`${option.name}\` must be one of: ${values.join(', ')}`;
+        }
+        if (typeof value === 'number') {
+            if (option.minValue !== undefined && value < option.minValue) return `\`${option.name}\` must be at least ${option.minValue}`;
+            if (option.maxValue !== undefined && value > option.maxValue) return `\`${option.name}\` must be at most ${option.maxValue}`;
+        }
+        if (typeof value === 'string') {
+            if (option.minLength !== undefined && value.length < option.minLength) return `\`${option.name}\` must be at least ${option.minLength} characters`;
+            if (option.maxLength !== undefined && value.length > option.maxLength) return `\`${option.name}\` must be at most ${option.maxLength} characters`;
+        }
+        if (option.validate) {
+            const problem = option.validate(value);
+            if (problem) return problem;
+        }
+    }
+    return null;
+}
+
+function usage(command) {
+    if (command.subcommands) return `/${command.name} ${command.subcommands.map(sub => sub.name).join('|')}`;
+    return [`/${command.name}`, ...command.options.map(option => (option.required ? `<${option.name}>` : `[${option.name}]`))].join(' ');
+}
+
+// One place that declares each command's options, permission level and handler.
+// Registration, /help, option validation and routing all read from it.
+//
+// A definition is { name, description, help, level, options, subcommands, dm,
+// defer, handler, autocomplete }:
+// - level is 'read' or 'write' (default); subcommands may set their own
+// - options are { name, type, description, required, choices, autocomplete,
+//   minValue, maxValue, minLength, maxLength, channelTypes, validate }, where
+//   validate(value) returns a problem to show the user, or nothing
+// - help is the /help text (a string, or a function for live values), description otherwise
+// - dm says whether the command works outside a server
+// - defer is 'ephemeral', 'public' or false, for handlers that reply themselves
+// - handler(interaction, { options, subcommand, permissions }) runs once all checks pass
+function createCommandRegistry({ help, defer = 'ephemeral', dm = true }) {
+    const commands = new Map();
+
+    function define(command) {
+        if (!NAME_PATTERN.test(command.name)) throw new Error(`Bad command name "${command.name}"`);
+        if (commands.has(command.name)) throw new Error(`Command /${command.name} is defined twice`);
+        if (typeof command.handler !== 'function') throw new Error(`Command /${command.name} has no handler`);
+        const definition = {
+            level: 'write',
+            options: [],
+            dm,
+            defer,
+            ...command
+        };
+        checkOptions(`/${command.name}`, definition.options);
+        for (const subcommand of definition.subcommands || []) {
+            checkOptions(`/${command.name} ${subcommand.name}`, subcommand.options || []);
+        }
+        commands.set(command.name, definition);
+        return definition;
+    }
+
+    // The level of every command and subcommand, for createPermissions()
+    function actions() {
+        const table = {};
+        for (const command of commands.values()) {
+            table[command.name] = command.level;
+            for (const subcommand of command.subcommands || []) {
+                if (subcommand.level) table[`${command.name} ${subcommand.name}`] = subcommand.level;
+            }
+        }
+        return table;
+    }
+
+    // Request body for registering the commands with Discord
+    function toJSON() {
+        return [...commands.values()].map(command => ({
+            name: command.name,
+            description: command.description,
+            options: command.subcommands
+                ? command.subcommands.map(subcommand => ({
+                    type: OPTION_TYPES.subcommand,
+                    name: subcommand.name,
+                    description: subcommand.description,
+                    options: (subcommand.options || []).map(optionToJSON)
+                }))
+                : command.options.map(optionToJSON)
+        }));
+    }
+
+    // Lists the commands the member may use, with a subcommand counting for its command
+    async function helpEmbed(interaction, permissions) {
+        const fields = [];
+        for (const command of commands.values()) {
+            if (command.name === 'help') continue;
+            const subcommands = command.subcommands ? command.subcommands.map(sub => sub.name) : [null];
+            let allowed = false;
+            for (const subcommand of subcommands) {
+                if (await permissions.allows(interaction, command.name, subcommand)) {
+                    allowed = true;
+                    break;
+                }
+            }
+            if (!allowed) continue;
+            const text = typeof command.help === 'function' ? command.help() : command.help;
+            fields.push({ name: usage(command), value: text || command.description });
+        }
+        return new EmbedBuilder()
+            .setTitle(help.title)
+            .setDescription(help.description)
+            .setColor(help.color)
+            .addFields(fields.slice(0, MAX_HELP_FIELDS));
+    }
+
+    async function dispatch(interaction, permissions) {
+        const command = commands.get(interaction.commandName);
+        if (!command) {
+            return interaction.reply({ content: `❌ Unknown command /${interaction.commandName}`, flags: 64 });
+        }
+        const subcommand = interaction.options.getSubcommand(false);
+
+        if (!(await permissions.check(interaction, command.name, subcommand))) {
+            return interaction.reply({ content: DENIED_MESSAGE, flags: 64 });
+        }
+        if (!interaction.guildId && !command.dm) {
+            return interaction.reply({ content: '❌ Use this command in a server channel.', flags: 64 });
+        }
+
+        const options = subcommand
+            ? (command.subcommands.find(sub => sub.name === subcommand)?.options || [])
+            : command.options;
+        const problem = validateOptions(interaction, options);
+        if (problem) {
+            return interaction.reply({ content: `❌ ${problem}`, flags: 64 });
+        }
+
+        if (command.defer && !interaction.deferred && !interaction.replied) {
+            try {
+                await interaction.deferReply(command.defer === 'ephemeral' ? { flags: 64 } : {});
+            } catch (error) {
+                if (error.code === 10062 || error.code === 'InteractionAlreadyReplied') {
+                    console.log('Skipping already handled interaction');
+                    return;
+                }
+                throw error;
+            }
+        }
+        return command.handler(interaction, { options: interaction.options, subcommand, permissions });
+    }
+
+    async function autocomplete(interaction) {
+        const command = commands.get(interaction.commandName);
+        if (command?.autocomplete) await command.autocomplete(interaction);
+    }
+
+    // Every registry starts with /help, generated from the other definitions
+    define({
+        name: 'help',
+        description: 'Show all available commands',
+        level: 'read',
+        dm: true,
+        defer: false,
+        handler: async (interaction, { permissions }) => interaction.reply({
+            embeds: [await helpEmbed(interaction, permissions)],
+            flags: 64
+        })
+    });
+
+    return {
+        define,
+        actions,
+        toJSON,
+        dispatch,
+        autocomplete
+    };
+}
+
+module.exports = {
+    OPTION_TYPES,
+    createCommandRegistry
+};
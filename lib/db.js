@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : false
+});
+
+pool.on('error', err => {
+    console.error('Postgres pool error:', err);
+});
+
+function query(text, params) {
+    return pool.query(text, params);
+}
+
+async function transaction(work) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await work(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+// Applies every .sql file in migrations/ that hasn't run yet, in filename order
+async function migrate() {
+    await query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            name TEXT PRIMARY KEY,
+            applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        )
+    `);
+    const { rows } = await query('SELECT name FROM schema_migrations');
+    const applied = new Set(rows.map(r => r.name));
+    const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql')).sort();
+
+    for (const file of files) {
+        if (applied.has(file)) continue;
+        const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+        await transaction(async client => {
+            await client.query(sql);
+            await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+        });
+        console.log(`🗄️ Applied migration ${file}`);
+    }
+}
+
+module.exports = {
+    pool,
+    query,
+    transaction,
+    migrate
+};
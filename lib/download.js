@@ -0,0 +1,38 @@
+const fetch = require('node-fetch');
+
+// For files users hand the bots by URL or attachment: the request gets a deadline
+// and refuses bodies over maxBytes, from content-length up front or, when that's
+// missing or wrong, once the body grows past it (node-fetch's size option).
+// Oversized bodies fail with error.type 'max-size', late ones with an AbortError.
+async function fetchLimited(url, { timeout, maxBytes }) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeout), size: maxBytes });
+    if (Number(response.headers.get('content-length')) > maxBytes) {
+        response.body.destroy();
+        const error = new Error(`${url} is larger than ${maxBytes / 1024 / 1024}MB`);
+        error.type = 'max-size';
+        throw error;
+    }
+    return response;
+}
+
+// Downloads a whole attachment into memory, with errors worded for the user
+async function downloadAttachment(url, { timeout, maxBytes, label = 'file' }) {
+    try {
+        const response = await fetchLimited(url, { timeout, maxBytes });
+        if (!response.ok) throw new Error(`Failed to download ${label}: ${response.statusText}`);
+        return await response.buffer();
+    } catch (error) {
+        if (error.type === 'max-size') {
+            throw new Error(`The ${label} is larger than ${maxBytes / 1024 / 1024}MB`);
+        }
+        if (error.name === 'AbortError') {
+            throw new Error(`Downloading the ${label} took longer than ${timeout / 1000} seconds`);
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    fetchLimited,
+    downloadAttachment
+};
@@ -0,0 +1,29 @@
+const admin = require('firebase-admin');
+
+// Initializes the default app from the base64 FIREBASE_SERVICE_ACCOUNT once and
+// returns it. Throws instead of exiting so callers decide how fatal it is.
+function initFirebase() {
+    if (admin.apps.length) return admin.app();
+
+    if (!process.env.FIREBASE_SERVICE_ACCOUNT) {
+        throw new Error('FIREBASE_SERVICE_ACCOUNT is not set');
+    }
+    const serviceAccount = JSON.parse(
+        Buffer.from(process.env.FIREBASE_SERVICE_ACCOUNT, 'base64').toString('utf-8')
+    );
+    const app = admin.initializeApp({
+        credential: admin.credential.cert(serviceAccount),
+        databaseURL: `https://${serviceAccount.project_id}.firebaseio.com`
+    });
+    console.log('🔥 Firebase initialized successfully');
+    return app;
+}
+
+function isFirebaseReady() {
+    return admin.apps.length > 0;
+}
+
+module.exports = {
+    initFirebase,
+    isFirebaseReady
+};
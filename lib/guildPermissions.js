@@ -0,0 +1,20 @@
+const db = require('./db');
+
+// Per-guild permission rules, one row per bot and guild
+async function get(bot, guildId) {
+    const { rows } = await db.query('SELECT rules FROM guild_permissions WHERE bot = $1 AND guild_id = $2', [bot, guildId]);
+    return rows.length ? rows[0].rules : null;
+}
+
+async function put(bot, guildId, rules) {
+    await db.query(
+        `INSERT INTO guild_permissions (bot, guild_id, rules) VALUES ($1, $2, $3)
+         ON CONFLICT (bot, guild_id) DO UPDATE SET rules = EXCLUDED.rules, updated_at = now()`,
+        [bot, guildId, JSON.stringify(rules)]
+    );
+}
+
+module.exports = {
+    get,
+    put
+};
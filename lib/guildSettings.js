@@ -0,0 +1,92 @@
+const db = require('./db');
+
+const DEFAULT_MAX_PRODUCTS = 100;
+const CACHE_TTL = 60 * 1000;
+const cache = new Map();
+
+function settingsError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Settings a guild hasn't changed fall back to the bot-wide environment
+function defaults() {
+    const maxProducts = parseInt(process.env.MAX_PRODUCTS_PER_GUILD || DEFAULT_MAX_PRODUCTS);
+    return {
+        alertChannelId: null,
+        priceThreshold: parseFloat(process.env.PRICE_CHANGE_THRESHOLD || '5'),
+        maxProducts: Number.isInteger(maxProducts) && maxProducts > 0 ? maxProducts : DEFAULT_MAX_PRODUCTS
+    };
+}
+
+function fromRow(row) {
+    const fallback = defaults();
+    return {
+        alertChannelId: row?.alert_channel_id ?? fallback.alertChannelId,
+        priceThreshold: row?.price_threshold ?? fallback.priceThreshold,
+        maxProducts: row?.max_products ?? fallback.maxProducts
+    };
+}
+
+async function get(guildId) {
+    const cached = cache.get(guildId);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL) return cached.settings;
+    const { rows } = await db.query('SELECT alert_channel_id, price_threshold, max_products FROM guild_settings WHERE guild_id = $1', [guildId]);
+    const settings = fromRow(rows[0]);
+    cache.set(guildId, { settings, loadedAt: Date.now() });
+    return settings;
+}
+
+// Settings for many guilds at once, keyed by guild ID
+async function getMany(guildIds) {
+    const entries = await Promise.all([...new Set(guildIds)].map(async guildId => [guildId, await get(guildId)]));
+    return new Map(entries);
+}
+
+// Changes only the given fields; null puts a field back to its default
+async function update(guildId, changes) {
+    if (changes.priceThreshold !== undefined && changes.priceThreshold !== null &&
+        !(Number.isFinite(changes.priceThreshold) && changes.priceThreshold >= 0)) {
+        throw settingsError('The price threshold must be a percentage of 0 or more');
+    }
+    if (changes.maxProducts !== undefined && changes.maxProducts !== null &&
+        !(Number.isInteger(changes.maxProducts) && changes.maxProducts > 0)) {
+        throw settingsError('The product limit must be a whole number above 0');
+    }
+
+    const columns = {
+        alertChannelId: 'alert_channel_id',
+        priceThreshold: 'price_threshold',
+        maxProducts: 'max_products'
+    };
+    const fields = Object.keys(columns).filter(field => changes[field] !== undefined);
+    const values = fields.map(field => changes[field]);
+    const { rows } = await db.query(
+        `INSERT INTO guild_settings (guild_id${fields.map(field => `, ${columns[field]}`).join('')})
+         VALUES ($1${fields.map((_, i) => `, $${i + 2}`).join('')})
+         ON CONFLICT (guild_id) DO UPDATE SET updated_at = now()${fields.map(field => `, ${columns[field]} = EXCLUDED.${columns[field]}`).join('')}
+         RETURNING alert_channel_id, price_threshold, max_products`,
+        [guildId, ...values]
+    );
+    const settings = fromRow(rows[0]);
+    cache.set(guildId, { settings, loadedAt: Date.now() });
+    return settings;
+}
+
+// Gives a guild starting settings unless it already has some of its own
+async function seed(guildId, { alertChannelId = null } = {}) {
+    await db.query(
+        'INSERT INTO guild_settings (guild_id, alert_channel_id) VALUES ($1, $2) ON CONFLICT (guild_id) DO NOTHING',
+        [guildId, alertChannelId]
+    );
+    cache.delete(guildId);
+}
+
+module.exports = {
+    defaults,
+    get,
+    getMany,
+    update,
+    seed
+};
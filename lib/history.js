@@ -0,0 +1,73 @@
+const db = require('./db');
+
+async function recordResults(results, checkedAt = new Date()) {
+    if (results.length === 0) return;
+    const values = [];
+    const params = [];
+    for (const result of results) {
+        const offset = params.length;
+        values.push(`($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7})`);
+        params.push(
+            result.id,
+            result.price ?? null,
+            Number.isFinite(result.priceNum) ? result.priceNum : null,
+            result.stock ?? null,
+            typeof result.inStock === 'boolean' ? result.inStock : null,
+            result.error || null,
+            checkedAt
+        );
+    }
+    await db.query(
+        `INSERT INTO scrape_results (product_id, price, price_num, stock, in_stock, error, checked_at)
+         VALUES ${values.join(', ')}`,
+        params
+    );
+}
+
+async function getHistory(productId) {
+    const { rows } = await db.query(
+        `SELECT product_id, price, price_num, stock, in_stock, error, checked_at
+         FROM scrape_results WHERE product_id = $1 ORDER BY checked_at`,
+        [productId]
+    );
+    return rows.map(row => ({
+        productId: row.product_id,
+        price: row.price,
+        priceNum: row.price_num,
+        stock: row.stock,
+        inStock: row.in_stock,
+        error: row.error,
+        checkedAt: row.checked_at.toISOString()
+    }));
+}
+
+function summarizeHistory(records) {
+    const priced = records.filter(r => r.priceNum !== null);
+    const stocked = records.filter(r => r.inStock !== null);
+    const prices = priced.map(r => r.priceNum);
+
+    let lastStockChange = null;
+    for (let i = 1; i < stocked.length; i++) {
+        if (stocked[i].inStock !== stocked[i - 1].inStock) {
+            lastStockChange = stocked[i];
+        }
+    }
+
+    return {
+        count: records.length,
+        firstCheckedAt: records.length ? records[0].checkedAt : null,
+        lastCheckedAt: records.length ? records[records.length - 1].checkedAt : null,
+        current: priced.length ? priced[priced.length - 1] : null,
+        min: prices.length ? Math.min(...prices) : null,
+        max: prices.length ? Math.max(...prices) : null,
+        average: prices.length ? prices.reduce((sum, p) => sum + p, 0) / prices.length : null,
+        inStock: stocked.length ? stocked[stocked.length - 1].inStock : null,
+        lastStockChange
+    };
+}
+
+module.exports = {
+    recordResults,
+    getHistory,
+    summarizeHistory
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const MAX_IMAGE_SIZE = 8 * 1024 * 1024;
+const THUMBNAIL_SIZE = 400;
+const VARIANTS = ['original', 'thumb'];
+// Formats browsers show as images without running anything; the rest (SVG above
+// all, which can carry script) are rasterised to PNG before they're stored
+const WEB_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', gif: 'image/gif', avif: 'image/avif' };
+const SERVABLE_TYPES = Object.values(WEB_TYPES);
+
+// sharp reports AVIF as heif with AV1 compression
+function formatOf(metadata) {
+    return metadata.format === 'heif' && metadata.compression === 'av1' ? 'avif' : metadata.format;
+}
+
+function createLocalStore(root) {
+    const fileFor = key => path.join(root, ...key.split('/'));
+    return {
+        async put(key, data, contentType) {
+            const file = fileFor(key);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, data);
+            await fs.promises.writeFile(`${file}.type`, contentType);
+        },
+        async get(key) {
+            const file = fileFor(key);
+            try {
+                const [data, contentType] = await Promise.all([
+                    fs.promises.readFile(file),
+                    fs.promises.readFile(`${file}.type`, 'utf8')
+                ]);
+                return { data, contentType };
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        },
+        async remove(prefix) {
+            await fs.promises.rm(fileFor(prefix), { recursive: true, force: true });
+        }
+    };
+}
+
+function createCloudStore(bucketName) {
+    const admin = require('firebase-admin');
+    const bucket = () => admin.storage().bucket(bucketName);
+    return {
+        async put(key, data, contentType) {
+            await bucket().file(key).save(data, { contentType, resumable: false });
+        },
+        async get(key) {
+            const file = bucket().file(key);
+            try {
+                const [[data], [metadata]] = await Promise.all([file.download(), file.getMetadata()]);
+                return { data, contentType: metadata.contentType };
+            } catch (err) {
+                if (err.code === 404) return null;
+                throw err;
+            }
+        },
+        async remove(prefix) {
+            await bucket().deleteFiles({ prefix: `${prefix}/` });
+        }
+    };
+}
+
+let store;
+function getStore() {
+    if (!store) {
+        const backend = process.env.IMAGE_STORE || (process.env.FIREBASE_STORAGE_BUCKET ? 'gcs' : 'local');
+        if (backend === 'gcs') {
+            store = createCloudStore(process.env.FIREBASE_STORAGE_BUCKET);
+        } else if (backend === 'local') {
+            store = createLocalStore(process.env.IMAGE_STORE_DIR || './uploads');
+        } else {
+            throw new Error(`Unknown IMAGE_STORE backend: ${backend}`);
+        }
+    }
+    return store;
+}
+
+// Stores the original plus a WebP thumbnail and returns the metadata that goes
+// on the product document in place of the old base64 payload. The content type
+// comes from the bytes, never from the uploader.
+async function saveImage(buffer, { name } = {}) {
+    if (buffer.length > MAX_IMAGE_SIZE) {
+        throw new Error(`Image too large (max ${MAX_IMAGE_SIZE / 1024 / 1024}MB)`);
+    }
+
+    let metadata, format, original, thumbnail;
+    try {
+        metadata = await sharp(buffer).metadata();
+        format = formatOf(metadata);
+        original = buffer;
+        if (!WEB_TYPES[format]) {
+            original = await sharp(buffer).rotate().png().toBuffer();
+            format = 'png';
+        }
+        thumbnail = await sharp(buffer)
+            .rotate()
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: 80 })
+            .toBuffer();
+    } catch (err) {
+        throw new Error(`Unsupported image: ${err.message}`);
+    }
+
+    const id = crypto.randomBytes(12).toString('hex');
+    const type = WEB_TYPES[format];
+    await getStore().put(`images/${id}/original`, original, type);
+    await getStore().put(`images/${id}/thumb`, thumbnail, 'image/webp');
+
+    return {
+        id,
+        contentType: type,
+        name: name || `product-${Date.now()}.${format}`,
+        width: metadata.width,
+        height: metadata.height,
+        size: original.length
+    };
+}
+
+// Images stored before types came from the bytes may carry whatever the uploader
+// claimed, so anything but a web image type goes out as a download
+async function getImage(id, variant = 'original') {
+    if (!/^[a-f0-9]+$/.test(id) || !VARIANTS.includes(variant)) return null;
+    const image = await getStore().get(`images/${id}/${variant}`);
+    if (image && !SERVABLE_TYPES.includes(image.contentType)) image.contentType = 'application/octet-stream';
+    return image;
+}
+
+async function deleteImage(image) {
+    if (!image || !image.id) return;
+    try {
+        await getStore().remove(`images/${image.id}`);
+    } catch (err) {
+        console.error(`Failed to delete image ${image.id}:`, err);
+    }
+}
+
+module.exports = {
+    MAX_IMAGE_SIZE,
+    VARIANTS,
+    saveImage,
+    getImage,
+    deleteImage
+};
@@ -0,0 +1,34 @@
+const db = require('./db');
+
+// Session store for lib/sessions on Postgres, one row per session
+async function get(id) {
+    const { rows } = await db.query('SELECT id, kind, data, expires_at FROM interaction_sessions WHERE id = $1', [id]);
+    if (rows.length === 0) return null;
+    const [row] = rows;
+    return { id: row.id, kind: row.kind, data: row.data, expiresAt: row.expires_at };
+}
+
+async function put({ id, kind, data, expiresAt }) {
+    await db.query(
+        `INSERT INTO interaction_sessions (id, kind, data, expires_at) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (id) DO UPDATE SET data = EXCLUDED.data, expires_at = EXCLUDED.expires_at, updated_at = now()`,
+        [id, kind, JSON.stringify(data), expiresAt]
+    );
+}
+
+async function remove(id) {
+    const { rowCount } = await db.query('DELETE FROM interaction_sessions WHERE id = $1', [id]);
+    return rowCount > 0;
+}
+
+async function purgeExpired(before) {
+    const { rowCount } = await db.query('DELETE FROM interaction_sessions WHERE expires_at <= $1', [before]);
+    return rowCount;
+}
+
+module.exports = {
+    get,
+    put,
+    remove,
+    purgeExpired
+};
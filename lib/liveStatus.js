@@ -0,0 +1,53 @@
+const { formatMoney } = require('./price');
+
+// Catalog products and watchlist entries are matched on URL, so both sides
+// store it the same way
+function normalizeMonitorUrl(url) {
+    const parsed = new URL(String(url).trim());
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error('Monitored URLs must be http(s)');
+    }
+    parsed.hash = '';
+    return parsed.href;
+}
+
+// `readings` are scrape results after toReading(). Readings that failed are
+// skipped so a product keeps its last known price and stock until the next good scrape.
+async function syncLiveStatus(catalog, readings, checkedAt = new Date()) {
+    const byUrl = new Map();
+    for (const reading of readings.filter(r => !r.error && r.url)) {
+        try {
+            byUrl.set(normalizeMonitorUrl(reading.url), reading);
+        } catch (err) {
+            continue;
+        }
+    }
+    if (byUrl.size === 0) return 0;
+
+    const linked = await catalog.products.findLinked([...byUrl.keys()]);
+    const entries = linked.map(product => {
+        const reading = byUrl.get(product.monitorUrl);
+        const live = {
+            price: reading.price,
+            inStock: typeof reading.inStock === 'boolean' ? reading.inStock : null,
+            stock: reading.stock || null,
+            checkedAt: checkedAt.toISOString()
+        };
+        if (Number.isFinite(reading.priceAmount) && reading.currency) {
+            live.price = formatMoney(reading.priceAmount, reading.currency);
+            live.priceAmount = reading.priceAmount;
+            live.priceCurrency = reading.currency;
+        }
+        return { id: product.id, live };
+    });
+
+    if (entries.length > 0) {
+        await catalog.products.updateLive(entries);
+    }
+    return entries.length;
+}
+
+module.exports = {
+    normalizeMonitorUrl,
+    syncLiveStatus
+};
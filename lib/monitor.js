@@ -0,0 +1,131 @@
+const fs = require('fs');
+
+const STATE_FILE = process.env.MONITOR_STATE_FILE || './monitor-state.json';
+
+function loadState() {
+    try {
+        if (fs.existsSync(STATE_FILE)) {
+            return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+        }
+    } catch (err) {
+        console.error('Error loading monitor state:', err);
+    }
+    return {};
+}
+
+function saveState(state) {
+    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+}
+
+// Compares readings against the last known state of each product. The state only
+// moves when an alert fires (or on first sight), so a change is reported exactly once.
+// priceThreshold may be a function of the reading, for thresholds set per guild.
+function detectChanges(previousState, readings, { priceThreshold = 5 } = {}) {
+    const alerts = [];
+    const state = { ...previousState };
+    const migratedUrls = new Set();
+    const usedKeys = new Set();
+
+    for (const reading of readings) {
+        // Guilds watching the same URL each get their own alerts
+        const key = reading.id !== undefined ? String(reading.id) : reading.url;
+        const threshold = typeof priceThreshold === 'function' ? priceThreshold(reading) : priceThreshold;
+        usedKeys.add(key);
+        let previous = state[key];
+        // State files from before the per-watch keys are keyed by URL; carry those
+        // over so the first run after upgrading doesn't forget every product
+        if (!previous && key !== reading.url && state[reading.url]) {
+            previous = state[reading.url];
+            migratedUrls.add(reading.url);
+        }
+        const next = previous ? { ...previous } : { inStock: null, priceNum: null, failing: false };
+
+        if (reading.error) {
+            if (previous && !previous.failing) {
+                alerts.push({ type: 'failing', reading });
+            }
+            next.failing = true;
+            state[key] = next;
+            continue;
+        }
+        next.failing = false;
+
+        if (typeof reading.inStock === 'boolean') {
+            if (previous && previous.inStock === false && reading.inStock) {
+                alerts.push({ type: 'restock', reading });
+            }
+            next.inStock = reading.inStock;
+        }
+
+        if (Number.isFinite(reading.priceNum)) {
+            if (previous && Number.isFinite(previous.priceNum) && previous.priceNum > 0) {
+                const change = ((reading.priceNum - previous.priceNum) / previous.priceNum) * 100;
+                if (Math.abs(change) > threshold) {
+                    alerts.push({
+                        type: change < 0 ? 'price_drop' : 'price_rise',
+                        reading,
+                        previousPrice: previous.priceNum,
+                        change
+                    });
+                    next.priceNum = reading.priceNum;
+                }
+            } else {
+                next.priceNum = reading.priceNum;
+            }
+        }
+
+        state[key] = next;
+    }
+
+    for (const url of migratedUrls) {
+        if (!usedKeys.has(url)) delete state[url];
+    }
+
+    return { alerts, state };
+}
+
+function createMonitor({ intervalMs, check, onAlerts, priceThreshold }) {
+    let timer = null;
+    let running = false;
+    let state = loadState();
+
+    async function runOnce() {
+        if (running) {
+            console.log('Monitor run already in progress - skipping');
+            return;
+        }
+        running = true;
+        try {
+            const readings = await check();
+            const result = detectChanges(state, readings, { priceThreshold });
+            state = result.state;
+            saveState(state);
+            if (result.alerts.length > 0) {
+                await onAlerts(result.alerts);
+            }
+        } catch (err) {
+            console.error('Monitor run failed:', err);
+        } finally {
+            running = false;
+        }
+    }
+
+    return {
+        start() {
+            if (timer) return;
+            timer = setInterval(runOnce, intervalMs);
+            console.log(`⏱️ Monitoring every ${Math.round(intervalMs / 60000)} minutes`);
+            runOnce();
+        },
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+        runOnce
+    };
+}
+
+module.exports = {
+    detectChanges,
+    createMonitor
+};
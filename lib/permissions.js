@@ -0,0 +1,204 @@
+const { PermissionFlagsBits } = require('discord.js');
+const { discordActor, recordAudit } = require('./audit');
+
+const LEVELS = ['read', 'write'];
+const DENIED_MESSAGE = '⛔ You don\'t have permission to use this command';
+const CACHE_TTL = 60 * 1000;
+
+function permissionError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function emptyRules() {
+    return { levels: {}, commands: {} };
+}
+
+// Role IDs on an interaction member. Cached members have a role collection, raw API
+// members an array; both leave out @everyone, whose ID is the guild's.
+function memberRoleIds(interaction) {
+    const roles = interaction.member?.roles;
+    const ids = roles?.cache ? [...roles.cache.keys()] : roles || [];
+    return [...ids, interaction.guildId];
+}
+
+// Decides who may run each command, per guild. `actions` maps a command, or
+// "command subcommand", to 'read' or 'write'; anything unlisted counts as write.
+// Without a rule, read actions are open to everyone and write actions need
+// adminRoleId or Manage Server. A rule on a command wins over one on its level,
+// and server administrators always pass so nobody can lock the guild out.
+function createPermissions({ bot, store, actions, adminRoleId, onDenied = () => {} }) {
+    const cache = new Map();
+    const commands = [...new Set(Object.keys(actions).map(action => action.split(' ')[0]))];
+    const targets = [...LEVELS, ...commands];
+
+    async function getRules(guildId) {
+        const cached = cache.get(guildId);
+        if (cached && Date.now() - cached.loadedAt < CACHE_TTL) return cached.rules;
+        const rules = { ...emptyRules(), ...(await store.get(bot, guildId)) };
+        cache.set(guildId, { rules, loadedAt: Date.now() });
+        return rules;
+    }
+
+    async function saveRules(guildId, rules) {
+        await store.put(bot, guildId, rules);
+        cache.set(guildId, { rules, loadedAt: Date.now() });
+    }
+
+    function levelOf(command, subcommand) {
+        return actions[`${command} ${subcommand}`] || actions[command] || 'write';
+    }
+
+    function isDefaultAdmin(interaction) {
+        return !!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild) ||
+            (!!adminRoleId && memberRoleIds(interaction).includes(adminRoleId));
+    }
+
+    async function allows(interaction, command, subcommand) {
+        const level = levelOf(command, subcommand);
+        // Outside a guild there are no roles to check, so only read actions work
+        if (!interaction.guildId) return level === 'read';
+        if (interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) return true;
+
+        const rules = await getRules(interaction.guildId);
+        const rule = rules.commands[command] || rules.levels[level];
+        if (!rule) return level === 'read' || isDefaultAdmin(interaction);
+
+        const roleIds = memberRoleIds(interaction);
+        return rule.users.includes(interaction.user.id) || rule.roles.some(role => roleIds.includes(role));
+    }
+
+    // allows(), plus a log line and the onDenied hook when the answer is no
+    async function check(interaction, command, subcommand) {
+        if (await allows(interaction, command, subcommand)) return true;
+        const action = subcommand ? `${command} ${subcommand}` : command;
+        console.warn(`⛔ ${interaction.user.tag || interaction.user.id} was denied /${action} in guild ${interaction.guildId || '(DM)'}`);
+        try {
+            await onDenied(interaction, action);
+        } catch (error) {
+            console.error('Failed to record denied command:', error);
+        }
+        return false;
+    }
+
+    function requireTarget(target) {
+        if (!targets.includes(target)) {
+            throw permissionError(`Unknown command or level "${target}". Use one of: ${targets.join(', ')}`);
+        }
+        return LEVELS.includes(target) ? 'levels' : 'commands';
+    }
+
+    // A new rule starts from the default it replaces, so allow only ever widens it
+    function defaultRule(guildId, target) {
+        const level = LEVELS.includes(target) ? target : levelOf(target);
+        if (level === 'read') return { roles: [guildId], users: [] };
+        return { roles: adminRoleId ? [adminRoleId] : [], users: [] };
+    }
+
+    async function update(guildId, target, change) {
+        const group = requireTarget(target);
+        const rules = structuredClone(await getRules(guildId));
+        const before = rules[group][target] || null;
+        const rule = structuredClone(before || defaultRule(guildId, target));
+        change(rule);
+        rules[group][target] = rule;
+        await saveRules(guildId, rules);
+        return { before, after: rule };
+    }
+
+    return {
+        targets,
+        levelOf,
+        allows,
+        check,
+        getRules,
+
+        allow(guildId, target, { roleId, userId }) {
+            return update(guildId, target, rule => {
+                if (roleId && !rule.roles.includes(roleId)) rule.roles.push(roleId);
+                if (userId && !rule.users.includes(userId)) rule.users.push(userId);
+            });
+        },
+
+        deny(guildId, target, { roleId, userId }) {
+            return update(guildId, target, rule => {
+                rule.roles = rule.roles.filter(role => role !== roleId);
+                rule.users = rule.users.filter(user => user !== userId);
+            });
+        },
+
+        // Drops the rule so the target falls back to its default
+        async reset(guildId, target) {
+            const group = requireTarget(target);
+            const rules = structuredClone(await getRules(guildId));
+            const before = rules[group][target] || null;
+            delete rules[group][target];
+            await saveRules(guildId, rules);
+            return { before, after: null };
+        }
+    };
+}
+
+function formatRule(rule, guildId) {
+    const who = [
+        ...rule.roles.map(role => (role === guildId ? '@everyone' : `<@&${role}>`)),
+        ...rule.users.map(user => `<@${user}>`)
+    ];
+    return who.length > 0 ? who.join(', ') : 'server administrators only';
+}
+
+// Lines for /permissions show
+async function describePermissions(permissions, guildId) {
+    const rules = await permissions.getRules(guildId);
+    const lines = LEVELS.map(level => `**${level}**: ${rules.levels[level]
+        ? formatRule(rules.levels[level], guildId)
+        : (level === 'read' ? 'everyone (default)' : 'admin role and Manage Server (default)')}`);
+    for (const [command, rule] of Object.entries(rules.commands)) {
+        lines.push(`**/${command}**: ${formatRule(rule, guildId)}`);
+    }
+    return lines;
+}
+
+// Runs /permissions for either bot and returns the reply text. `store` takes the
+// audit entry, as for recordAudit().
+async function handlePermissionsCommand(interaction, permissions, store) {
+    const { guildId, options } = interaction;
+    if (!guildId) return '❌ Permissions are set per server. Run this in a server channel.';
+
+    const subcommand = options.getSubcommand();
+    if (subcommand === 'show') {
+        const lines = await describePermissions(permissions, guildId);
+        return `🔐 **Permissions**\n${lines.join('\n')}\nServer administrators can always use every command.`;
+    }
+
+    const target = options.getString('target');
+    const roleId = options.getRole('role')?.id;
+    const userId = options.getUser('user')?.id;
+    if (subcommand !== 'reset' && !roleId && !userId) {
+        return '❌ Pick a role or a user';
+    }
+
+    const change = subcommand === 'reset'
+        ? await permissions.reset(guildId, target)
+        : await permissions[subcommand](guildId, target, { roleId, userId });
+    await recordAudit(store, {
+        actor: discordActor(interaction.user),
+        action: `permission.${subcommand}`,
+        targetType: 'permission',
+        targetId: `${guildId}:${target}`,
+        before: change.before,
+        after: change.after
+    });
+
+    const lines = await describePermissions(permissions, guildId);
+    return `✅ Updated **${target}**\n${lines.join('\n')}`;
+}
+
+module.exports = {
+    LEVELS,
+    DENIED_MESSAGE,
+    createPermissions,
+    describePermissions,
+    handlePermissionsCommand
+};
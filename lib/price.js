@@ -0,0 +1,150 @@
+const fs = require('fs');
+
+// Units of each currency per 1 unit of the base currency. Override with a JSON file
+// shaped like { "base": "USD", "rates": { "EUR": 0.92, ... } } in EXCHANGE_RATES_FILE.
+const DEFAULT_EXCHANGE_RATES = {
+    base: 'USD',
+    rates: {
+        USD: 1,
+        EUR: 0.92,
+        GBP: 0.79,
+        CAD: 1.37,
+        AUD: 1.52,
+        NZD: 1.66,
+        JPY: 151,
+        CNY: 7.2,
+        HKD: 7.8,
+        SGD: 1.35,
+        INR: 83.5,
+        KRW: 1370,
+        BRL: 5.1,
+        MXN: 17,
+        RUB: 92,
+        PLN: 4,
+        CHF: 0.9,
+        SEK: 10.6,
+        NOK: 10.8,
+        DKK: 6.9,
+        TRY: 32,
+        AED: 3.67,
+        ZAR: 18.5
+    }
+};
+
+// Longest first so "US $" wins over "$" and "CA$" over "$"
+const CURRENCY_SYMBOLS = [
+    ['US $', 'USD'], ['US$', 'USD'], ['CA$', 'CAD'], ['C$', 'CAD'], ['AU $', 'AUD'], ['AU$', 'AUD'],
+    ['A$', 'AUD'], ['NZ$', 'NZD'], ['HK$', 'HKD'], ['S$', 'SGD'], ['MX$', 'MXN'], ['R$', 'BRL'],
+    ['CN¥', 'CNY'], ['RMB', 'CNY'], ['руб', 'RUB'], ['zł', 'PLN'],
+    ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['₹', 'INR'], ['₩', 'KRW'], ['₽', 'RUB'], ['₺', 'TRY'], ['$', 'USD']
+];
+
+function priceError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function loadExchangeRates() {
+    const file = process.env.EXCHANGE_RATES_FILE;
+    if (!file) return DEFAULT_EXCHANGE_RATES;
+    const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!table.base || !table.rates || table.rates[table.base] !== 1) {
+        throw new Error(`${file} must look like { "base": "USD", "rates": { "USD": 1, ... } }`);
+    }
+    return table;
+}
+
+const exchangeRates = loadExchangeRates();
+const BASE_CURRENCY = exchangeRates.base;
+
+function parsePrice(priceStr) {
+    if (!priceStr) return null;
+    const cleanStr = String(priceStr).replace(/[^\d.,]/g, '');
+    const lastComma = cleanStr.lastIndexOf(',');
+    const lastDot = cleanStr.lastIndexOf('.');
+
+    if (lastComma > lastDot) {
+        return parseFloat(cleanStr.replace(/\./g, '').replace(',', '.'));
+    } else if (lastDot > lastComma) {
+        return parseFloat(cleanStr.replace(/,/g, ''));
+    }
+
+    return parseFloat(cleanStr);
+}
+
+function isKnownCurrency(currency) {
+    return Object.prototype.hasOwnProperty.call(exchangeRates.rates, currency);
+}
+
+function detectCurrency(text) {
+    const code = text.toUpperCase().match(/\b[A-Z]{3}\b/g)?.find(isKnownCurrency);
+    if (code) return code;
+    const symbol = CURRENCY_SYMBOLS.find(([sign]) => text.includes(sign));
+    return symbol ? symbol[1] : null;
+}
+
+// "US $12.50 - 15.00" -> { amount: 12.5, currency: 'USD' }. Ranges count as their
+// low end; text without a currency sign gets defaultCurrency.
+function parseMoney(text, defaultCurrency = BASE_CURRENCY) {
+    if (text === null || text === undefined) return null;
+    const str = String(text);
+    const number = str.match(/\d+(?:[.,\s]\d+)*/);
+    if (!number) return null;
+    const amount = parsePrice(number[0].replace(/\s/g, ''));
+    if (!Number.isFinite(amount)) return null;
+    return { amount, currency: detectCurrency(str) || defaultCurrency };
+}
+
+function convertAmount(amount, from, to = BASE_CURRENCY) {
+    if (!isKnownCurrency(from) || !isKnownCurrency(to)) return null;
+    return (amount / exchangeRates.rates[from]) * exchangeRates.rates[to];
+}
+
+function formatMoney(amount, currency) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+}
+
+// Turns what a user typed ("12.5", "€10", "15 CAD") or { amount, currency } into the
+// stored fields: price for display plus priceAmount and priceCurrency
+function normalizePrice(input, defaultCurrency = BASE_CURRENCY) {
+    const money = input && typeof input === 'object'
+        ? { amount: Number(input.amount), currency: String(input.currency || defaultCurrency).toUpperCase() }
+        : parseMoney(input, defaultCurrency);
+
+    if (!money || !Number.isFinite(money.amount) || money.amount <= 0) {
+        throw priceError(`Invalid price "${input && typeof input === 'object' ? JSON.stringify(input) : input}": expected something like $12.50 or 12.50 EUR`);
+    }
+    if (!isKnownCurrency(money.currency)) {
+        throw priceError(`Unsupported currency ${money.currency}. Known: ${Object.keys(exchangeRates.rates).join(', ')}`);
+    }
+
+    const digits = new Intl.NumberFormat('en-US', { style: 'currency', currency: money.currency })
+        .resolvedOptions().maximumFractionDigits;
+    const amount = Number(money.amount.toFixed(digits));
+    return {
+        price: formatMoney(amount, money.currency),
+        priceAmount: amount,
+        priceCurrency: money.currency
+    };
+}
+
+// Base-currency amount for a product, whether it has structured fields or only
+// a legacy price string
+function toBaseAmount({ price, priceAmount, priceCurrency }) {
+    const money = Number.isFinite(priceAmount) && priceCurrency
+        ? { amount: priceAmount, currency: priceCurrency }
+        : parseMoney(price);
+    return money ? convertAmount(money.amount, money.currency) : null;
+}
+
+module.exports = {
+    BASE_CURRENCY,
+    parsePrice,
+    parseMoney,
+    isKnownCurrency,
+    convertAmount,
+    formatMoney,
+    normalizePrice,
+    toBaseAmount
+};
@@ -0,0 +1,62 @@
+const cheerio = require('cheerio');
+const { readStructuredData } = require('./adapters/structured');
+const { getAdapter } = require('./adapters');
+
+function firstOf(...values) {
+    return values.map(value => (value || '').trim()).find(Boolean) || null;
+}
+
+function absoluteUrl(value, base) {
+    if (!value) return null;
+    try {
+        return new URL(value, base).href;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Pulls what a catalog entry needs from a store page: title, price and main image.
+// Structured data and OpenGraph tags come first, then the page itself.
+function extractProductDetails(html, url) {
+    const $ = cheerio.load(html);
+    const structured = readStructuredData($) || {};
+    const meta = name => $(`meta[property="${name}"], meta[name="${name}"]`).attr('content');
+    const adapter = getAdapter(url);
+
+    const title = firstOf(
+        structured.title,
+        meta('og:title'),
+        meta('twitter:title'),
+        $('[itemprop="name"]').first().attr('content') || $('[itemprop="name"]').first().text(),
+        $('h1').first().text(),
+        $('title').first().text()
+    );
+
+    // The adapter knows the store's own price selectors when there is no structured data
+    let price = null;
+    if (structured.price) {
+        price = structured.currency ? `${structured.price} ${structured.currency}` : structured.price;
+    } else {
+        const extracted = adapter.extract(html, { ...adapter.defaults, url });
+        price = extracted.price !== 'N/A' ? extracted.price : null;
+    }
+
+    const image = absoluteUrl(firstOf(
+        structured.image,
+        meta('og:image:secure_url'),
+        meta('og:image'),
+        meta('twitter:image'),
+        $('[itemprop="image"]').first().attr('content') || $('[itemprop="image"]').first().attr('src'),
+        $('link[rel="image_src"]').attr('href'),
+        $('img[src]').first().attr('src')
+    ), url);
+
+    return {
+        title: title ? title.replace(/\s+/g, ' ') : null,
+        price,
+        currency: adapter.currency || null,
+        image
+    };
+}
+
+module.exports = { extractProductDetails };
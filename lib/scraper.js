@@ -0,0 +1,82 @@
+const axios = require('axios');
+const { getAdapter } = require('./adapters');
+
+const USER_AGENT = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/115.0.0.0 Safari/537.36";
+
+async function safeGoto(page, url, retries = 3) {
+    for (let i = 0; i < retries; i++) {
+        try {
+            await page.goto(url, { waitUntil: "networkidle2", timeout: 30000 });
+            return;
+        } catch (e) {
+            if (i === retries - 1) throw e;
+            await new Promise(r => setTimeout(r, 5000));
+        }
+    }
+}
+
+// Settles with the promise, or rejects as soon as signal aborts
+function abortable(promise, signal) {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        if (signal.aborted) return onAbort();
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+function pageTooLarge(url, maxBytes) {
+    const error = new Error(`${url} is larger than ${Math.round(maxBytes / 1024 / 1024)}MB`);
+    error.type = 'max-size';
+    return error;
+}
+
+function createScraper(pool) {
+    async function puppeteerFetch(url) {
+        return pool.withPage(async page => {
+            await page.setUserAgent(USER_AGENT);
+            await safeGoto(page, url);
+            return page.content();
+        });
+    }
+
+    async function axiosFetch(url, { signal, maxBytes } = {}) {
+        try {
+            const res = await axios.get(url, {
+                timeout: 15000,
+                signal,
+                maxContentLength: maxBytes || -1,
+                headers: { 'User-Agent': USER_AGENT }
+            });
+            return res.data;
+        } catch (err) {
+            if (err.message.includes('maxContentLength')) throw pageTooLarge(url, maxBytes);
+            throw new Error("Fallback axios error: " + err.message);
+        }
+    }
+
+    // signal puts a deadline on the whole fetch, browser and fallback together;
+    // maxBytes refuses pages bigger than that
+    async function fetchPage(url, { signal, maxBytes } = {}) {
+        let html;
+        try {
+            html = await abortable(puppeteerFetch(url), signal);
+        } catch (puppeteerErr) {
+            if (signal?.aborted) throw puppeteerErr;
+            console.warn(`Puppeteer failed for ${url}: ${puppeteerErr.message}`);
+            return axiosFetch(url, { signal, maxBytes });
+        }
+        if (maxBytes && Buffer.byteLength(html) > maxBytes) throw pageTooLarge(url, maxBytes);
+        return html;
+    }
+
+    async function checkSite(site) {
+        const html = await fetchPage(site.url);
+        return getAdapter(site.url).extract(html, site);
+    }
+
+    return { fetchPage, checkSite };
+}
+
+module.exports = { createScraper };
@@ -0,0 +1,41 @@
+const { toBaseAmount } = require('./price');
+
+const MAX_PREFIX_LENGTH = 20;
+
+function tokenize(text) {
+    return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Firestore has no text search, so every word prefix is stored in an array that
+// `array-contains` can match: "Air Max" -> a, ai, air, m, ma, max
+function buildSearchTokens(name) {
+    const tokens = new Set();
+    for (const word of tokenize(name)) {
+        for (let i = 1; i <= Math.min(word.length, MAX_PREFIX_LENGTH); i++) {
+            tokens.add(word.slice(0, i));
+        }
+    }
+    return [...tokens];
+}
+
+// Derived fields that listing, filtering and sorting rely on. priceValue is in the
+// base currency at the rates configured when the product was written, so products
+// priced in different currencies sort together.
+function buildSearchFields({ name, price, priceAmount, priceCurrency }) {
+    const fields = {};
+    if (name !== undefined) {
+        fields.name_lower = String(name).toLowerCase();
+        fields.searchTokens = buildSearchTokens(name);
+    }
+    if (price !== undefined || priceAmount !== undefined) {
+        const priceValue = toBaseAmount({ price, priceAmount, priceCurrency });
+        fields.priceValue = Number.isFinite(priceValue) ? priceValue : null;
+    }
+    return fields;
+}
+
+module.exports = {
+    MAX_PREFIX_LENGTH,
+    tokenize,
+    buildSearchFields
+};
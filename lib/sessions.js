@@ -0,0 +1,77 @@
+// Minutes each kind of session lasts after its last step. SESSION_TTL_<KIND>_MINUTES
+// overrides one, e.g. SESSION_TTL_BULK_MINUTES=60.
+const DEFAULT_TTLS = {
+    add: 15,
+    edit: 15,
+    bulk: 30,
+    restore: 30,
+    list: 24 * 60,
+    products: 24 * 60
+};
+const SESSION_PURGE_INTERVAL = 15 * 60 * 1000;
+
+function sessionTtl(kind) {
+    const fallback = DEFAULT_TTLS[kind];
+    if (!fallback) throw new Error(`Unknown session kind "${kind}"`);
+    const minutes = Number(process.env[`SESSION_TTL_${kind.toUpperCase()}_MINUTES`] || fallback);
+    return (Number.isFinite(minutes) && minutes > 0 ? minutes : fallback) * 60 * 1000;
+}
+
+// "15 minutes", "1 day", for telling users how long a session lasted
+function describeTtl(kind) {
+    const minutes = Math.round(sessionTtl(kind) / 60000);
+    const [amount, unit] = minutes % (24 * 60) === 0 ? [minutes / (24 * 60), 'day']
+        : minutes % 60 === 0 ? [minutes / 60, 'hour']
+            : [minutes, 'minute'];
+    return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+}
+
+// State for multi-step flows, kept in storage rather than memory so a restart
+// doesn't lose it. Sessions are keyed by the message whose components drive them.
+// `store` is the backend: { get(id), put(record), remove(id), purgeExpired(before) },
+// where a record is { id, kind, data, expiresAt }.
+function createSessions(store) {
+    const idOf = (kind, key) => `${kind}:${key}`;
+
+    // Every step pushes the expiry back. Data goes through JSON so it comes back
+    // the same from every backend, and nothing that can't be stored slips in.
+    async function save(kind, key, data) {
+        await store.put({
+            id: idOf(kind, key),
+            kind,
+            data: JSON.parse(JSON.stringify(data)),
+            expiresAt: new Date(Date.now() + sessionTtl(kind))
+        });
+    }
+
+    return {
+        start: save,
+        update: save,
+
+        // The session's data, or null when it expired or never existed
+        async get(kind, key) {
+            const record = await store.get(idOf(kind, key));
+            if (!record || record.expiresAt <= new Date()) return null;
+            return record.data;
+        },
+
+        // True only for the caller that actually removed it, so a second click on
+        // Confirm can tell it lost the race
+        end(kind, key) {
+            return store.remove(idOf(kind, key));
+        },
+
+        async purgeExpired() {
+            const purged = await store.purgeExpired(new Date());
+            if (purged > 0) console.log(`🧹 Purged ${purged} expired interaction sessions`);
+            return purged;
+        }
+    };
+}
+
+module.exports = {
+    SESSION_PURGE_INTERVAL,
+    sessionTtl,
+    describeTtl,
+    createSessions
+};
@@ -0,0 +1,54 @@
+const { deleteImage } = require('./images');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_INTERVAL = 60 * 60 * 1000;
+// Discord caps a customId at 100 characters, which limits how many IDs an Undo button can carry
+const MAX_CUSTOM_ID_LENGTH = 100;
+
+function retentionDays() {
+    const days = Number(process.env.TRASH_RETENTION_DAYS || DEFAULT_RETENTION_DAYS);
+    return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+// What removeMany() needs to know about a removal
+function trashOptions(actor, from = new Date()) {
+    return {
+        deletedBy: actor?.id ? String(actor.id) : null,
+        expiresAt: new Date(from.getTime() + retentionDays() * 24 * 60 * 60 * 1000)
+    };
+}
+
+// customId for an Undo button, or null when the IDs don't fit in one
+function undoCustomId(action, ids) {
+    const customId = `${action}:${ids.join(',')}`;
+    return customId.length <= MAX_CUSTOM_ID_LENGTH ? customId : null;
+}
+
+// Catalog products own their images, so those go only once the product is purged
+async function purgeProducts(catalog, options) {
+    const purged = await catalog.products.purgeTrash(options);
+    await Promise.all(purged.map(product => deleteImage(product.image)));
+    return purged;
+}
+
+async function purgeExpiredProducts(catalog) {
+    const purged = await purgeProducts(catalog, { expiredBefore: new Date() });
+    if (purged.length > 0) console.log(`🗑️ Purged ${purged.length} expired products from the trash`);
+    return purged;
+}
+
+async function purgeExpiredWatchlist(watchlist) {
+    const purged = await watchlist.purgeTrash({ expiredBefore: new Date() });
+    if (purged.length > 0) console.log(`🗑️ Purged ${purged.length} expired watchlist entries from the trash`);
+    return purged;
+}
+
+module.exports = {
+    PURGE_INTERVAL,
+    retentionDays,
+    trashOptions,
+    undoCustomId,
+    purgeProducts,
+    purgeExpiredProducts,
+    purgeExpiredWatchlist
+};
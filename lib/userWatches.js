@@ -0,0 +1,144 @@
+const db = require('./db');
+
+const DEFAULT_COOLDOWN_MINUTES = 360;
+
+function cooldownMs() {
+    const minutes = Number(process.env.WATCH_DM_COOLDOWN_MINUTES || DEFAULT_COOLDOWN_MINUTES);
+    return (Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_COOLDOWN_MINUTES) * 60 * 1000;
+}
+
+function fromRow(row) {
+    return {
+        id: row.id,
+        userId: row.user_id,
+        productId: row.product_id,
+        belowPrice: row.below_price,
+        belowAmount: row.below_amount,
+        belowCurrency: row.below_currency,
+        restock: row.restock,
+        matching: row.matching,
+        notifiedAt: row.notified_at,
+        createdAt: row.created_at,
+        // Joined from the watchlist where a query asks for them
+        name: row.name,
+        url: row.url,
+        guildId: row.guild_id
+    };
+}
+
+const COLUMNS = 'w.id, w.user_id, w.product_id, w.below_price, w.below_amount, w.below_currency, w.restock, w.matching, w.notified_at, w.created_at';
+
+// Watching a product again replaces the old conditions and starts over
+async function put(userId, productId, { belowPrice = null, belowAmount = null, belowCurrency = null, restock = false }) {
+    const { rows } = await db.query(
+        `INSERT INTO user_watches AS w (user_id, product_id, below_price, below_amount, below_currency, restock)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (user_id, product_id) DO UPDATE SET
+             below_price = EXCLUDED.below_price, below_amount = EXCLUDED.below_amount,
+             below_currency = EXCLUDED.below_currency, restock = EXCLUDED.restock,
+             matching = false, notified_at = NULL
+         RETURNING ${COLUMNS}`,
+        [userId, productId, belowPrice, belowAmount, belowCurrency, restock]
+    );
+    return fromRow(rows[0]);
+}
+
+async function remove(userId, productId) {
+    const { rows } = await db.query(
+        `DELETE FROM user_watches AS w WHERE user_id = $1 AND product_id = $2 RETURNING ${COLUMNS}`,
+        [userId, productId]
+    );
+    return rows.length ? fromRow(rows[0]) : null;
+}
+
+// A user's watches across every guild, leaving out products in the trash
+async function listForUser(userId) {
+    const { rows } = await db.query(
+        `SELECT ${COLUMNS}, p.name, p.url, p.guild_id FROM user_watches w
+         JOIN watchlist p ON p.id = w.product_id
+         WHERE w.user_id = $1 AND p.deleted_at IS NULL ORDER BY w.product_id`,
+        [userId]
+    );
+    return rows.map(fromRow);
+}
+
+// Watches on these products from users who still take DMs
+async function listForProducts(productIds) {
+    const { rows } = await db.query(
+        `SELECT ${COLUMNS} FROM user_watches w
+         WHERE w.product_id = ANY($1::int[])
+           AND NOT EXISTS (SELECT 1 FROM user_dm_optouts o WHERE o.user_id = w.user_id)`,
+        [productIds]
+    );
+    return rows.map(fromRow);
+}
+
+async function saveMatches(changes) {
+    if (changes.length === 0) return;
+    await db.query(
+        `UPDATE user_watches AS w SET matching = c.matching, notified_at = COALESCE(c.notified_at, w.notified_at)
+         FROM unnest($1::int[], $2::boolean[], $3::timestamptz[]) AS c(id, matching, notified_at)
+         WHERE w.id = c.id`,
+        [changes.map(c => c.id), changes.map(c => c.matching), changes.map(c => c.notifiedAt || null)]
+    );
+}
+
+async function isOptedOut(userId) {
+    const { rows } = await db.query('SELECT 1 FROM user_dm_optouts WHERE user_id = $1', [userId]);
+    return rows.length > 0;
+}
+
+async function setOptOut(userId, optedOut) {
+    if (optedOut) {
+        await db.query('INSERT INTO user_dm_optouts (user_id) VALUES ($1) ON CONFLICT (user_id) DO NOTHING', [userId]);
+    } else {
+        await db.query('DELETE FROM user_dm_optouts WHERE user_id = $1', [userId]);
+    }
+}
+
+// Works out which watches to DM about after a scrape. A watch fires when its
+// condition starts to hold, and not again within the cooldown, so a price that
+// sits under the target doesn't DM every run. One that starts to hold during the
+// cooldown stays unmatched and fires once the cooldown is over.
+function matchWatches(watches, readings, { now = new Date(), cooldown = cooldownMs() } = {}) {
+    const readingsById = new Map(readings.map(reading => [reading.id, reading]));
+    const notify = [];
+    const changes = [];
+
+    for (const watch of watches) {
+        const reading = readingsById.get(watch.productId);
+        if (!reading || reading.error) continue;
+
+        const reasons = [];
+        if (watch.belowPrice !== null && Number.isFinite(reading.priceNum) && reading.priceNum <= watch.belowPrice) {
+            reasons.push('below');
+        }
+        if (watch.restock && reading.inStock === true) {
+            reasons.push('restock');
+        }
+
+        if (reasons.length === 0) {
+            if (watch.matching) changes.push({ id: watch.id, matching: false });
+            continue;
+        }
+        if (watch.matching) continue;
+        if (watch.notifiedAt && now - new Date(watch.notifiedAt) < cooldown) continue;
+
+        notify.push({ watch, reading, reasons });
+        changes.push({ id: watch.id, matching: true, notifiedAt: now });
+    }
+
+    return { notify, changes };
+}
+
+module.exports = {
+    cooldownMs,
+    put,
+    remove,
+    listForUser,
+    listForProducts,
+    saveMatches,
+    isOptedOut,
+    setOptOut,
+    matchWatches
+};
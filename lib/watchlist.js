@@ -0,0 +1,143 @@
+const db = require('./db');
+
+const COLUMNS = 'id, guild_id, name, url, price_selector, stock_selector, check_text, created_at';
+const TRASH_COLUMNS = `${COLUMNS}, deleted_by, deleted_at, expires_at`;
+
+function fromRow(row) {
+    return {
+        id: row.id,
+        guildId: row.guild_id,
+        name: row.name,
+        url: row.url,
+        priceSelector: row.price_selector,
+        stockSelector: row.stock_selector,
+        checkText: row.check_text,
+        createdAt: row.created_at
+    };
+}
+
+function fromTrashRow(row) {
+    return { ...fromRow(row), deletedBy: row.deleted_by, deletedAt: row.deleted_at, expiresAt: row.expires_at };
+}
+
+// Each guild has its own watchlist; IDs stay unique across guilds so history rows need no guild
+async function list(guildId) {
+    const { rows } = await db.query(`SELECT ${COLUMNS} FROM watchlist WHERE guild_id = $1 AND deleted_at IS NULL ORDER BY id`, [guildId]);
+    return rows.map(fromRow);
+}
+
+// Every guild's entries, for the monitor
+async function listAll() {
+    const { rows } = await db.query(`SELECT ${COLUMNS} FROM watchlist WHERE guild_id IS NOT NULL AND deleted_at IS NULL ORDER BY id`);
+    return rows.map(fromRow);
+}
+
+async function count(guildId) {
+    const { rows } = await db.query('SELECT count(*)::int AS count FROM watchlist WHERE guild_id = $1 AND deleted_at IS NULL', [guildId]);
+    return rows[0].count;
+}
+
+async function get(guildId, id) {
+    const { rows } = await db.query(`SELECT ${COLUMNS} FROM watchlist WHERE id = $1 AND guild_id = $2 AND deleted_at IS NULL`, [id, guildId]);
+    return rows.length ? fromRow(rows[0]) : null;
+}
+
+async function getMany(guildId, ids) {
+    const { rows } = await db.query(
+        `SELECT ${COLUMNS} FROM watchlist WHERE id = ANY($1::int[]) AND guild_id = $2 AND deleted_at IS NULL ORDER BY id`,
+        [ids, guildId]
+    );
+    return rows.map(fromRow);
+}
+
+async function insert(client, guildId, product) {
+    const { rows } = await client.query(
+        `INSERT INTO watchlist (guild_id, name, url, price_selector, stock_selector, check_text)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING ${COLUMNS}`,
+        [guildId, product.name, product.url, product.priceSelector || null, product.stockSelector || null, product.checkText || '']
+    );
+    return fromRow(rows[0]);
+}
+
+async function add(guildId, product) {
+    return insert(db, guildId, product);
+}
+
+async function addMany(guildId, products) {
+    return db.transaction(async client => {
+        const added = [];
+        for (const product of products) {
+            added.push(await insert(client, guildId, product));
+        }
+        return added;
+    });
+}
+
+// Trashed entries keep their ID and scrape history, but aren't listed or scraped
+async function removeMany(guildId, ids, { deletedBy = null, expiresAt }) {
+    const { rows } = await db.query(
+        `UPDATE watchlist SET deleted_at = now(), deleted_by = $3, expires_at = $4
+         WHERE id = ANY($1::int[]) AND guild_id = $2 AND deleted_at IS NULL
+         RETURNING ${COLUMNS}`,
+        [ids, guildId, deletedBy, expiresAt]
+    );
+    return rows.map(fromRow);
+}
+
+async function remove(guildId, id, options) {
+    const [removed] = await removeMany(guildId, [id], options);
+    return removed || null;
+}
+
+async function listTrash(guildId) {
+    const { rows } = await db.query(
+        `SELECT ${TRASH_COLUMNS} FROM watchlist WHERE guild_id = $1 AND deleted_at IS NOT NULL ORDER BY deleted_at DESC`,
+        [guildId]
+    );
+    return rows.map(fromTrashRow);
+}
+
+async function restoreMany(guildId, ids) {
+    const { rows } = await db.query(
+        `UPDATE watchlist SET deleted_at = NULL, deleted_by = NULL, expires_at = NULL
+         WHERE id = ANY($1::int[]) AND guild_id = $2 AND deleted_at IS NOT NULL
+         RETURNING ${COLUMNS}`,
+        [ids, guildId]
+    );
+    return rows.map(fromRow);
+}
+
+// Deletes trashed entries and their history for good: a guild's entries in ids,
+// or every guild's entries expired by expiredBefore
+async function purgeTrash({ guildId, ids, expiredBefore }) {
+    const { rows } = ids
+        ? await db.query(
+            `DELETE FROM watchlist WHERE id = ANY($1::int[]) AND guild_id = $2 AND deleted_at IS NOT NULL RETURNING ${TRASH_COLUMNS}`,
+            [ids, guildId]
+        )
+        : await db.query(`DELETE FROM watchlist WHERE expires_at <= $1 RETURNING ${TRASH_COLUMNS}`, [expiredBefore]);
+    return rows.map(fromTrashRow);
+}
+
+// Hands entries from before multi-guild support to a guild, returning how many moved
+async function adoptUnassigned(guildId) {
+    const { rowCount } = await db.query('UPDATE watchlist SET guild_id = $1 WHERE guild_id IS NULL', [guildId]);
+    return rowCount;
+}
+
+module.exports = {
+    list,
+    listAll,
+    count,
+    get,
+    getMany,
+    add,
+    addMany,
+    remove,
+    removeMany,
+    listTrash,
+    restoreMany,
+    purgeTrash,
+    adoptUnassigned
+};
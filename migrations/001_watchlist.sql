@@ -0,0 +1,22 @@
+CREATE TABLE watchlist (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    url TEXT NOT NULL,
+    price_selector TEXT,
+    stock_selector TEXT,
+    check_text TEXT NOT NULL DEFAULT '',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE scrape_results (
+    id BIGSERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES watchlist(id) ON DELETE CASCADE,
+    price TEXT,
+    price_num DOUBLE PRECISION,
+    stock TEXT,
+    in_stock BOOLEAN,
+    error TEXT,
+    checked_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX scrape_results_product_checked_idx ON scrape_results (product_id, checked_at);
@@ -0,0 +1,28 @@
+CREATE TABLE catalog_products (
+    id TEXT PRIMARY KEY,
+    main_category TEXT,
+    sub_category TEXT,
+    name_lower TEXT NOT NULL DEFAULT '',
+    search_tokens TEXT[] NOT NULL DEFAULT '{}',
+    price_value DOUBLE PRECISION,
+    data JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ
+);
+
+CREATE INDEX catalog_products_category_idx ON catalog_products (main_category, sub_category);
+CREATE INDEX catalog_products_created_idx ON catalog_products (created_at, id);
+CREATE INDEX catalog_products_price_idx ON catalog_products (price_value, id);
+CREATE INDEX catalog_products_name_idx ON catalog_products (name_lower, id);
+CREATE INDEX catalog_products_tokens_idx ON catalog_products USING GIN (search_tokens);
+
+CREATE TABLE api_keys (
+    id TEXT PRIMARY KEY,
+    hash TEXT NOT NULL UNIQUE,
+    prefix TEXT NOT NULL,
+    label TEXT NOT NULL,
+    created_by TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    revoked_at TIMESTAMPTZ,
+    last_used_at TIMESTAMPTZ
+);
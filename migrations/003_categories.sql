@@ -0,0 +1,5 @@
+CREATE TABLE catalog_categories (
+    name TEXT PRIMARY KEY,
+    sub_categories TEXT[] NOT NULL DEFAULT '{}',
+    position INTEGER NOT NULL DEFAULT 0
+);
@@ -0,0 +1 @@
+CREATE INDEX catalog_products_monitor_url_idx ON catalog_products ((data->>'monitorUrl'));
@@ -0,0 +1,23 @@
+CREATE TABLE catalog_products_trash (
+    id TEXT PRIMARY KEY,
+    main_category TEXT,
+    sub_category TEXT,
+    name_lower TEXT NOT NULL DEFAULT '',
+    search_tokens TEXT[] NOT NULL DEFAULT '{}',
+    price_value DOUBLE PRECISION,
+    data JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL,
+    updated_at TIMESTAMPTZ,
+    deleted_by TEXT,
+    deleted_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX catalog_products_trash_expires_idx ON catalog_products_trash (expires_at);
+
+ALTER TABLE watchlist
+    ADD COLUMN deleted_by TEXT,
+    ADD COLUMN deleted_at TIMESTAMPTZ,
+    ADD COLUMN expires_at TIMESTAMPTZ;
+
+CREATE INDEX watchlist_expires_idx ON watchlist (expires_at) WHERE deleted_at IS NOT NULL;
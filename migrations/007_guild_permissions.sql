@@ -0,0 +1,7 @@
+CREATE TABLE guild_permissions (
+    bot TEXT NOT NULL,
+    guild_id TEXT NOT NULL,
+    rules JSONB NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (bot, guild_id)
+);
@@ -0,0 +1,13 @@
+-- Entries from before multi-guild support have no guild until the bot adopts
+-- them for DISCORD_GUILD_ID on startup
+ALTER TABLE watchlist ADD COLUMN guild_id TEXT;
+
+CREATE INDEX watchlist_guild_idx ON watchlist (guild_id, id) WHERE deleted_at IS NULL;
+
+CREATE TABLE guild_settings (
+    guild_id TEXT PRIMARY KEY,
+    alert_channel_id TEXT,
+    price_threshold DOUBLE PRECISION,
+    max_products INTEGER,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
@@ -0,0 +1,21 @@
+CREATE TABLE user_watches (
+    id SERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    product_id INTEGER NOT NULL REFERENCES watchlist(id) ON DELETE CASCADE,
+    -- The target in the base currency, and as the user typed it
+    below_price DOUBLE PRECISION,
+    below_amount DOUBLE PRECISION,
+    below_currency TEXT,
+    restock BOOLEAN NOT NULL DEFAULT false,
+    matching BOOLEAN NOT NULL DEFAULT false,
+    notified_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (user_id, product_id)
+);
+
+CREATE INDEX user_watches_product_idx ON user_watches (product_id);
+
+CREATE TABLE user_dm_optouts (
+    user_id TEXT PRIMARY KEY,
+    opted_out_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
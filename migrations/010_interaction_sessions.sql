@@ -0,0 +1,9 @@
+CREATE TABLE interaction_sessions (
+    id TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    data JSONB NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX interaction_sessions_expires_idx ON interaction_sessions (expires_at);
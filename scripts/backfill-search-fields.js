@@ -0,0 +1,36 @@
+// Adds the name_lower, searchTokens and priceValue fields that GET /api/products
+// filters and sorts on to catalog documents created before they existed.
+require('dotenv').config();
+
+const admin = require('firebase-admin');
+const { buildSearchFields } = require('../lib/search');
+
+const BATCH_LIMIT = 500;
+
+async function main() {
+    const serviceAccount = JSON.parse(
+        Buffer.from(process.env.FIREBASE_SERVICE_ACCOUNT, 'base64').toString('utf-8')
+    );
+    admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
+    const db = admin.firestore();
+
+    const snapshot = await db.collection('products').get();
+    const docs = snapshot.docs;
+
+    for (let i = 0; i < docs.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+        for (const doc of docs.slice(i, i + BATCH_LIMIT)) {
+            // Structured prices count in their stored currency, not whatever the display string says
+            const { name, price, priceAmount, priceCurrency } = doc.data();
+            batch.update(doc.ref, buildSearchFields({ name: name || '', price: price || '', priceAmount, priceCurrency }));
+        }
+        await batch.commit();
+    }
+
+    console.log(`✅ Backfilled search fields on ${docs.length} products`);
+}
+
+main().catch(err => {
+    console.error('❌ Backfill failed:', err);
+    process.exitCode = 1;
+});
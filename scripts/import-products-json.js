@@ -0,0 +1,68 @@
+// One-time import of the old products.json watchlist (and history.jsonl, if
+// present) into Postgres. Existing IDs are kept so nobody's notes go stale.
+require('dotenv').config();
+
+const fs = require('fs');
+const db = require('../lib/db');
+
+const PRODUCTS_FILE = process.argv[2] || './products.json';
+const HISTORY_FILE = process.argv[3] || './history.jsonl';
+
+function readHistory(idsByUrl) {
+    if (!fs.existsSync(HISTORY_FILE)) return [];
+    const records = [];
+    for (const line of fs.readFileSync(HISTORY_FILE, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const record = JSON.parse(line);
+            const productId = idsByUrl.get(record.url);
+            if (productId) records.push({ ...record, productId });
+        } catch (err) {
+            console.warn('Skipping corrupt history line:', line.slice(0, 80));
+        }
+    }
+    return records;
+}
+
+async function main() {
+    await db.migrate();
+
+    const { rows } = await db.query('SELECT COUNT(*)::int AS count FROM watchlist');
+    if (rows[0].count > 0) {
+        console.error(`❌ Watchlist already holds ${rows[0].count} products - refusing to import twice`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const products = JSON.parse(fs.readFileSync(PRODUCTS_FILE, 'utf8'));
+    const idsByUrl = new Map(products.map(p => [p.url, p.id]));
+    const records = readHistory(idsByUrl);
+
+    await db.transaction(async client => {
+        for (const product of products) {
+            await client.query(
+                `INSERT INTO watchlist (id, name, url, price_selector, stock_selector, check_text)
+                 VALUES ($1, $2, $3, $4, $5, $6)`,
+                [product.id, product.name, product.url, product.priceSelector || null, product.stockSelector || null, product.checkText || '']
+            );
+        }
+        await client.query(`SELECT setval('watchlist_id_seq', GREATEST((SELECT MAX(id) FROM watchlist), 1))`);
+
+        for (const record of records) {
+            await client.query(
+                `INSERT INTO scrape_results (product_id, price, price_num, stock, in_stock, error, checked_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+                [record.productId, record.price, record.priceNum, record.stock, record.inStock, record.error, record.checkedAt]
+            );
+        }
+    });
+
+    console.log(`✅ Imported ${products.length} products and ${records.length} history records`);
+}
+
+main()
+    .catch(err => {
+        console.error('❌ Import failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => db.pool.end());
@@ -0,0 +1,42 @@
+// Moves base64 images embedded in catalog documents into the image store
+// (see lib/images.js) and replaces them with image metadata. Safe to re-run:
+// documents that already point at a stored image are skipped.
+require('dotenv').config();
+
+const admin = require('firebase-admin');
+const { saveImage } = require('../lib/images');
+
+async function main() {
+    const serviceAccount = JSON.parse(
+        Buffer.from(process.env.FIREBASE_SERVICE_ACCOUNT, 'base64').toString('utf-8')
+    );
+    admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
+    const db = admin.firestore();
+
+    const snapshot = await db.collection('products').get();
+    let migrated = 0;
+    let failed = 0;
+
+    for (const doc of snapshot.docs) {
+        const { image, name } = doc.data();
+        if (!image || !image.data) continue;
+
+        try {
+            const stored = await saveImage(Buffer.from(image.data, 'base64'), { name: image.name });
+            await doc.ref.update({ image: stored });
+            migrated++;
+            console.log(`Moved image for ${doc.id} (${name})`);
+        } catch (err) {
+            failed++;
+            console.error(`❌ Failed to move image for ${doc.id} (${name}):`, err.message);
+        }
+    }
+
+    console.log(`✅ Migrated ${migrated} images, ${failed} failed`);
+    if (failed > 0) process.exitCode = 1;
+}
+
+main().catch(err => {
+    console.error('❌ Image migration failed:', err);
+    process.exitCode = 1;
+});
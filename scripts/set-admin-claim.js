@@ -0,0 +1,29 @@
+// Grants (or with --revoke, removes) the admin custom claim the catalog API
+// checks on Firebase ID tokens. Usage: node scripts/set-admin-claim.js <uid> [--revoke]
+require('dotenv').config();
+
+const admin = require('firebase-admin');
+
+async function main() {
+    const [uid, flag] = process.argv.slice(2);
+    if (!uid) {
+        console.error('Usage: node scripts/set-admin-claim.js <uid> [--revoke]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const serviceAccount = JSON.parse(
+        Buffer.from(process.env.FIREBASE_SERVICE_ACCOUNT, 'base64').toString('utf-8')
+    );
+    admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
+
+    const user = await admin.auth().getUser(uid);
+    const claims = { ...(user.customClaims || {}), admin: flag !== '--revoke' };
+    await admin.auth().setCustomUserClaims(uid, claims);
+    console.log(`✅ ${claims.admin ? 'Granted' : 'Revoked'} admin for ${user.email || uid}`);
+}
+
+main().catch(err => {
+    console.error('❌ Failed to update claims:', err);
+    process.exitCode = 1;
+});
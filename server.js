@@ -1,68 +1,260 @@
 const express = require('express');
-const admin = require('firebase-admin');
 const app = express();
 const port = process.env.PORT || 3000;
 const cors = require('cors');
+const bodyParser = require('body-parser');
+const { requireAdmin } = require('./lib/auth');
+const { createCatalog } = require('./lib/catalog');
+const { tokenize, MAX_PREFIX_LENGTH } = require('./lib/search');
+const { VARIANTS, saveImage, getImage, deleteImage } = require('./lib/images');
+const { seedDefaultCategories, getCategoryTree, validateCategory } = require('./lib/categories');
+const { normalizeMonitorUrl } = require('./lib/liveStatus');
+const { AUDIT_PAGE_SIZE, requestActor, recordAudit, listAudit } = require('./lib/audit');
+const { trashOptions } = require('./lib/trash');
+const { exportCatalog } = require('./lib/archive');
+const { BASE_CURRENCY, parseMoney, isKnownCurrency, convertAmount, formatMoney, normalizePrice } = require('./lib/price');
 app.use(cors({
   origin: 'https://mrciles-server-1.onrender.com',
-  methods: ['GET', 'POST']
+  methods: ['GET', 'POST', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 
-// Initialize Firebase with Render-friendly config
-if (!admin.apps.length) {
-  try {
-    const serviceAccount = JSON.parse(
-      Buffer.from(process.env.FIREBASE_SERVICE_ACCOUNT, 'base64').toString('utf-8')
-    );
-    
-    admin.initializeApp({
-      credential: admin.credential.cert(serviceAccount),
-      databaseURL: `https://${serviceAccount.project_id}.firebaseio.com`
-    });
-    console.log('🔥 Firebase initialized successfully');
-  } catch (error) {
-    console.error('❌ FATAL: Firebase initialization failed:', error);
-    process.exit(1);
+let catalog;
+try {
+  catalog = createCatalog();
+} catch (error) {
+  console.error('❌ FATAL: Catalog storage initialization failed:', error);
+  process.exit(1);
+}
+
+app.locals.catalog = catalog;
+const adminOnly = requireAdmin(catalog);
+const EDITABLE_FIELDS = ['name', 'price', 'priceAmount', 'priceCurrency', 'currency', 'link', 'mainCategory', 'subCategory', 'image', 'monitorUrl'];
+const SORT_OPTIONS = ['date', 'price', 'name'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_CATEGORY = 'MISC';
+
+function sendError(res, status, error, details) {
+  const body = { error };
+  if (details !== undefined) body.details = details;
+  return res.status(status).json(body);
+}
+
+function serializeProduct(product, currency) {
+  const data = { ...product };
+
+  // Products written before prices were structured only have the display string
+  if (data.priceAmount === undefined) {
+    const money = parseMoney(data.price);
+    if (money) {
+      data.priceAmount = money.amount;
+      data.priceCurrency = money.currency;
+    }
+  }
+  // Filled in by the scraper for products linked to a monitored URL
+  // (live: price, priceAmount, priceCurrency, stock, checkedAt)
+  data.live = data.live || null;
+  data.inStock = data.live && typeof data.live.inStock === 'boolean' ? data.live.inStock : null;
+
+  if (currency && data.priceAmount !== undefined) {
+    const amount = convertAmount(data.priceAmount, data.priceCurrency, currency);
+    if (amount !== null) {
+      data.convertedPrice = { amount: Number(amount.toFixed(2)), currency, formatted: formatMoney(amount, currency) };
+    }
+  }
+
+  if (data.image && data.image.id) {
+    data.imageSrc = `/api/images/${data.image.id}`;
+    data.thumbnailSrc = `/api/images/${data.image.id}?size=thumb`;
+  } else if (data.image && data.image.data) {
+    // Documents not yet moved by scripts/migrate-images.js still carry base64
+    data.imageSrc = `data:${data.image.contentType};base64,${data.image.data}`;
+  }
+
+  return {
+    ...data,
+    created_at: data.created_at?.toISOString?.(),
+    updated_at: data.updated_at?.toISOString?.()
+  };
+}
+
+// Returns { updates, priceChange } or { error } for a PATCH body. priceChange holds a
+// priceAmount or currency sent without a price, to be merged with the stored price.
+function validateProductUpdate(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Request body must be a JSON object' };
+  }
+
+  const unknown = Object.keys(body).filter(key => !EDITABLE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    return { error: `Unknown fields: ${unknown.join(', ')}` };
+  }
+
+  const updates = {};
+  for (const field of ['name', 'link', 'mainCategory']) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== 'string' || !body[field].trim()) {
+      return { error: `${field} must be a non-empty string` };
+    }
+    updates[field] = body[field].trim();
+  }
+
+  // currency is the bulk upload's name for it, priceCurrency the one products come back with
+  const currency = body.priceCurrency ?? body.currency;
+  if (currency !== undefined && (typeof currency !== 'string' || !isKnownCurrency(currency.toUpperCase()))) {
+    return { error: `Unknown currency ${currency}` };
+  }
+  if (body.priceAmount !== undefined && (typeof body.priceAmount !== 'number' || !(body.priceAmount > 0))) {
+    return { error: 'priceAmount must be a positive number' };
+  }
+
+  let priceChange = null;
+  if (body.price !== undefined) {
+    try {
+      Object.assign(updates, normalizePrice(body.price, currency?.toUpperCase()));
+    } catch (err) {
+      return { error: err.message };
+    }
+  } else if (body.priceAmount !== undefined || currency !== undefined) {
+    priceChange = { amount: body.priceAmount, currency: currency?.toUpperCase() };
+  }
+
+  if (body.subCategory !== undefined) {
+    if (body.subCategory !== null && typeof body.subCategory !== 'string') {
+      return { error: 'subCategory must be a string or null' };
+    }
+    updates.subCategory = body.subCategory ? body.subCategory.trim() : null;
+  }
+
+  if (body.monitorUrl !== undefined) {
+    if (body.monitorUrl === null) {
+      updates.monitorUrl = null;
+      updates.live = null;
+    } else {
+      try {
+        updates.monitorUrl = normalizeMonitorUrl(body.monitorUrl);
+      } catch (err) {
+        return { error: 'monitorUrl must be an http(s) URL or null' };
+      }
+    }
+  }
+
+  if (body.image !== undefined) {
+    if (!body.image || typeof body.image.data !== 'string' || !body.image.data) {
+      return { error: 'image.data must be a base64 string' };
+    }
+    updates.image = {
+      data: Buffer.from(body.image.data, 'base64'),
+      name: body.image.name
+    };
+  }
+
+  if (Object.keys(updates).length === 0 && !priceChange) {
+    return { error: `Nothing to update. Editable fields: ${EDITABLE_FIELDS.join(', ')}` };
   }
+  return { updates, priceChange };
 }
 
-const db = admin.firestore();
+// Returns { params } or { error } for the GET /api/products query string
+function parseListParams(query) {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return { error: 'limit must be a positive integer' };
+  }
+
+  const sort = query.sort || 'date';
+  if (!SORT_OPTIONS.includes(sort)) {
+    return { error: `sort must be one of: ${SORT_OPTIONS.join(', ')}` };
+  }
+
+  const order = query.order || (sort === 'date' ? 'desc' : 'asc');
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const currency = query.currency ? String(query.currency).toUpperCase() : null;
+  if (currency && !isKnownCurrency(currency)) {
+    return { error: `Unknown currency ${currency}` };
+  }
+
+  // Bounds are given in the requested currency and compared in the base currency
+  const priceBounds = {};
+  for (const key of ['minPrice', 'maxPrice']) {
+    if (query[key] === undefined) continue;
+    const value = Number(query[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${key} must be a non-negative number` };
+    }
+    priceBounds[key] = convertAmount(value, currency || BASE_CURRENCY);
+  }
+  // Firestore only allows a range filter on the field the results are ordered by,
+  // so the API keeps that rule whichever backend is configured
+  if (Object.keys(priceBounds).length > 0 && sort !== 'price') {
+    return { error: 'minPrice/maxPrice can only be used with sort=price' };
+  }
+
+  return {
+    currency,
+    paged: query.limit !== undefined || query.cursor !== undefined,
+    params: {
+      limit: Math.min(limit, MAX_PAGE_SIZE),
+      sort,
+      order,
+      ...priceBounds,
+      mainCategory: query.mainCategory || null,
+      subCategory: query.subCategory || null,
+      terms: tokenize(query.q).map(term => term.slice(0, MAX_PREFIX_LENGTH)),
+      cursor: query.cursor || null
+    }
+  };
+}
 
 // Serve static files
 app.use(bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 app.use(express.static('public'));
 
-// API endpoint for products
+// Every product matching the filters, a page at a time
+async function listAllMatching(params) {
+  const all = [];
+  let cursor = null;
+  do {
+    const page = await catalog.products.list({ ...params, limit: MAX_PAGE_SIZE, cursor });
+    all.push(...page.products);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return all;
+}
+
+// API endpoint for products. With limit or cursor the response is a page,
+// { products, nextCursor }; without either it stays the bare array of every
+// matching product that clients written before paging expect.
 app.get('/api/products', async (req, res) => {
   try {
-    const productsRef = db.collection('products');
-    const snapshot = await productsRef.orderBy('created_at', 'desc').get();
-    
-    const products = [];
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      
-      // Convert base64 images to data URLs
-      if (data.image && data.image.data) {
-        data.imageSrc = `data:${data.image.contentType};base64,${data.image.data}`;
-      }
-      
-      products.push({ 
-        id: doc.id, 
-        ...data,
-        created_at: data.created_at?.toDate?.()?.toISOString?.() 
-      });
-    });
-    
-    res.json(products);
+    const { params, currency, paged, error } = parseListParams(req.query);
+    if (error) {
+      return sendError(res, 400, error);
+    }
+
+    if (!paged) {
+      const products = await listAllMatching(params);
+      return res.json(products.map(product => serializeProduct(product, currency)));
+    }
+
+    const { products, nextCursor } = await catalog.products.list(params);
+    res.json({ products: products.map(product => serializeProduct(product, currency)), nextCursor });
   } catch (err) {
-    // ... error handling ...
+    if (err.status === 400) {
+      return sendError(res, 400, err.message);
+    }
+    console.error('Product list error:', err);
+    sendError(res, 500, 'Server error while listing products', err.message);
   }
 });
-app.post('/api/products/bulk', async (req, res) => {
+app.post('/api/products/bulk', adminOnly, async (req, res) => {
   try {
-    const { products } = req.body;
+    const { products } = req.body || {};
     
     // Validate input data
     if (!products || !Array.isArray(products)) {
@@ -77,59 +269,66 @@ app.post('/api/products/bulk', async (req, res) => {
       });
     }
 
-    const batch = db.batch();
-    const productsRef = db.collection('products');
-    const addedIds = [];
-    let validCount = 0;
+    const validProducts = [];
+    const invalid = [];
 
-    for (const product of products) {
+    for (const [index, product] of products.entries()) {
       // Validate product structure
       if (!product.name || !product.price || !product.link || !product.image) {
         console.warn('Skipping invalid product:', product);
+        invalid.push({ index, error: 'name, price, link and image are required' });
+        continue;
+      }
+
+      // Products sent without a category are filed under MISC, as they always were
+      const mainCategory = product.mainCategory || DEFAULT_CATEGORY;
+      let price;
+      try {
+        await validateCategory(catalog, mainCategory, product.subCategory);
+        price = normalizePrice(product.price, product.currency ? String(product.currency).toUpperCase() : undefined);
+      } catch (err) {
+        invalid.push({ index, error: err.message });
         continue;
       }
 
       try {
-        const docRef = productsRef.doc();
+        const image = await saveImage(Buffer.from(product.image.data || '', 'base64'), { name: product.image.name });
         
-        // Create product data
-        const productData = {
+        validProducts.push({
           name: product.name,
-          price: product.price,
+          ...price,
           link: product.link,
-          mainCategory: product.mainCategory || 'MISC',
+          mainCategory,
           subCategory: product.subCategory || null,
-          image: {
-            data: product.image.data,
-            contentType: product.image.contentType || 'image/jpeg',
-            name: product.image.name || `product-${Date.now()}.jpg`
-          },
-          created_at: admin.firestore.FieldValue.serverTimestamp()
-        };
-        
-        batch.set(docRef, productData);
-        addedIds.push(docRef.id);
-        validCount++;
+          image
+        });
       } catch (err) {
-        console.error('Error processing product:', product, err);
+        console.error('Error processing product:', product.name, err);
+        invalid.push({ index, error: err.message });
       }
     }
 
-    // Commit the batch if we have valid products
-    if (validCount > 0) {
-      await batch.commit();
-      console.log(`Successfully added ${validCount} products`);
+    // Save only if we have valid products
+    if (validProducts.length > 0) {
+      const added = await catalog.products.addMany(validProducts);
+      console.log(`Successfully added ${added.length} products`);
+      await recordAudit(catalog, added.map(product => ({
+        actor: requestActor(req),
+        action: 'product.add',
+        targetType: 'product',
+        targetId: product.id,
+        after: product
+      })));
       
       return res.json({
         success: true,
-        message: `Added ${validCount} products successfully`,
-        productIds: addedIds,
-        skipped: products.length - validCount
+        message: `Added ${added.length} products successfully`,
+        productIds: added.map(product => product.id),
+        skipped: products.length - added.length,
+        invalid
       });
     } else {
-      return res.status(400).json({ 
-        error: 'No valid products found in the request' 
-      });
+      return sendError(res, 400, 'No valid products found in the request', invalid);
     }
     
   } catch (err) {
@@ -140,11 +339,261 @@ app.post('/api/products/bulk', async (req, res) => {
     });
   }
 });
+app.delete('/api/products/bulk', adminOnly, async (req, res) => {
+  try {
+    const { ids } = req.body || {};
+
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string' && id)) {
+      return sendError(res, 400, 'Invalid request format: non-empty ids array of strings is required');
+    }
+
+    // Removed products go to the trash; images stay until the trash is purged
+    const options = trashOptions(requestActor(req));
+    const removed = await catalog.products.removeMany(ids, options);
+    await recordAudit(catalog, removed.map(product => ({
+      actor: requestActor(req),
+      action: 'product.remove',
+      targetType: 'product',
+      targetId: product.id,
+      before: product
+    })));
+
+    const deleted = removed.map(product => product.id);
+    console.log(`Moved ${deleted.length} products to the trash`);
+    res.json({
+      success: true,
+      deleted,
+      trashedUntil: options.expiresAt.toISOString(),
+      notFound: [...new Set(ids)].filter(id => !deleted.includes(id))
+    });
+  } catch (err) {
+    console.error('Bulk delete error:', err);
+    sendError(res, 500, 'Server error during bulk delete', err.message);
+  }
+});
+
+app.get('/api/products/:id', async (req, res) => {
+  try {
+    const product = await catalog.products.get(req.params.id);
+    if (!product) {
+      return sendError(res, 404, `Product ${req.params.id} not found`);
+    }
+    res.json(serializeProduct(product));
+  } catch (err) {
+    console.error('Product fetch error:', err);
+    sendError(res, 500, 'Server error while fetching product', err.message);
+  }
+});
+
+app.patch('/api/products/:id', adminOnly, async (req, res) => {
+  try {
+    const { updates, priceChange, error } = validateProductUpdate(req.body);
+    if (error) {
+      return sendError(res, 400, error);
+    }
+
+    const existing = await catalog.products.get(req.params.id);
+    if (!existing) {
+      return sendError(res, 404, `Product ${req.params.id} not found`);
+    }
+
+    // A new amount keeps the stored currency and a new currency keeps the stored amount
+    if (priceChange) {
+      const { priceAmount, priceCurrency } = serializeProduct(existing);
+      try {
+        Object.assign(updates, normalizePrice({
+          amount: priceChange.amount ?? priceAmount,
+          currency: priceChange.currency || priceCurrency
+        }));
+      } catch (err) {
+        return sendError(res, 400, err.message);
+      }
+    }
+
+    if (updates.mainCategory !== undefined || updates.subCategory !== undefined) {
+      try {
+        await validateCategory(
+          catalog,
+          updates.mainCategory ?? existing.mainCategory,
+          updates.subCategory !== undefined ? updates.subCategory : existing.subCategory
+        );
+      } catch (err) {
+        return sendError(res, err.status || 400, err.message);
+      }
+    }
+
+    if (updates.image) {
+      try {
+        updates.image = await saveImage(updates.image.data, updates.image);
+      } catch (err) {
+        return sendError(res, 400, err.message);
+      }
+    }
+
+    const updated = await catalog.products.update(req.params.id, updates);
+    if (!updated) {
+      return sendError(res, 404, `Product ${req.params.id} not found`);
+    }
+
+    if (updates.image) {
+      await deleteImage(existing.image);
+    }
+    await recordAudit(catalog, {
+      actor: requestActor(req),
+      action: 'product.update',
+      targetType: 'product',
+      targetId: updated.id,
+      before: existing,
+      after: updated
+    });
+
+    res.json(serializeProduct(updated));
+  } catch (err) {
+    console.error('Product update error:', err);
+    sendError(res, 500, 'Server error while updating product', err.message);
+  }
+});
+
+app.delete('/api/products/:id', adminOnly, async (req, res) => {
+  try {
+    const options = trashOptions(requestActor(req));
+    const removed = await catalog.products.remove(req.params.id, options);
+    if (!removed) {
+      return sendError(res, 404, `Product ${req.params.id} not found`);
+    }
+
+    await recordAudit(catalog, {
+      actor: requestActor(req),
+      action: 'product.remove',
+      targetType: 'product',
+      targetId: removed.id,
+      before: removed
+    });
+    res.json({ success: true, id: req.params.id, trashedUntil: options.expiresAt.toISOString() });
+  } catch (err) {
+    console.error('Product delete error:', err);
+    sendError(res, 500, 'Server error while deleting product', err.message);
+  }
+});
+
+// ?actor=<Discord user or API key ID>&product=<product ID>&targetType=&targetId=&action=&limit=&cursor=
+// &log=scraper reads the Postgres audit_log the scraper bot writes to when it runs without a catalog
+app.get('/api/audit', adminOnly, async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? AUDIT_PAGE_SIZE : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return sendError(res, 400, 'limit must be a positive integer');
+    }
+
+    let store = catalog;
+    if (req.query.log === 'scraper') {
+      if (!process.env.DATABASE_URL) {
+        return sendError(res, 400, 'log=scraper needs DATABASE_URL pointing at the scraper database');
+      }
+      store = { audit: require('./lib/auditLog') };
+    } else if (req.query.log !== undefined && req.query.log !== 'catalog') {
+      return sendError(res, 400, 'log must be one of: catalog, scraper');
+    }
+
+    const { entries, nextCursor } = await listAudit(store, {
+      actorId: req.query.actor,
+      targetType: req.query.product ? 'product' : req.query.targetType,
+      targetId: req.query.product || req.query.targetId,
+      action: req.query.action,
+      limit,
+      cursor: req.query.cursor
+    });
+    res.json({
+      entries: entries.map(entry => ({ ...entry, created_at: entry.created_at?.toISOString?.() })),
+      nextCursor
+    });
+  } catch (err) {
+    if (err.status === 400) {
+      return sendError(res, 400, err.message);
+    }
+    console.error('Audit list error:', err);
+    sendError(res, 500, 'Server error while listing audit entries', err.message);
+  }
+});
+
+// Same ZIP as the bot's /export: products.json, products.csv and images/
+app.get('/api/export', adminOnly, async (req, res) => {
+  try {
+    const { buffer, count, missingImages } = await exportCatalog(catalog);
+    console.log(`Exported ${count} products (${missingImages.length} without images)`);
+    res.set('Content-Disposition', `attachment; filename="catalog-${new Date().toISOString().slice(0, 10)}.zip"`);
+    res.type('application/zip').send(buffer);
+  } catch (err) {
+    console.error('Export error:', err);
+    sendError(res, 500, 'Server error while exporting the catalog', err.message);
+  }
+});
+
+app.get('/api/categories', async (req, res) => {
+  try {
+    res.json({ categories: await getCategoryTree(catalog) });
+  } catch (err) {
+    console.error('Category list error:', err);
+    sendError(res, 500, 'Server error while listing categories', err.message);
+  }
+});
+
+app.get('/api/images/:id', async (req, res) => {
+  try {
+    const size = req.query.size || 'original';
+    if (!VARIANTS.includes(size)) {
+      return sendError(res, 400, `size must be one of: ${VARIANTS.join(', ')}`);
+    }
+
+    const image = await getImage(req.params.id, size);
+    if (!image) {
+      return sendError(res, 404, `Image ${req.params.id} not found`);
+    }
+
+    // Image IDs are never reused, so the bytes behind a URL never change
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('ETag', `"${req.params.id}-${size}"`);
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.type(image.contentType).send(image.data);
+  } catch (err) {
+    console.error('Image fetch error:', err);
+    sendError(res, 500, 'Server error while fetching image', err.message);
+  }
+});
+
+// Unknown API routes and malformed JSON get JSON errors rather than the HTML page
+app.all('/api/{*splat}', (req, res) => {
+  sendError(res, 404, `No route for ${req.method} ${req.path}`);
+});
+
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Malformed JSON body', err.message);
+  }
+  console.error('Unhandled server error:', err);
+  sendError(res, err.status || 500, 'Server error', err.message);
+});
+
 // HTML route
-app.get('*', (req, res) => {
+app.get('/{*splat}', (req, res) => {
   res.sendFile('index.html', { root: 'public' });
 });
 
-app.listen(port, () => {
-  console.log(`🚀 Server running on port ${port}`);
-});
\ No newline at end of file
+if (require.main === module) {
+  catalog.init()
+    .then(() => seedDefaultCategories(catalog))
+    .then(() => {
+      app.listen(port, () => {
+        console.log(`🚀 Server running on port ${port} (${catalog.backend} catalog)`);
+      });
+    })
+    .catch(error => {
+      console.error('❌ FATAL: Catalog storage setup failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getAdapter } = require('../lib/adapters');
+const { parseAvailability } = require('../lib/adapters/structured');
+
+const page = head => `<html><head>${head}</head><body><span class="price">$1</span><span class="stock">Ships today</span></body></html>`;
+const site = { priceSelector: '.price', stockSelector: '.stock' };
+
+test('getAdapter picks by domain, subdomains included', () => {
+    assert.equal(getAdapter('https://www.dhgate.com/product/123.html').name, 'dhgate');
+    assert.equal(getAdapter('https://m.DHgate.com/p').name, 'dhgate');
+    assert.equal(getAdapter('https://notdhgate.com/p').name, 'generic');
+    assert.equal(getAdapter('not a url').name, 'generic');
+});
+
+test('parseAvailability reads schema.org values', () => {
+    assert.equal(parseAvailability('https://schema.org/InStock'), true);
+    assert.equal(parseAvailability('http://schema.org/OutOfStock'), false);
+    assert.equal(parseAvailability('PreOrder'), true);
+    assert.equal(parseAvailability('Sold Out'), false);
+    assert.equal(parseAvailability('maybe'), null);
+    assert.equal(parseAvailability(undefined), null);
+});
+
+test('JSON-LD products win over selectors, even inside a @graph', () => {
+    const html = page(`<script type="application/ld+json">{"@graph":[{"@type":"WebPage"},
+        {"@type":["Product"],"name":"Shoe","offers":[{"@type":"AggregateOffer","lowPrice":19.5,"priceCurrency":"EUR","availability":"https://schema.org/OutOfStock"}]}]}</script>`);
+    assert.deepEqual(getAdapter('https://shop.example.com').extract(html, site), {
+        price: 'EUR 19.5', stock: 'Out of Stock', inStock: false, source: 'json-ld'
+    });
+});
+
+test('broken JSON-LD is skipped for meta tags', () => {
+    const html = page(`<script type="application/ld+json">{not json</script>
+        <meta property="product:price:amount" content="42.00">
+        <meta property="product:price:currency" content="GBP">
+        <meta property="product:availability" content="in stock">`);
+    assert.deepEqual(getAdapter('https://shop.example.com').extract(html, site), {
+        price: 'GBP 42.00', stock: 'In Stock', inStock: true, source: 'meta'
+    });
+});
+
+test('without structured data the configured selectors are read', () => {
+    assert.deepEqual(getAdapter('https://shop.example.com').extract(page(''), site), {
+        price: '$1', stock: 'Ships today', source: 'selector'
+    });
+    assert.deepEqual(getAdapter('https://shop.example.com').extract(page(''), {}), {
+        price: 'N/A', stock: 'N/A', source: 'selector'
+    });
+});
+
+test('the DHgate adapter falls back to its own selectors', () => {
+    const html = `<html><body>
+        <b class="productPrice_price__a1B2c">US $12.34</b>
+        <button class="productButton_soldout__x9">Sold Out</button>
+    </body></html>`;
+    const dhgate = getAdapter('https://www.dhgate.com/product/1.html');
+    assert.equal(dhgate.currency, 'USD');
+    assert.deepEqual(dhgate.extract(html, { priceSelector: '.gone', stockSelector: null }), {
+        price: 'US $12.34', stock: 'Sold Out', source: 'selector'
+    });
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const sharp = require('sharp');
+
+const imageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mrciles-images-'));
+process.env.IMAGE_STORE = 'local';
+process.env.IMAGE_STORE_DIR = imageDir;
+
+const { createCatalog } = require('../lib/catalog');
+const { seedDefaultCategories } = require('../lib/categories');
+const { saveImage } = require('../lib/images');
+const { exportCatalog, planRestore, formatRestoreSummary } = require('../lib/archive');
+
+test.after(() => fs.rmSync(imageDir, { recursive: true, force: true }));
+
+const product = fields => ({ name: 'Shoe', price: '$10', priceAmount: 10, priceCurrency: 'USD', link: 'https://example.com/shoe', image: null, mainCategory: 'MENS', subCategory: 'SHOES', ...fields });
+
+async function seededCatalog() {
+    const catalog = createCatalog('memory');
+    await catalog.init();
+    await seedDefaultCategories(catalog);
+    return catalog;
+}
+
+async function exportedCatalog() {
+    const catalog = await seededCatalog();
+    const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: 'red' } }).png().toBuffer();
+    await catalog.categories.put({ name: 'VINTAGE', subCategories: ['WATCHES'], position: 99 });
+    await catalog.products.add(product({ image: await saveImage(png) }));
+    await catalog.products.add(product({ name: 'Watch, "gold"', link: 'https://example.com/watch', mainCategory: 'VINTAGE', subCategory: 'WATCHES', image: await saveImage(png) }));
+    await catalog.products.add(product({ name: 'Sock', link: 'https://example.com/sock' }));
+    return { catalog, archive: await exportCatalog(catalog) };
+}
+
+test('exportCatalog writes products.json, products.csv and the images', async () => {
+    const { archive } = await exportedCatalog();
+    assert.equal(archive.count, 3);
+    assert.equal(archive.missingImages.length, 1);
+
+    const zip = new AdmZip(archive.buffer);
+    const manifest = JSON.parse(zip.readAsText('products.json'));
+    assert.equal(manifest.version, 1);
+    assert.ok(manifest.categories.some(category => category.name === 'VINTAGE'));
+    const shoe = manifest.products.find(entry => entry.name === 'Shoe');
+    assert.match(shoe.image, /^images\/.+\.png$/);
+    assert.ok(zip.getEntry(shoe.image));
+
+    const csv = zip.readAsText('products.csv').split('\r\n');
+    assert.equal(csv[0], 'id,name,price,currency,link,image,mainCategory,subCategory,monitorUrl');
+    assert.ok(csv.some(line => /,"Watch, ""gold""",10,USD,/.test(line)));
+});
+
+test('restoring into an empty catalog adds what it can and creates categories', async () => {
+    const { archive } = await exportedCatalog();
+    const target = await seededCatalog();
+    const plan = await planRestore(target, archive.buffer);
+    assert.equal(plan.mode, 'merge');
+    assert.equal(plan.toAdd.length, 2);
+    assert.deepEqual(plan.toUpdate, []);
+    assert.deepEqual(plan.newCategories, [{ name: 'VINTAGE', subCategories: ['WATCHES'] }]);
+    // Products exported without an image can't be restored
+    assert.deepEqual(plan.invalid.map(({ name, problems }) => ({ name, problems })), [{ name: 'Sock', problems: ['missing image filename'] }]);
+    const summary = formatRestoreSummary(plan);
+    assert.match(summary, /To add: 2\n/);
+    assert.match(summary, /Categories to create: VINTAGE > WATCHES/);
+    assert.match(summary, /Row \d \(Sock\): missing image filename/);
+});
+
+test('merge updates products by link and replace trashes the catalog', async () => {
+    const { catalog, archive } = await exportedCatalog();
+    const merge = await planRestore(catalog, archive.buffer);
+    assert.equal(merge.toAdd.length, 0);
+    assert.equal(merge.toUpdate.length, 2);
+    assert.deepEqual(merge.toTrash, []);
+
+    const replace = await planRestore(catalog, archive.buffer, { mode: 'replace' });
+    assert.equal(replace.toAdd.length, 2);
+    assert.equal(replace.toTrash.length, 3);
+
+    await assert.rejects(planRestore(catalog, archive.buffer, { mode: 'wipe' }), /Unknown restore mode "wipe"/);
+});
+
+test('duplicate links and rows without a category are skipped', async () => {
+    const zip = new AdmZip();
+    zip.addFile('shoe.png', Buffer.from('png'));
+    zip.addFile('products.json', Buffer.from(JSON.stringify({
+        products: [
+            product({ name: 'First', image: 'shoe.png' }),
+            product({ name: 'Second', image: 'shoe.png' }),
+            product({ name: 'Loose', image: 'shoe.png', link: 'https://example.com/loose', mainCategory: null, subCategory: null })
+        ]
+    })));
+    const plan = await planRestore(await seededCatalog(), zip.toBuffer());
+    assert.deepEqual(plan.toAdd.map(row => row.name), ['First']);
+    assert.deepEqual(plan.duplicates.map(row => row.name), ['Second']);
+    assert.deepEqual(plan.invalid.map(row => row.problems), [['missing mainCategory']]);
+
+    await assert.rejects(planRestore(await seededCatalog(), new AdmZip().toBuffer()), /No products.json or products.csv/);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.CATALOG_STORE = 'memory';
+process.env.DATABASE_URL = 'postgres://scraper.invalid/test';
+
+// Stands in for the scraper's Postgres audit_log
+const queries = [];
+const scraperRow = {
+    id: 'a1',
+    actor_type: 'discord',
+    actor_id: '42',
+    actor_label: 'someone#0001',
+    action: 'watchlist.add',
+    target_type: 'watchlist',
+    target_id: '7',
+    before: null,
+    after: { name: 'Shoe', guildId: 'g1' },
+    created_at: new Date('2026-01-01T00:00:00Z')
+};
+require.cache[require.resolve('../lib/db')] = {
+    exports: {
+        query: async (text, params) => {
+            queries.push({ text, params });
+            return { rows: [scraperRow] };
+        }
+    }
+};
+
+const app = require('../server');
+const { createApiKey } = require('../lib/auth');
+const { discordActor, recordAudit, listAudit, changedFields } = require('../lib/audit');
+const { createCatalog } = require('../lib/catalog');
+
+let server;
+let baseUrl;
+let apiKey;
+
+test.before(async () => {
+    await app.locals.catalog.init();
+    ({ key: apiKey } = await createApiKey(app.locals.catalog, { label: 'tests', createdBy: 'tests' }));
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+const getAudit = query => fetch(`${baseUrl}/api/audit${query}`, { headers: { 'X-API-Key': apiKey } });
+
+test('recordAudit snapshots records without derived fields', async () => {
+    const catalog = createCatalog('memory');
+    const actor = discordActor({ id: '42', tag: 'someone#0001' });
+    await recordAudit(catalog, {
+        actor,
+        action: 'product.update',
+        targetType: 'product',
+        targetId: 'p1',
+        before: { name: 'Old', price: '$1', searchTokens: ['old'], updated_at: new Date('2026-01-01T00:00:00Z') },
+        after: { name: 'New', price: '$1', searchTokens: ['new'] }
+    });
+
+    const { entries } = await listAudit(catalog, {});
+    assert.equal(entries.length, 1);
+    assert.deepEqual(
+        [entries[0].actorType, entries[0].actorId, entries[0].actorLabel, entries[0].targetId],
+        ['discord', '42', 'someone#0001', 'p1']
+    );
+    assert.deepEqual(entries[0].before, { name: 'Old', price: '$1', updated_at: '2026-01-01T00:00:00.000Z' });
+    assert.deepEqual(changedFields(entries[0].before, entries[0].after), ['name']);
+});
+
+test('listAudit filters and pages newest first', async () => {
+    const catalog = createCatalog('memory');
+    for (const [id, user] of [['p1', '1'], ['p2', '2'], ['p3', '1']]) {
+        await recordAudit(catalog, { actor: discordActor({ id: user }), action: 'product.add', targetType: 'product', targetId: id });
+    }
+
+    const first = await listAudit(catalog, { actorId: '1', limit: 1 });
+    assert.deepEqual(first.entries.map(entry => entry.targetId), ['p3']);
+    const second = await listAudit(catalog, { actorId: '1', limit: 1, cursor: first.nextCursor });
+    assert.deepEqual(second.entries.map(entry => entry.targetId), ['p1']);
+    assert.deepEqual((await listAudit(catalog, { targetId: 'p2' })).entries.map(entry => entry.actorId), ['2']);
+});
+
+test('a failed audit write is logged, not thrown', async () => {
+    await recordAudit({ audit: { addMany: async () => { throw new Error('down'); } } }, {
+        actor: discordActor({ id: '1' }), action: 'product.add', targetType: 'product', targetId: 'p1'
+    });
+});
+
+test('GET /api/audit reads the catalog audit log', async () => {
+    await recordAudit(app.locals.catalog, { actor: discordActor({ id: '9' }), action: 'product.remove', targetType: 'product', targetId: 'p9' });
+    const response = await getAudit('?product=p9');
+    assert.equal(response.status, 200);
+    const { entries } = await response.json();
+    assert.deepEqual(entries.map(entry => entry.action), ['product.remove']);
+});
+
+test('GET /api/audit?log=scraper reads the scraper audit_log', async () => {
+    queries.length = 0;
+    const response = await getAudit('?log=scraper&action=watchlist.add&limit=5');
+    assert.equal(response.status, 200);
+    const { entries, nextCursor } = await response.json();
+    assert.equal(nextCursor, null);
+    assert.deepEqual(entries, [{
+        id: 'a1',
+        actorType: 'discord',
+        actorId: '42',
+        actorLabel: 'someone#0001',
+        action: 'watchlist.add',
+        targetType: 'watchlist',
+        targetId: '7',
+        before: null,
+        after: { name: 'Shoe', guildId: 'g1' },
+        created_at: '2026-01-01T00:00:00.000Z'
+    }]);
+    assert.match(queries[0].text, /FROM audit_log\s+WHERE action = \$1/);
+    assert.deepEqual(queries[0].params, ['watchlist.add', 5]);
+});
+
+test('GET /api/audit rejects an unknown log', async () => {
+    assert.equal((await getAudit('?log=other')).status, 400);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.CATALOG_STORE = 'memory';
+
+const app = require('../server');
+const { createApiKey, listApiKeys, revokeApiKey } = require('../lib/auth');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    await app.locals.catalog.init();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await app.locals.catalog.close();
+});
+
+function get(route, headers = {}) {
+    return fetch(baseUrl + route, { headers });
+}
+
+test('write routes need a credential', async () => {
+    const res = await get('/api/audit');
+    assert.equal(res.status, 401);
+    assert.match((await res.json()).error, /Authentication required/);
+
+    const open = await get('/api/products');
+    assert.equal(open.status, 200);
+});
+
+test('API keys are accepted in X-API-Key or as a bearer token', async () => {
+    const { key } = await createApiKey(app.locals.catalog, { label: 'auth tests', createdBy: 'tests' });
+    assert.match(key, /^mrc_/);
+
+    assert.equal((await get('/api/audit', { 'X-API-Key': key })).status, 200);
+    assert.equal((await get('/api/audit', { Authorization: `Bearer ${key}` })).status, 200);
+
+    const bad = await get('/api/audit', { 'X-API-Key': 'mrc_not-a-real-key' });
+    assert.equal(bad.status, 401);
+    assert.equal((await bad.json()).error, 'Invalid or revoked API key');
+});
+
+test('only the hash is stored and revoked keys stop working', async () => {
+    const { catalog } = app.locals;
+    const { id, key } = await createApiKey(catalog, { label: 'revoke me', createdBy: 'tests' });
+    assert.equal((await get('/api/audit', { 'X-API-Key': key })).status, 200);
+
+    const stored = (await listApiKeys(catalog)).find(apiKey => apiKey.id === id);
+    assert.equal(stored.prefix, key.slice(0, 10));
+    assert.ok(!JSON.stringify(stored).includes(key));
+    assert.ok(stored.last_used_at instanceof Date);
+
+    assert.equal(await revokeApiKey(catalog, id), true);
+    assert.equal((await get('/api/audit', { 'X-API-Key': key })).status, 401);
+    assert.equal(await revokeApiKey(catalog, 'missing'), false);
+});
+
+test('ID tokens are refused when Firebase is not configured', async () => {
+    const res = await get('/api/audit', { Authorization: 'Bearer some.id.token' });
+    assert.equal(res.status, 401);
+    assert.match((await res.json()).error, /need Firebase configured/);
+});
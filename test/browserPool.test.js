@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createBrowserPool } = require('../lib/browserPool');
+
+// Stands in for puppeteer: counts launches and pages, and can be disconnected
+function fakeLauncher() {
+    const launched = [];
+    async function launch() {
+        const browser = new EventEmitter();
+        browser.connected = true;
+        browser.pages = [];
+        browser.closed = false;
+        browser.newPage = async () => {
+            const page = {
+                closed: false,
+                isClosed() { return this.closed; },
+                async close() { this.closed = true; },
+                async goto() {}
+            };
+            browser.pages.push(page);
+            return page;
+        };
+        browser.close = async () => { browser.closed = true; };
+        browser.disconnect = () => {
+            browser.connected = false;
+            browser.emit('disconnected');
+        };
+        launched.push(browser);
+        return browser;
+    }
+    return { launch, launched };
+}
+
+test('one launch serves many tasks and pages are reused', async () => {
+    const { launch, launched } = fakeLauncher();
+    const pool = createBrowserPool({ launch });
+    const first = await pool.withPage(async page => page);
+    const second = await pool.withPage(async page => page);
+    assert.equal(launched.length, 1);
+    assert.equal(first, second);
+    await pool.close();
+    assert.equal(launched[0].closed, true);
+    await assert.rejects(pool.withPage(async () => {}), /Browser pool is closed/);
+});
+
+test('no more than concurrency tasks run at once', async () => {
+    const { launch } = fakeLauncher();
+    const pool = createBrowserPool({ launch, concurrency: 2 });
+    let running = 0;
+    let peak = 0;
+    await Promise.all(Array.from({ length: 5 }, () => pool.withPage(async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        running--;
+    })));
+    assert.equal(peak, 2);
+    await pool.close();
+});
+
+test('a failed or timed-out task closes its page instead of reusing it', async () => {
+    const { launch, launched } = fakeLauncher();
+    const pool = createBrowserPool({ launch, pageTimeout: 50 });
+    await assert.rejects(pool.withPage(async () => { throw new Error('boom'); }), /boom/);
+    await assert.rejects(pool.withPage(() => new Promise(() => {})), /Page timed out after 50ms/);
+    const [failed, timedOut] = launched[0].pages;
+    assert.equal(failed.closed, true);
+    assert.equal(timedOut.closed, true);
+
+    const page = await pool.withPage(async p => p);
+    assert.equal(launched[0].pages.length, 3);
+    assert.equal(page.closed, false);
+    await pool.close();
+});
+
+test('a disconnected browser is relaunched on next use', async () => {
+    const { launch, launched } = fakeLauncher();
+    const pool = createBrowserPool({ launch });
+    await pool.withPage(async () => {});
+    launched[0].disconnect();
+    await pool.withPage(async () => {});
+    assert.equal(launched.length, 2);
+    await pool.close();
+});
+
+test('a failed launch is retried on next use', async () => {
+    const { launch, launched } = fakeLauncher();
+    let attempts = 0;
+    const pool = createBrowserPool({
+        launch: () => (++attempts === 1 ? Promise.reject(new Error('no chromium')) : launch())
+    });
+    await assert.rejects(pool.withPage(async () => {}), /no chromium/);
+    await pool.withPage(async () => {});
+    assert.equal(launched.length, 1);
+    await pool.close();
+});
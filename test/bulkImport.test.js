@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const { readBulkZip, validateRows } = require('../lib/bulkImport');
+
+const categories = { MENS: ['SHOES'], TECH: [] };
+
+function bulkZip(csv) {
+    const zip = new AdmZip();
+    zip.addFile('products.csv', Buffer.from(csv));
+    zip.addFile('images/a.png', Buffer.from('png'));
+    return readBulkZip(zip.toBuffer());
+}
+
+test('validateRows accepts complete rows and normalizes their price', () => {
+    const { rows, images } = bulkZip('name,price,link,image,mainCategory,subCategory\nA,€12,https://a.example,a.png,MENS,SHOES\n');
+    const { valid, invalid } = validateRows(rows, { images, categories });
+    assert.deepEqual(invalid, []);
+    assert.equal(valid.length, 1);
+    assert.equal(valid[0].row, 1);
+    assert.equal(valid[0].imageEntry, 'images/a.png');
+    assert.equal(valid[0].priceAmount, 12);
+    assert.equal(valid[0].priceCurrency, 'EUR');
+});
+
+test('validateRows lets rows leave out the category', () => {
+    const { rows, images } = bulkZip('name,price,link,image\nA,12,https://a.example,a.png\n');
+    assert.equal(validateRows(rows, { images, categories }).valid.length, 1);
+});
+
+test('validateRows reports every problem with a row', () => {
+    const { rows, images } = bulkZip([
+        'name,price,link,image,mainCategory,subCategory',
+        ',,ftp://a.example,missing.png,SHOES,',
+        'B,abc,https://b.example,a.png,MENS,HATS',
+        'C,5,https://c.example,a.png,,SHOES',
+        'D,5,https://d.example,,,'
+    ].join('\n'));
+    const { valid, invalid } = validateRows(rows, { images, categories });
+
+    assert.deepEqual(valid, []);
+    assert.deepEqual(invalid.map(({ row, name }) => [row, name]), [[1, ''], [2, 'B'], [3, 'C'], [4, 'D']]);
+    assert.deepEqual(invalid[0].problems, [
+        'missing name',
+        'missing price',
+        'bad link "ftp://a.example"',
+        'image "missing.png" not in ZIP',
+        'unknown category "SHOES"'
+    ]);
+    assert.match(invalid[1].problems[0], /Invalid price "abc"/);
+    assert.equal(invalid[1].problems[1], 'unknown subcategory "MENS > HATS"');
+    assert.deepEqual(invalid[2].problems, ['subCategory given without mainCategory']);
+    assert.deepEqual(invalid[3].problems, ['missing image filename']);
+});
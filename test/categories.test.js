@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCatalog } = require('../lib/catalog');
+const { seedDefaultCategories, getCategoryMap, removeCategory, renameCategory } = require('../lib/categories');
+
+async function seededCatalog() {
+    const catalog = createCatalog('memory');
+    await catalog.init();
+    await seedDefaultCategories(catalog);
+    return catalog;
+}
+
+const product = fields => ({ name: 'Shoe', price: '$10', link: 'https://example.com', image: 'shoe.png', ...fields });
+
+test('removeCategory refuses while products are filed under it', async () => {
+    const catalog = await seededCatalog();
+    await catalog.products.add(product({ mainCategory: 'MENS', subCategory: 'SHOES' }));
+
+    await assert.rejects(removeCategory(catalog, 'MENS'), { status: 409, message: /MENS still has 1 product/ });
+    await assert.rejects(removeCategory(catalog, 'shoes', 'mens'), { status: 409, message: /MENS > SHOES still has 1 product/ });
+
+    await removeCategory(catalog, 'CLOTHES', 'MENS');
+    await removeCategory(catalog, 'KIDS');
+    const categories = await getCategoryMap(catalog);
+    assert.deepEqual(categories.MENS, ['SHOES', 'FRAGRANCE']);
+    assert.equal(categories.KIDS, undefined);
+});
+
+test('removeCategory reports a missing category with a 404', async () => {
+    const catalog = await seededCatalog();
+    await assert.rejects(removeCategory(catalog, 'NOPE'), { status: 404 });
+    await assert.rejects(removeCategory(catalog, 'HATS', 'MENS'), { status: 404 });
+});
+
+test('renameCategory refuses a name that is taken', async () => {
+    const catalog = await seededCatalog();
+    await assert.rejects(renameCategory(catalog, 'MENS', 'WOMENS'), { status: 409 });
+    await assert.rejects(renameCategory(catalog, 'SHOES', 'CLOTHES', 'MENS'), { status: 409 });
+    await assert.rejects(renameCategory(catalog, 'HATS', 'CAPS', 'MENS'), { status: 404 });
+    await assert.rejects(renameCategory(catalog, 'MENS', 'bad/name'), { status: 400 });
+});
+
+test('renameCategory refiles the products in it', async () => {
+    const catalog = await seededCatalog();
+    const { id } = await catalog.products.add(product({ mainCategory: 'MENS', subCategory: 'SHOES' }));
+
+    assert.equal(await renameCategory(catalog, 'shoes', 'sneakers', 'MENS'), 1);
+    assert.equal(await renameCategory(catalog, 'mens', 'men'), 1);
+
+    const categories = await getCategoryMap(catalog);
+    assert.equal(categories.MENS, undefined);
+    assert.deepEqual(categories.MEN, ['SNEAKERS', 'CLOTHES', 'FRAGRANCE']);
+    const moved = await catalog.products.get(id);
+    assert.equal(moved.mainCategory, 'MEN');
+    assert.equal(moved.subCategory, 'SNEAKERS');
+});
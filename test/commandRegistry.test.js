@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCommandRegistry } = require('../lib/commandRegistry');
+const { DENIED_MESSAGE } = require('../lib/permissions');
+
+const HELP = { title: 'Commands', description: 'Test bot', color: '#000000' };
+
+// Lets everything through except the actions listed in denied
+function stubPermissions(denied = []) {
+    const allows = async (interaction, command, subcommand) =>
+        !denied.includes(subcommand ? `${command} ${subcommand}` : command);
+    return { allows, check: allows };
+}
+
+function interaction(commandName, values = {}, { subcommand = null, guildId = 'g1' } = {}) {
+    const get = name => (name in values ? values[name] : null);
+    const replies = [];
+    return {
+        commandName,
+        guildId,
+        deferred: false,
+        replied: false,
+        options: {
+            getSubcommand: () => subcommand,
+            getString: get,
+            getInteger: get,
+            getNumber: get,
+            getBoolean: get,
+            getUser: get,
+            getRole: get,
+            getChannel: get,
+            getAttachment: get
+        },
+        async reply(reply) { this.replied = true; replies.push(reply); },
+        async deferReply(options) { this.deferred = true; replies.push({ deferred: options }); },
+        replies
+    };
+}
+
+function registry() {
+    const calls = [];
+    const commands = createCommandRegistry({ help: HELP });
+    commands.define({
+        name: 'price',
+        description: 'Show a price',
+        help: 'Show the price of one product',
+        level: 'read',
+        options: [
+            { name: 'id', type: 'string', description: 'Product ID', required: true, validate: id => (id.startsWith('p') ? null : 'IDs start with p') },
+            { name: 'count', type: 'integer', description: 'How many', minValue: 1, maxValue: 5 },
+            { name: 'mode', type: 'string', description: 'Mode', choices: ['fast', 'slow'] }
+        ],
+        handler: async (i, context) => calls.push({ command: 'price', id: context.options.getString('id') })
+    });
+    commands.define({
+        name: 'trash',
+        description: 'Manage the trash',
+        dm: false,
+        subcommands: [
+            { name: 'list', description: 'List', level: 'read' },
+            { name: 'purge', description: 'Purge' }
+        ],
+        handler: async (i, { subcommand }) => calls.push({ command: 'trash', subcommand })
+    });
+    return { commands, calls };
+}
+
+test('define refuses bad definitions', () => {
+    const { commands } = registry();
+    assert.throws(() => commands.define({ name: 'Bad Name', handler() {} }), /Bad command name/);
+    assert.throws(() => commands.define({ name: 'price', handler() {} }), /defined twice/);
+    assert.throws(() => commands.define({ name: 'nohandler' }), /no handler/);
+    assert.throws(() => commands.define({
+        name: 'order',
+        handler() {},
+        options: [{ name: 'a', type: 'string' }, { name: 'b', type: 'string', required: true }]
+    }), /must come before optional/);
+    assert.throws(() => commands.define({ name: 'typo', handler() {}, options: [{ name: 'a', type: 'text' }] }), /unknown type/);
+});
+
+test('actions lists each level, with subcommands that set their own', () => {
+    assert.deepEqual(registry().commands.actions(), { help: 'read', price: 'read', trash: 'write', 'trash list': 'read' });
+});
+
+test('toJSON builds the registration body', () => {
+    const [, price, trash] = registry().commands.toJSON();
+    assert.deepEqual(price.options.map(option => [option.name, option.type, option.required]), [['id', 3, true], ['count', 4, false], ['mode', 3, false]]);
+    assert.deepEqual(price.options[2].choices, [{ name: 'fast', value: 'fast' }, { name: 'slow', value: 'slow' }]);
+    assert.equal(price.options[1].min_value, 1);
+    assert.deepEqual(trash.options.map(option => [option.type, option.name]), [[1, 'list'], [1, 'purge']]);
+});
+
+test('dispatch defers and runs the handler once the checks pass', async () => {
+    const { commands, calls } = registry();
+    const i = interaction('price', { id: 'p1', count: 2 });
+    await commands.dispatch(i, stubPermissions());
+    assert.deepEqual(i.replies, [{ deferred: { flags: 64 } }]);
+    assert.deepEqual(calls, [{ command: 'price', id: 'p1' }]);
+});
+
+test('dispatch stops at the permission check', async () => {
+    const { commands, calls } = registry();
+    const i = interaction('trash', {}, { subcommand: 'purge' });
+    await commands.dispatch(i, stubPermissions(['trash purge']));
+    assert.deepEqual(i.replies, [{ content: DENIED_MESSAGE, flags: 64 }]);
+    assert.deepEqual(calls, []);
+
+    await commands.dispatch(interaction('trash', {}, { subcommand: 'list' }), stubPermissions(['trash purge']));
+    assert.deepEqual(calls, [{ command: 'trash', subcommand: 'list' }]);
+});
+
+test('dispatch checks the options', async () => {
+    const { commands, calls } = registry();
+    const problems = [];
+    for (const values of [{}, { id: 'x1' }, { id: 'p1', count: 9 }, { id: 'p1', mode: 'medium' }]) {
+        const i = interaction('price', values);
+        await commands.dispatch(i, stubPermissions());
+        problems.push(i.replies[0].content);
+    }
+    assert.deepEqual(problems, [
+        '❌ `id` is required',
+        '❌ IDs start with p',
+        '❌ `count` must be at most 5',
+        '❌ `mode` must be one of: fast, slow'
+    ]);
+    assert.deepEqual(calls, []);
+});
+
+test('dispatch keeps server-only commands out of DMs', async () => {
+    const { commands, calls } = registry();
+    const i = interaction('trash', {}, { subcommand: 'list', guildId: null });
+    await commands.dispatch(i, stubPermissions());
+    assert.equal(i.replies[0].content, '❌ Use this command in a server channel.');
+    assert.deepEqual(calls, []);
+});
+
+test('/help lists only the commands the member may use', async () => {
+    const { commands } = registry();
+    const i = interaction('help');
+    await commands.dispatch(i, stubPermissions(['trash list', 'trash purge']));
+    const { fields } = i.replies[0].embeds[0].data;
+    assert.deepEqual(fields, [{ name: '/price <id> [count] [mode]', value: 'Show the price of one product' }]);
+
+    const all = interaction('help');
+    await commands.dispatch(all, stubPermissions());
+    assert.deepEqual(all.replies[0].embeds[0].data.fields[1], { name: '/trash list|purge', value: 'Manage the trash' });
+});
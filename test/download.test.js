@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { downloadAttachment } = require('../lib/download');
+
+let server;
+let baseUrl;
+
+// /small sends 10 bytes, /big 2KB without a content-length, /slow never finishes
+test.before(async () => {
+    server = http.createServer((req, res) => {
+        if (req.url === '/small') return res.end('0123456789');
+        if (req.url === '/big') {
+            res.write(Buffer.alloc(1024));
+            return res.end(Buffer.alloc(1024));
+        }
+        if (req.url === '/slow') return res.write('partial');
+        res.statusCode = 404;
+        res.end();
+    });
+    server.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+test('downloadAttachment returns the whole body', async () => {
+    const buffer = await downloadAttachment(`${baseUrl}/small`, { timeout: 5000, maxBytes: 100, label: 'ZIP' });
+    assert.equal(buffer.toString(), '0123456789');
+});
+
+test('downloadAttachment refuses a body over the cap', async () => {
+    await assert.rejects(
+        downloadAttachment(`${baseUrl}/big`, { timeout: 5000, maxBytes: 1024, label: 'ZIP' }),
+        { message: 'The ZIP is larger than 0.0009765625MB' }
+    );
+});
+
+test('downloadAttachment gives up after the deadline', async () => {
+    await assert.rejects(
+        downloadAttachment(`${baseUrl}/slow`, { timeout: 200, maxBytes: 1024, label: 'JSON file' }),
+        { message: 'Downloading the JSON file took longer than 0.2 seconds' }
+    );
+});
+
+test('downloadAttachment reports a failed download', async () => {
+    await assert.rejects(
+        downloadAttachment(`${baseUrl}/missing`, { timeout: 5000, maxBytes: 1024, label: 'ZIP' }),
+        { message: 'Failed to download ZIP: Not Found' }
+    );
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createCatalog } = require('../lib/catalog');
+const { fetchLimited } = require('../lib/download');
+
+let server;
+let baseUrl;
+
+// /image.png claims 9MB up front, /small.png sends 3 bytes, /slow.png never finishes
+test.before(async () => {
+    server = http.createServer((req, res) => {
+        if (req.url === '/image.png') {
+            res.writeHead(200, { 'Content-Length': 9 * 1024 * 1024 });
+            return res.write('partial');
+        }
+        if (req.url === '/small.png') return res.end('png');
+        if (req.url === '/slow.png') return res.write('p');
+        res.statusCode = 404;
+        res.end();
+    });
+    server.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+test('an edit changes only the given fields and re-derives search fields', async () => {
+    const catalog = createCatalog('memory');
+    await catalog.init();
+    const added = await catalog.products.add({ name: 'Red Shoe', price: '$10', link: 'https://example.com', image: null, mainCategory: 'MENS', subCategory: 'SHOES' });
+
+    const updated = await catalog.products.update(added.id, { name: 'Blue Boot', price: '$25', mainCategory: 'WOMENS', subCategory: null });
+    assert.equal(updated.link, 'https://example.com');
+    assert.equal(updated.subCategory, null);
+    assert.equal(updated.priceValue, 25);
+
+    const search = terms => catalog.products.list({ terms, limit: 10 }).then(({ products }) => products.map(p => p.id));
+    assert.deepEqual(await search(['boot']), [added.id]);
+    assert.deepEqual(await search(['red']), []);
+});
+
+test('an edit of a product removed in the meantime finds nothing', async () => {
+    const catalog = createCatalog('memory');
+    await catalog.init();
+    const added = await catalog.products.add({ name: 'Hat', price: '$5', link: 'https://example.com', image: null, mainCategory: 'MISC' });
+    await catalog.products.remove(added.id, { deletedBy: null, expiresAt: new Date(Date.now() + 60000) });
+    assert.equal(await catalog.products.update(added.id, { name: 'Cap' }), null);
+});
+
+test('replacement images are fetched with a size cap and a deadline', async () => {
+    const response = await fetchLimited(`${baseUrl}/small.png`, { timeout: 5000, maxBytes: 1024 });
+    assert.equal((await response.buffer()).toString(), 'png');
+
+    await assert.rejects(fetchLimited(`${baseUrl}/image.png`, { timeout: 5000, maxBytes: 8 * 1024 * 1024 }), {
+        type: 'max-size',
+        message: `${baseUrl}/image.png is larger than 8MB`
+    });
+
+    const slow = await fetchLimited(`${baseUrl}/slow.png`, { timeout: 200, maxBytes: 1024 });
+    await assert.rejects(slow.buffer(), { name: 'AbortError' });
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// A guild_settings table in a Map, enough for the statements guildSettings sends
+const table = new Map();
+let selects = 0;
+require.cache[require.resolve('../lib/db')] = {
+    exports: {
+        query: async (text, [guildId, ...values]) => {
+            if (text.startsWith('SELECT')) {
+                selects++;
+                return { rows: table.has(guildId) ? [table.get(guildId)] : [] };
+            }
+            const columns = text.match(/\(guild_id(.*?)\)/)[1].split(',').map(column => column.trim()).filter(Boolean);
+            const row = { ...table.get(guildId) };
+            const conflict = text.includes('DO NOTHING') && table.has(guildId);
+            if (!conflict) {
+                columns.forEach((column, i) => { row[column] = values[i]; });
+                table.set(guildId, row);
+            }
+            return { rows: [table.get(guildId)] };
+        }
+    }
+};
+const guildSettings = require('../lib/guildSettings');
+
+test('guilds without settings get the bot-wide defaults', async () => {
+    process.env.PRICE_CHANGE_THRESHOLD = '10';
+    process.env.MAX_PRODUCTS_PER_GUILD = 'lots';
+    try {
+        assert.deepEqual(await guildSettings.get('fresh'), { alertChannelId: null, priceThreshold: 10, maxProducts: 100 });
+    } finally {
+        delete process.env.PRICE_CHANGE_THRESHOLD;
+        delete process.env.MAX_PRODUCTS_PER_GUILD;
+    }
+});
+
+test('update changes only the given fields and null restores a default', async () => {
+    await guildSettings.update('g1', { alertChannelId: 'c1', maxProducts: 5 });
+    assert.deepEqual(await guildSettings.update('g1', { priceThreshold: 2.5 }), { alertChannelId: 'c1', priceThreshold: 2.5, maxProducts: 5 });
+    assert.deepEqual(await guildSettings.update('g1', { maxProducts: null }), { alertChannelId: 'c1', priceThreshold: 2.5, maxProducts: 100 });
+});
+
+test('update refuses bad values with a 400', async () => {
+    await assert.rejects(guildSettings.update('g1', { priceThreshold: -1 }), { status: 400, message: /percentage of 0 or more/ });
+    await assert.rejects(guildSettings.update('g1', { maxProducts: 2.5 }), { status: 400, message: /whole number above 0/ });
+});
+
+test('settings are cached, and seeding keeps what a guild already set', async () => {
+    await guildSettings.update('g2', { alertChannelId: 'mine' });
+    const before = selects;
+    await guildSettings.getMany(['g2', 'g2']);
+    assert.equal(selects, before);
+
+    await guildSettings.seed('g2', { alertChannelId: 'joined-channel' });
+    assert.equal((await guildSettings.get('g2')).alertChannelId, 'mine');
+    await guildSettings.seed('g3', { alertChannelId: 'joined-channel' });
+    const settings = await guildSettings.getMany(['g2', 'g3']);
+    assert.equal(settings.get('g3').alertChannelId, 'joined-channel');
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Capture the SQL history sends and answer SELECTs with canned rows
+const queries = [];
+let selectRows = [];
+require.cache[require.resolve('../lib/db')] = {
+    exports: {
+        query: async (text, params) => {
+            queries.push({ text, params });
+            return { rows: selectRows };
+        }
+    }
+};
+const { recordResults, getHistory, summarizeHistory } = require('../lib/history');
+const { renderHistorySvg } = require('../lib/chart');
+
+const record = (day, priceNum, inStock) => ({
+    price: priceNum === null ? null : `$${priceNum}`,
+    priceNum,
+    stock: null,
+    inStock,
+    error: null,
+    checkedAt: `2026-03-0${day}T12:00:00.000Z`
+});
+
+test('recordResults writes one row per result in a single insert', async () => {
+    queries.length = 0;
+    await recordResults([]);
+    assert.equal(queries.length, 0);
+
+    const checkedAt = new Date('2026-03-01T00:00:00Z');
+    await recordResults([
+        { id: 1, price: '$10', priceNum: 10, stock: 'In stock', inStock: true },
+        { id: 2, priceNum: NaN, error: 'timeout' }
+    ], checkedAt);
+    assert.equal(queries.length, 1);
+    assert.match(queries[0].text, /VALUES \(\$1, .*\$7\), \(\$8, .*\$14\)/);
+    assert.deepEqual(queries[0].params, [1, '$10', 10, 'In stock', true, null, checkedAt, 2, null, null, null, null, 'timeout', checkedAt]);
+});
+
+test('getHistory maps rows to camelCase records', async () => {
+    selectRows = [{ product_id: 7, price: '$9', price_num: 9, stock: null, in_stock: false, error: null, checked_at: new Date('2026-03-02T12:00:00Z') }];
+    assert.deepEqual(await getHistory(7), [{ productId: 7, ...record(2, 9, false) }]);
+    assert.deepEqual(queries.at(-1).params, [7]);
+});
+
+test('summarizeHistory finds the range, average and last stock change', () => {
+    const summary = summarizeHistory([record(1, 10, true), record(2, null, false), record(3, 20, false), record(4, 15, true)]);
+    assert.equal(summary.count, 4);
+    assert.equal(summary.firstCheckedAt, '2026-03-01T12:00:00.000Z');
+    assert.equal(summary.current.priceNum, 15);
+    assert.deepEqual([summary.min, summary.max, summary.average], [10, 20, 15]);
+    assert.equal(summary.inStock, true);
+    assert.equal(summary.lastStockChange.checkedAt, '2026-03-04T12:00:00.000Z');
+
+    assert.deepEqual(summarizeHistory([]), {
+        count: 0, firstCheckedAt: null, lastCheckedAt: null, current: null,
+        min: null, max: null, average: null, inStock: null, lastStockChange: null
+    });
+});
+
+test('renderHistorySvg draws the price line and shades sold-out stretches', () => {
+    const svg = renderHistorySvg([record(1, 10, true), record(2, 12, false), record(3, 11, true)], 'Shoe <Red>');
+    assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+    assert.match(svg, /Shoe &lt;Red&gt;/);
+    assert.equal((svg.match(/<circle /g) || []).length, 3);
+    assert.equal((svg.match(/fill="#e74c3c"/g) || []).length, 1);
+    assert.match(svg, /<path d="M[^"]+ L[^"]+ L[^"]+"/);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const imageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mrciles-images-'));
+process.env.IMAGE_STORE = 'local';
+process.env.IMAGE_STORE_DIR = imageDir;
+
+const { MAX_IMAGE_SIZE, saveImage, getImage, deleteImage } = require('../lib/images');
+
+test.after(() => fs.rmSync(imageDir, { recursive: true, force: true }));
+
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="600" height="300"><script>alert(1)</script><rect width="600" height="300" fill="blue"/></svg>';
+
+test('the content type comes from the bytes, not the name', async () => {
+    const jpeg = await sharp({ create: { width: 20, height: 10, channels: 3, background: 'red' } }).jpeg().toBuffer();
+    const image = await saveImage(jpeg, { name: 'photo.png' });
+    assert.equal(image.contentType, 'image/jpeg');
+    assert.equal(image.name, 'photo.png');
+    assert.deepEqual([image.width, image.height, image.size], [20, 10, jpeg.length]);
+
+    const original = await getImage(image.id);
+    assert.equal(original.contentType, 'image/jpeg');
+    assert.deepEqual(original.data, jpeg);
+});
+
+test('SVG is rasterised to PNG and gets a WebP thumbnail', async () => {
+    const image = await saveImage(Buffer.from(SVG), { name: 'logo.svg' });
+    assert.equal(image.contentType, 'image/png');
+
+    const original = await getImage(image.id);
+    assert.equal((await sharp(original.data).metadata()).format, 'png');
+    assert.ok(!original.data.includes('<script>'));
+
+    const thumb = await getImage(image.id, 'thumb');
+    assert.equal(thumb.contentType, 'image/webp');
+    const { format, width, height } = await sharp(thumb.data).metadata();
+    assert.deepEqual([format, width, height], ['webp', 400, 200]);
+});
+
+test('bad input is refused', async () => {
+    await assert.rejects(saveImage(Buffer.from('<html>not an image</html>')), /Unsupported image/);
+    await assert.rejects(saveImage(Buffer.alloc(MAX_IMAGE_SIZE + 1)), /Image too large/);
+});
+
+test('lookups reject odd IDs and variants', async () => {
+    const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: 'green' } }).png().toBuffer();
+    const { id } = await saveImage(png);
+    assert.equal(await getImage('../../etc/passwd'), null);
+    assert.equal(await getImage(id, 'huge'), null);
+    assert.equal(await getImage('abc123'), null);
+});
+
+test('stored types outside the web formats go out as downloads', async () => {
+    const dir = path.join(imageDir, 'images', 'abcdef');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'original'), SVG);
+    fs.writeFileSync(path.join(dir, 'original.type'), 'image/svg+xml');
+    assert.equal((await getImage('abcdef')).contentType, 'application/octet-stream');
+});
+
+test('deleteImage removes every variant', async () => {
+    const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: 'green' } }).png().toBuffer();
+    const image = await saveImage(png);
+    await deleteImage(image);
+    assert.equal(await getImage(image.id), null);
+    assert.equal(await getImage(image.id, 'thumb'), null);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCatalog } = require('../lib/catalog');
+const { normalizeMonitorUrl, syncLiveStatus } = require('../lib/liveStatus');
+
+test('normalizeMonitorUrl drops the fragment and refuses other protocols', () => {
+    assert.equal(normalizeMonitorUrl(' https://Example.com/p#reviews '), 'https://example.com/p');
+    assert.throws(() => normalizeMonitorUrl('ftp://example.com/p'), /http\(s\)/);
+    assert.throws(() => normalizeMonitorUrl('not a url'));
+});
+
+test('syncLiveStatus copies scrape results onto linked products', async () => {
+    const catalog = createCatalog('memory');
+    const base = { price: '$10', link: 'https://shop.example/p', image: null, mainCategory: 'MISC' };
+    const linked = await catalog.products.add({ ...base, name: 'Linked', monitorUrl: 'https://shop.example/p' });
+    const other = await catalog.products.add({ ...base, name: 'Other' });
+    const checkedAt = new Date('2026-01-01T00:00:00Z');
+
+    const synced = await syncLiveStatus(catalog, [
+        { url: 'https://shop.example/p#top', price: '12,00 €', priceAmount: 12, currency: 'EUR', inStock: true, stock: 'In stock' },
+        { url: 'https://shop.example/broken', error: 'timeout' }
+    ], checkedAt);
+
+    assert.equal(synced, 1);
+    assert.deepEqual((await catalog.products.get(linked.id)).live, {
+        price: '€12.00',
+        priceAmount: 12,
+        priceCurrency: 'EUR',
+        inStock: true,
+        stock: 'In stock',
+        checkedAt: '2026-01-01T00:00:00.000Z'
+    });
+    assert.equal((await catalog.products.get(other.id)).live, undefined);
+});
+
+test('syncLiveStatus leaves the last good reading after a failed scrape', async () => {
+    const catalog = createCatalog('memory');
+    const { id } = await catalog.products.add({ name: 'Linked', price: '$10', link: 'https://shop.example/p', image: null, monitorUrl: 'https://shop.example/p' });
+    await syncLiveStatus(catalog, [{ url: 'https://shop.example/p', price: '$9', inStock: false }]);
+
+    assert.equal(await syncLiveStatus(catalog, [{ url: 'https://shop.example/p', error: 'timeout' }]), 0);
+    const { live } = await catalog.products.get(id);
+    assert.equal(live.price, '$9');
+    assert.equal(live.inStock, false);
+});
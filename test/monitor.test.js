@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectChanges } = require('../lib/monitor');
+
+const reading = fields => ({ id: 1, url: 'https://example.com/p', ...fields });
+
+test('detectChanges records first sight without alerting', () => {
+    const { alerts, state } = detectChanges({}, [reading({ inStock: true, priceNum: 10 })]);
+    assert.deepEqual(alerts, []);
+    assert.deepEqual(state['1'], { inStock: true, priceNum: 10, failing: false });
+});
+
+test('detectChanges reports a restock once', () => {
+    const first = detectChanges({ 1: { inStock: false, priceNum: 10, failing: false } }, [reading({ inStock: true })]);
+    assert.deepEqual(first.alerts.map(alert => alert.type), ['restock']);
+
+    const second = detectChanges(first.state, [reading({ inStock: true })]);
+    assert.deepEqual(second.alerts, []);
+});
+
+test('detectChanges reports price moves past the threshold', () => {
+    const state = { 1: { inStock: true, priceNum: 100, failing: false } };
+
+    const drop = detectChanges(state, [reading({ priceNum: 80 })]);
+    assert.equal(drop.alerts[0].type, 'price_drop');
+    assert.equal(drop.alerts[0].previousPrice, 100);
+    assert.equal(drop.alerts[0].change, -20);
+    assert.equal(drop.state['1'].priceNum, 80);
+
+    assert.equal(detectChanges(state, [reading({ priceNum: 110 })]).alerts[0].type, 'price_rise');
+});
+
+test('detectChanges keeps the old price for moves under the threshold', () => {
+    const state = { 1: { inStock: true, priceNum: 100, failing: false } };
+    const { alerts, state: next } = detectChanges(state, [reading({ priceNum: 103 })]);
+    assert.deepEqual(alerts, []);
+    assert.equal(next['1'].priceNum, 100);
+});
+
+test('detectChanges takes the threshold per reading', () => {
+    const state = { 1: { inStock: true, priceNum: 100, failing: false } };
+    const { alerts } = detectChanges(state, [reading({ priceNum: 97 })], { priceThreshold: () => 2 });
+    assert.equal(alerts[0].type, 'price_drop');
+});
+
+test('detectChanges reports a failing product once', () => {
+    const state = { 1: { inStock: true, priceNum: 10, failing: false } };
+    const first = detectChanges(state, [reading({ error: 'timeout' })]);
+    assert.deepEqual(first.alerts.map(alert => alert.type), ['failing']);
+    assert.deepEqual(detectChanges(first.state, [reading({ error: 'timeout' })]).alerts, []);
+});
+
+test('detectChanges keeps a separate state per watch of the same URL', () => {
+    const readings = [reading({ id: 1, priceNum: 10 }), reading({ id: 2, priceNum: 10 })];
+    const { state } = detectChanges({}, readings);
+    assert.deepEqual(Object.keys(state).sort(), ['1', '2']);
+});
+
+test('detectChanges carries URL-keyed state over to the watch IDs', () => {
+    const state = { 'https://example.com/p': { inStock: false, priceNum: 100, failing: false } };
+    const { alerts, state: next } = detectChanges(state, [
+        reading({ id: 1, inStock: true, priceNum: 100 }),
+        reading({ id: 2, inStock: false, priceNum: 80 })
+    ]);
+    assert.deepEqual(alerts.map(alert => alert.type), ['restock', 'price_drop']);
+    assert.deepEqual(Object.keys(next).sort(), ['1', '2']);
+});
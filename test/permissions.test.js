@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PermissionFlagsBits } = require('discord.js');
+
+// The scraper bot's audit log without a catalog is Postgres; capture its inserts
+const inserts = [];
+require.cache[require.resolve('../lib/db')] = {
+    exports: {
+        query: async () => ({ rows: [] }),
+        transaction: work => work({ query: async (text, params) => inserts.push({ text, params }) })
+    }
+};
+const auditLog = require('../lib/auditLog');
+const { createPermissions, handlePermissionsCommand } = require('../lib/permissions');
+
+const GUILD = 'guild-1';
+const ADMIN_ROLE = 'role-admin';
+
+function memoryRules() {
+    const rules = new Map();
+    return {
+        async get(bot, guildId) { return rules.get(`${bot}:${guildId}`) || null; },
+        async put(bot, guildId, value) { rules.set(`${bot}:${guildId}`, value); }
+    };
+}
+
+function member({ roles = [], userId = 'user-1', admin = false, manageGuild = false } = {}) {
+    return {
+        guildId: GUILD,
+        user: { id: userId, tag: `${userId}#0001` },
+        member: { roles },
+        memberPermissions: {
+            has: flag => (flag === PermissionFlagsBits.Administrator && admin) ||
+                (flag === PermissionFlagsBits.ManageGuild && manageGuild)
+        }
+    };
+}
+
+function permissionsFor(onDenied) {
+    return createPermissions({
+        bot: 'scraper',
+        store: memoryRules(),
+        actions: { list: 'read', history: 'read', addlink: 'write', 'trash list': 'read', 'trash purge': 'write' },
+        adminRoleId: ADMIN_ROLE,
+        onDenied
+    });
+}
+
+function command(subcommand, { target, role, user } = {}) {
+    return {
+        ...member({ admin: true, userId: 'owner' }),
+        options: {
+            getSubcommand: () => subcommand,
+            getString: () => target,
+            getRole: () => (role ? { id: role } : null),
+            getUser: () => (user ? { id: user } : null)
+        }
+    };
+}
+
+test('read commands are open and write commands need the admin role by default', async () => {
+    const permissions = permissionsFor();
+    assert.equal(await permissions.allows(member(), 'list'), true);
+    assert.equal(await permissions.allows(member(), 'trash', 'list'), true);
+    assert.equal(await permissions.allows(member(), 'trash', 'purge'), false);
+    assert.equal(await permissions.allows(member(), 'addlink'), false);
+    assert.equal(await permissions.allows(member({ roles: [ADMIN_ROLE] }), 'addlink'), true);
+    assert.equal(await permissions.allows(member({ manageGuild: true }), 'addlink'), true);
+});
+
+test('unlisted commands count as write, and DMs only get read commands', async () => {
+    const permissions = permissionsFor();
+    assert.equal(permissions.levelOf('something-new'), 'write');
+    assert.equal(await permissions.allows({ ...member(), guildId: null }, 'list'), true);
+    assert.equal(await permissions.allows({ ...member({ roles: [ADMIN_ROLE] }), guildId: null }, 'addlink'), false);
+});
+
+test('a command rule wins over its level and administrators always pass', async () => {
+    const permissions = permissionsFor();
+    await permissions.deny(GUILD, 'history', { roleId: GUILD });
+    await permissions.allow(GUILD, 'addlink', { userId: 'user-1' });
+
+    assert.equal(await permissions.allows(member(), 'history'), false);
+    assert.equal(await permissions.allows(member(), 'list'), true);
+    assert.equal(await permissions.allows(member(), 'addlink'), true);
+    assert.equal(await permissions.allows(member({ admin: true }), 'history'), true);
+
+    await permissions.reset(GUILD, 'history');
+    assert.equal(await permissions.allows(member(), 'history'), true);
+});
+
+test('check() reports denials to onDenied', async () => {
+    const denied = [];
+    const permissions = permissionsFor((interaction, action) => denied.push(action));
+    assert.equal(await permissions.check(member(), 'trash', 'purge'), false);
+    assert.equal(await permissions.check(member(), 'list'), true);
+    assert.deepEqual(denied, ['trash purge']);
+});
+
+test('rules name only known commands and levels', async () => {
+    const permissions = permissionsFor();
+    await assert.rejects(permissions.allow(GUILD, 'nope', { userId: 'x' }), { status: 400 });
+});
+
+test('/permissions without a catalog audits changes to the scraper audit log', async () => {
+    inserts.length = 0;
+    const permissions = permissionsFor();
+
+    const reply = await handlePermissionsCommand(command('allow', { target: 'addlink', role: 'role-2' }), permissions, { audit: auditLog });
+    assert.match(reply, /Updated \*\*addlink\*\*/);
+    await handlePermissionsCommand(command('reset', { target: 'addlink' }), permissions, { audit: auditLog });
+
+    assert.equal(inserts.length, 2);
+    assert.match(inserts[0].text, /INSERT INTO audit_log/);
+    const [, actorType, actorId, , action, targetType, targetId, before, after] = inserts[0].params;
+    assert.deepEqual([actorType, actorId, action, targetType, targetId], ['discord', 'owner', 'permission.allow', 'permission', `${GUILD}:addlink`]);
+    assert.equal(JSON.parse(before), null);
+    assert.deepEqual(JSON.parse(after), { roles: [ADMIN_ROLE, 'role-2'], users: [] });
+    assert.equal(inserts[1].params[4], 'permission.reset');
+});
+
+test('/permissions needs a role or a user to change', async () => {
+    const reply = await handlePermissionsCommand(command('allow', { target: 'addlink' }), permissionsFor(), { audit: auditLog });
+    assert.equal(reply, '❌ Pick a role or a user');
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMoney, normalizePrice, toBaseAmount } = require('../lib/price');
+const { buildSearchFields } = require('../lib/search');
+
+test('parseMoney reads the amount and currency people type', () => {
+    assert.deepEqual(parseMoney('€10'), { amount: 10, currency: 'EUR' });
+    assert.deepEqual(parseMoney('15 CAD'), { amount: 15, currency: 'CAD' });
+    assert.deepEqual(parseMoney('1.234,56 EUR'), { amount: 1234.56, currency: 'EUR' });
+    assert.deepEqual(parseMoney('1 299 JPY'), { amount: 1299, currency: 'JPY' });
+});
+
+test('parseMoney takes the low end of a range', () => {
+    assert.deepEqual(parseMoney('US $12.50 - 15.00'), { amount: 12.5, currency: 'USD' });
+});
+
+test('parseMoney falls back to the default currency', () => {
+    assert.deepEqual(parseMoney('12,5'), { amount: 12.5, currency: 'USD' });
+    assert.deepEqual(parseMoney('12.5', 'GBP'), { amount: 12.5, currency: 'GBP' });
+});
+
+test('parseMoney returns null without a number', () => {
+    assert.equal(parseMoney('abc'), null);
+    assert.equal(parseMoney(null), null);
+    assert.equal(parseMoney(undefined), null);
+});
+
+test('normalizePrice builds the stored price fields', () => {
+    assert.deepEqual(normalizePrice('12.5'), { price: '$12.50', priceAmount: 12.5, priceCurrency: 'USD' });
+    assert.deepEqual(normalizePrice('15 CAD'), { price: 'CA$15.00', priceAmount: 15, priceCurrency: 'CAD' });
+    assert.deepEqual(normalizePrice('1000 JPY'), { price: '¥1,000', priceAmount: 1000, priceCurrency: 'JPY' });
+});
+
+test('normalizePrice accepts { amount, currency } and rounds to the currency', () => {
+    assert.deepEqual(
+        normalizePrice({ amount: 3.456, currency: 'usd' }),
+        { price: '$3.46', priceAmount: 3.46, priceCurrency: 'USD' }
+    );
+});
+
+test('normalizePrice rejects bad prices with a 400', () => {
+    for (const input of ['0', 'abc', { amount: -1 }, { amount: 5, currency: 'XYZ' }]) {
+        assert.throws(() => normalizePrice(input), { status: 400 }, JSON.stringify(input));
+    }
+});
+
+test('toBaseAmount prefers the stored amount and currency over the display string', () => {
+    assert.equal(toBaseAmount({ price: '$10.00', priceAmount: 10, priceCurrency: 'EUR' }), 10 / 0.92);
+    assert.equal(toBaseAmount({ price: '€9.20' }).toFixed(2), '10.00');
+    assert.equal(toBaseAmount({ price: 'ask' }), null);
+});
+
+test('buildSearchFields sorts structured prices in the base currency', () => {
+    assert.equal(buildSearchFields({ name: 'Yen', price: '¥1,510', priceAmount: 1510, priceCurrency: 'JPY' }).priceValue, 10);
+    assert.equal(buildSearchFields({ name: 'Odd', price: '10', priceAmount: 10, priceCurrency: 'GBP' }).priceValue, 10 / 0.79);
+});
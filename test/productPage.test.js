@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractProductDetails } = require('../lib/productPage');
+
+test('structured data comes first', () => {
+    const html = `<html><head>
+        <meta property="og:title" content="OG title">
+        <script type="application/ld+json">{"@type":"Product","name":"Trail Shoe","image":"/img/shoe.jpg","offers":{"price":"59.99","priceCurrency":"EUR"}}</script>
+    </head><body><h1>Heading</h1></body></html>`;
+    assert.deepEqual(extractProductDetails(html, 'https://shop.example.com/p/1'), {
+        title: 'Trail Shoe',
+        price: '59.99 EUR',
+        currency: null,
+        image: 'https://shop.example.com/img/shoe.jpg'
+    });
+});
+
+test('OpenGraph tags and the page fill in without structured data', () => {
+    const html = `<html><head>
+        <title>Page title</title>
+        <meta property="og:title" content="  Wool
+            Hat ">
+        <meta property="og:image" content="//cdn.example.com/hat.png">
+    </head><body><h1>Heading</h1></body></html>`;
+    const details = extractProductDetails(html, 'https://shop.example.com/hat');
+    assert.equal(details.title, 'Wool Hat');
+    assert.equal(details.image, 'https://cdn.example.com/hat.png');
+    assert.equal(details.price, null);
+});
+
+test('a bare page still gives a title and image', () => {
+    const html = '<html><head><title>Just a title</title></head><body><img src="a.jpg"></body></html>';
+    const details = extractProductDetails(html, 'https://shop.example.com/dir/page');
+    assert.equal(details.title, 'Just a title');
+    assert.equal(details.image, 'https://shop.example.com/dir/a.jpg');
+});
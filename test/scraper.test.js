@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createScraper } = require('../lib/scraper');
+
+let server;
+let baseUrl;
+
+// /page sends a small page, /big 2KB, /slow never finishes
+test.before(async () => {
+    server = http.createServer((req, res) => {
+        res.setHeader('Content-Type', 'text/html');
+        if (req.url === '/page') return res.end('<h1>Fallback</h1>');
+        if (req.url === '/big') return res.end('x'.repeat(2048));
+        if (req.url === '/slow') return res.write('<html>');
+        res.statusCode = 404;
+        res.end();
+    });
+    server.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+// A pool whose page hands back html, or fails / hangs when told to
+function stubPool(behaviour) {
+    return {
+        async withPage(work) {
+            if (behaviour === 'fail') throw new Error('no browser');
+            if (behaviour === 'hang') return new Promise(() => {});
+            return work({ setUserAgent: async () => {}, goto: async () => {}, content: async () => behaviour });
+        }
+    };
+}
+
+test('fetchPage uses the browser when it works', async () => {
+    const scraper = createScraper(stubPool('<h1>Browser</h1>'));
+    assert.equal(await scraper.fetchPage(`${baseUrl}/page`), '<h1>Browser</h1>');
+});
+
+test('fetchPage falls back to a plain request when the browser fails', async () => {
+    const scraper = createScraper(stubPool('fail'));
+    assert.equal(await scraper.fetchPage(`${baseUrl}/page`), '<h1>Fallback</h1>');
+});
+
+test('fetchPage refuses pages over maxBytes from either path', async () => {
+    const browser = createScraper(stubPool('y'.repeat(2048)));
+    await assert.rejects(browser.fetchPage(`${baseUrl}/big`, { maxBytes: 1024 }), { type: 'max-size' });
+
+    const fallback = createScraper(stubPool('fail'));
+    await assert.rejects(fallback.fetchPage(`${baseUrl}/big`, { maxBytes: 1024 }), { type: 'max-size' });
+    assert.equal((await fallback.fetchPage(`${baseUrl}/big`)).length, 2048);
+});
+
+test('the signal puts one deadline on the browser and the fallback', async () => {
+    const hanging = createScraper(stubPool('hang'));
+    const started = Date.now();
+    await assert.rejects(hanging.fetchPage(`${baseUrl}/page`, { signal: AbortSignal.timeout(200) }), { name: 'TimeoutError' });
+    assert.ok(Date.now() - started < 2000);
+
+    const slow = createScraper(stubPool('fail'));
+    await assert.rejects(slow.fetchPage(`${baseUrl}/slow`, { signal: AbortSignal.timeout(200) }));
+});
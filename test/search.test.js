@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCatalog } = require('../lib/catalog');
+const { tokenize } = require('../lib/search');
+
+const product = (name, price, mainCategory = 'MENS') => ({ name, price, link: 'https://example.com', image: null, mainCategory, subCategory: null });
+
+// What /list and /search page through
+async function stockedCatalog() {
+    const catalog = createCatalog('memory');
+    await catalog.init();
+    await catalog.products.addMany([
+        product('Air Max 90', '$120'),
+        product('Air Force 1', '$100'),
+        product('Wool Hat', '$15', 'WOMENS'),
+        product('Café Crème Mug', '€8', 'MISC'),
+        product('Maxi Dress', '$60', 'WOMENS')
+    ]);
+    return catalog;
+}
+
+async function names(catalog, params) {
+    const { products } = await catalog.products.list({ limit: 10, order: 'asc', ...params });
+    return products.map(p => p.name);
+}
+
+test('tokenize splits on anything but letters and digits', () => {
+    assert.deepEqual(tokenize('Air-Max 90 / Café!'), ['air', 'max', '90', 'café']);
+    assert.deepEqual(tokenize(null), []);
+});
+
+test('search terms match word prefixes, all of them', async () => {
+    const catalog = await stockedCatalog();
+    assert.deepEqual(await names(catalog, { terms: ['air'], sort: 'name' }), ['Air Force 1', 'Air Max 90']);
+    assert.deepEqual(await names(catalog, { terms: ['max'], sort: 'name' }), ['Air Max 90', 'Maxi Dress']);
+    assert.deepEqual(await names(catalog, { terms: ['air', 'max'] }), ['Air Max 90']);
+    assert.deepEqual(await names(catalog, { terms: tokenize('café') }), ['Café Crème Mug']);
+    assert.deepEqual(await names(catalog, { terms: ['ax'] }), []);
+});
+
+test('category filters and price sorting', async () => {
+    const catalog = await stockedCatalog();
+    assert.deepEqual(await names(catalog, { mainCategory: 'WOMENS', sort: 'price' }), ['Wool Hat', 'Maxi Dress']);
+    assert.deepEqual(await names(catalog, { sort: 'price', order: 'desc', maxPrice: 100 }), ['Air Force 1', 'Maxi Dress', 'Wool Hat', 'Café Crème Mug']);
+});
+
+test('cursors walk every page once', async () => {
+    const catalog = await stockedCatalog();
+    const seen = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+        const page = await catalog.products.list({ sort: 'name', order: 'asc', limit: 2, cursor });
+        seen.push(...page.products.map(p => p.name));
+        cursor = page.nextCursor;
+        pages++;
+    } while (cursor);
+    assert.equal(pages, 3);
+    assert.deepEqual(seen, ['Air Force 1', 'Air Max 90', 'Café Crème Mug', 'Maxi Dress', 'Wool Hat']);
+});
+
+test('a cursor to a removed product is a 400, so /list can start over', async () => {
+    const catalog = await stockedCatalog();
+    const { nextCursor } = await catalog.products.list({ sort: 'name', limit: 1 });
+    await catalog.products.remove(nextCursor, { deletedBy: null, expiresAt: new Date(Date.now() + 60000) });
+    await assert.rejects(catalog.products.list({ sort: 'name', limit: 1, cursor: nextCursor }), { status: 400 });
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const imageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mrciles-images-'));
+process.env.CATALOG_STORE = 'memory';
+process.env.IMAGE_STORE = 'local';
+process.env.IMAGE_STORE_DIR = imageDir;
+
+const app = require('../server');
+const { createApiKey } = require('../lib/auth');
+const { seedDefaultCategories } = require('../lib/categories');
+
+let server;
+let baseUrl;
+let apiKey;
+
+test.before(async () => {
+    const { catalog } = app.locals;
+    await catalog.init();
+    await seedDefaultCategories(catalog);
+    ({ key: apiKey } = await createApiKey(catalog, { label: 'tests', createdBy: 'tests' }));
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await app.locals.catalog.close();
+    fs.rmSync(imageDir, { recursive: true, force: true });
+});
+
+function api(route, { method = 'GET', body, auth = true } = {}) {
+    const headers = {};
+    if (auth) headers['X-API-Key'] = apiKey;
+    if (body) headers['Content-Type'] = 'application/json';
+    return fetch(baseUrl + route, { method, headers, body: body && JSON.stringify(body) });
+}
+
+test('products can be added, listed and removed', async () => {
+    const png = await sharp({ create: { width: 8, height: 8, channels: 3, background: 'red' } }).png().toBuffer();
+    const added = await api('/api/products/bulk', {
+        method: 'POST',
+        body: {
+            products: [
+                { name: 'Red Shoe', price: '€12.50', link: 'https://example.com/shoe', mainCategory: 'MENS', subCategory: 'SHOES', image: { name: 'shoe.png', data: png.toString('base64') } },
+                { name: 'No Image', price: '$5', link: 'https://example.com/none', mainCategory: 'MENS' }
+            ]
+        }
+    });
+    assert.equal(added.status, 200);
+    const { productIds, invalid } = await added.json();
+    assert.equal(productIds.length, 1);
+    assert.deepEqual(invalid.map(({ index }) => index), [1]);
+    const [id] = productIds;
+
+    const listed = await (await api('/api/products', { auth: false })).json();
+    assert.ok(Array.isArray(listed));
+    assert.equal(listed.length, 1);
+    assert.equal(listed[0].id, id);
+    assert.equal(listed[0].name, 'Red Shoe');
+    assert.equal(listed[0].priceAmount, 12.5);
+    assert.equal(listed[0].priceCurrency, 'EUR');
+
+    const image = await api(`/api/images/${listed[0].image.id}`, { auth: false });
+    assert.equal(image.status, 200);
+    assert.equal(image.headers.get('content-type'), 'image/png');
+    assert.equal(image.headers.get('x-content-type-options'), 'nosniff');
+
+    const removed = await api(`/api/products/${id}`, { method: 'DELETE' });
+    assert.equal(removed.status, 200);
+    assert.deepEqual(await (await api('/api/products', { auth: false })).json(), []);
+    assert.equal((await api(`/api/products/${id}`, { method: 'DELETE' })).status, 404);
+});
+
+test('bulk upload files products without a category under MISC', async () => {
+    const png = await sharp({ create: { width: 8, height: 8, channels: 3, background: 'blue' } }).png().toBuffer();
+    const image = { name: 'thing.png', data: png.toString('base64') };
+    const response = await api('/api/products/bulk', {
+        method: 'POST',
+        body: {
+            products: [
+                { name: 'Thing', price: '$5', link: 'https://example.com/thing', image },
+                { name: 'Lost', price: '$5', link: 'https://example.com/lost', mainCategory: 'NOPE', image },
+                { name: 'Odd', price: '$5', link: 'https://example.com/odd', mainCategory: 'MENS', subCategory: 'HATS', image }
+            ]
+        }
+    });
+    assert.equal(response.status, 200);
+    const { productIds, invalid } = await response.json();
+    assert.deepEqual(invalid, [
+        { index: 1, error: 'Unknown category NOPE' },
+        { index: 2, error: 'Unknown subcategory MENS > HATS' }
+    ]);
+
+    const product = await (await api(`/api/products/${productIds[0]}`, { auth: false })).json();
+    assert.equal(product.mainCategory, 'MISC');
+    assert.equal(product.subCategory, null);
+    await api(`/api/products/${productIds[0]}`, { method: 'DELETE' });
+});
+
+test('GET /api/categories lists the category tree with counts', async () => {
+    const response = await api('/api/categories', { auth: false });
+    assert.equal(response.status, 200);
+    const { categories } = await response.json();
+    const mens = categories.find(category => category.name === 'MENS');
+    assert.deepEqual(mens.subCategories.map(sub => sub.name), ['SHOES', 'CLOTHES', 'FRAGRANCE']);
+    assert.equal(typeof mens.count, 'number');
+});
+
+test('PATCH changes a product\'s price and currency', async () => {
+    const png = await sharp({ create: { width: 8, height: 8, channels: 3, background: 'green' } }).png().toBuffer();
+    const added = await api('/api/products/bulk', {
+        method: 'POST',
+        body: { products: [{ name: 'Hat', price: '10', link: 'https://example.com/hat', image: { name: 'hat.png', data: png.toString('base64') } }] }
+    });
+    const { productIds: [id] } = await added.json();
+    const patch = async body => api(`/api/products/${id}`, { method: 'PATCH', body });
+    const priceOf = async response => {
+        const { price, priceAmount, priceCurrency } = await response.json();
+        return { price, priceAmount, priceCurrency };
+    };
+
+    assert.deepEqual(await priceOf(await patch({ priceCurrency: 'eur' })), { price: '€10.00', priceAmount: 10, priceCurrency: 'EUR' });
+    assert.deepEqual(await priceOf(await patch({ priceAmount: 12.5 })), { price: '€12.50', priceAmount: 12.5, priceCurrency: 'EUR' });
+    assert.deepEqual(await priceOf(await patch({ price: '8', currency: 'GBP' })), { price: '£8.00', priceAmount: 8, priceCurrency: 'GBP' });
+    assert.deepEqual(
+        await priceOf(await patch({ priceAmount: 3, priceCurrency: 'USD' })),
+        { price: '$3.00', priceAmount: 3, priceCurrency: 'USD' }
+    );
+
+    assert.equal((await patch({ priceCurrency: 'XYZ' })).status, 400);
+    assert.equal((await patch({ priceAmount: -1 })).status, 400);
+    assert.equal((await patch({ priceAmount: '3' })).status, 400);
+    await api(`/api/products/${id}`, { method: 'DELETE' });
+});
+
+test('changing products needs an API key', async () => {
+    assert.equal((await api('/api/products/bulk', { method: 'POST', body: { products: [] }, auth: false })).status, 401);
+    assert.equal((await api('/api/products/some-id', { method: 'DELETE', auth: false })).status, 401);
+});
+
+test('a bulk upload without a JSON body is a 400', async () => {
+    assert.equal((await api('/api/products/bulk', { method: 'POST' })).status, 400);
+});
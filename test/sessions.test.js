@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { createCatalog } = require('../lib/catalog');
+const { readBulkZip, validateRows } = require('../lib/bulkImport');
+const { sessionTtl, describeTtl, createSessions } = require('../lib/sessions');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mrciles-sessions-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function jsonCatalog() {
+    process.env.CATALOG_FILE = path.join(dir, 'catalog.json');
+    return createCatalog('json');
+}
+
+test('each kind has its own TTL, overridable from the environment', () => {
+    assert.equal(sessionTtl('add'), 15 * 60 * 1000);
+    assert.equal(describeTtl('bulk'), '30 minutes');
+    assert.equal(describeTtl('list'), '1 day');
+    assert.throws(() => sessionTtl('nope'), /Unknown session kind "nope"/);
+
+    process.env.SESSION_TTL_BULK_MINUTES = '120';
+    process.env.SESSION_TTL_EDIT_MINUTES = 'soon';
+    try {
+        assert.equal(describeTtl('bulk'), '2 hours');
+        assert.equal(describeTtl('edit'), '15 minutes');
+    } finally {
+        delete process.env.SESSION_TTL_BULK_MINUTES;
+        delete process.env.SESSION_TTL_EDIT_MINUTES;
+    }
+});
+
+test('sessions survive a restart of the bot', async () => {
+    const before = createSessions(jsonCatalog().sessions);
+    await before.start('bulk', 'message-1', { zipUrl: 'https://cdn.example.com/a.zip', count: 3, at: new Date(0) });
+
+    const after = createSessions(jsonCatalog().sessions);
+    assert.deepEqual(await after.get('bulk', 'message-1'), { zipUrl: 'https://cdn.example.com/a.zip', count: 3, at: '1970-01-01T00:00:00.000Z' });
+    assert.equal(await after.get('restore', 'message-1'), null);
+});
+
+test('expired sessions read as gone and get purged', async t => {
+    const catalog = createCatalog('memory');
+    const sessions = createSessions(catalog.sessions);
+    await sessions.start('add', 'old', { name: 'Shoe' });
+    await sessions.start('list', 'new', { page: 2 });
+
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() + sessionTtl('add') });
+    assert.equal(await sessions.get('add', 'old'), null);
+    assert.deepEqual(await sessions.get('list', 'new'), { page: 2 });
+    assert.equal(await sessions.purgeExpired(), 1);
+    assert.equal(await sessions.purgeExpired(), 0);
+});
+
+test('every step pushes the expiry back', async t => {
+    const sessions = createSessions(createCatalog('memory').sessions);
+    const start = Date.now();
+    t.mock.timers.enable({ apis: ['Date'], now: start });
+    await sessions.start('edit', 'message-1', { step: 1 });
+
+    t.mock.timers.setTime(start + sessionTtl('edit') - 1000);
+    await sessions.update('edit', 'message-1', { step: 2 });
+    t.mock.timers.setTime(start + sessionTtl('edit') + 1000);
+    assert.deepEqual(await sessions.get('edit', 'message-1'), { step: 2 });
+});
+
+test('only one of two Confirm clicks ends the session', async () => {
+    const sessions = createSessions(createCatalog('memory').sessions);
+    await sessions.start('restore', 'message-1', { zipUrl: 'https://cdn.example.com/a.zip', mode: 'merge' });
+    const ends = await Promise.all([sessions.end('restore', 'message-1'), sessions.end('restore', 'message-1')]);
+    assert.deepEqual(ends.sort(), [false, true]);
+    assert.equal(await sessions.get('restore', 'message-1'), null);
+});
+
+// Confirm downloads the ZIP again and validates it against the categories as they are then
+test('re-validating on Confirm drops rows whose category went away', () => {
+    const zip = new AdmZip();
+    zip.addFile('shoe.png', Buffer.from('png'));
+    zip.addFile('products.json', Buffer.from(JSON.stringify([
+        { name: 'Shoe', price: '$10', link: 'https://example.com/shoe', image: 'shoe.png', mainCategory: 'MENS', subCategory: 'SHOES' },
+        { name: 'Hat', price: '$5', link: 'https://example.com/hat', image: 'shoe.png' }
+    ])));
+    const { rows, images } = readBulkZip(zip.toBuffer());
+
+    const atDryRun = validateRows(rows, { images, categories: { MENS: ['SHOES'], MISC: [] } });
+    assert.equal(atDryRun.valid.length, 2);
+
+    const atConfirm = validateRows(rows, { images, categories: { MISC: [] } });
+    assert.deepEqual(atConfirm.valid.map(row => row.name), ['Hat']);
+    assert.deepEqual(atConfirm.invalid.map(row => row.problems), [['unknown category "MENS"']]);
+});
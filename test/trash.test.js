@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCatalog } = require('../lib/catalog');
+const { seedDefaultCategories, removeCategory, renameCategory } = require('../lib/categories');
+const { retentionDays, trashOptions, undoCustomId, purgeExpiredProducts } = require('../lib/trash');
+
+const actor = { type: 'discord', id: 42 };
+const product = fields => ({ name: 'Shoe', price: '$10', link: 'https://example.com', image: null, mainCategory: 'MENS', subCategory: 'SHOES', ...fields });
+
+async function seededCatalog() {
+    const catalog = createCatalog('memory');
+    await catalog.init();
+    await seedDefaultCategories(catalog);
+    return catalog;
+}
+
+test('trashOptions keeps products for the retention period', () => {
+    const from = new Date('2026-01-01T00:00:00Z');
+    assert.equal(retentionDays(), 30);
+    assert.deepEqual(trashOptions(actor, from), { deletedBy: '42', expiresAt: new Date('2026-01-31T00:00:00Z') });
+
+    process.env.TRASH_RETENTION_DAYS = '7';
+    try {
+        assert.deepEqual(trashOptions(null, from), { deletedBy: null, expiresAt: new Date('2026-01-08T00:00:00Z') });
+    } finally {
+        delete process.env.TRASH_RETENTION_DAYS;
+    }
+});
+
+test('undoCustomId gives up when the IDs overflow a button', () => {
+    assert.equal(undoCustomId('undo_remove', ['a', 'b']), 'undo_remove:a,b');
+    assert.equal(undoCustomId('undo_remove', Array(20).fill('abcdefgh')), null);
+});
+
+test('removed products sit in the trash until restored', async () => {
+    const catalog = await seededCatalog();
+    const { id } = await catalog.products.add(product());
+
+    const removed = await catalog.products.remove(id, trashOptions(actor));
+    assert.equal(removed.id, id);
+    assert.equal(await catalog.products.get(id), null);
+    assert.equal(await catalog.products.remove(id, trashOptions(actor)), null);
+
+    const [trashed] = await catalog.products.listTrash();
+    assert.equal(trashed.id, id);
+    assert.equal(trashed.deletedBy, '42');
+
+    const restored = await catalog.products.restoreMany([id, 'missing']);
+    assert.deepEqual(restored.map(p => p.id), [id]);
+    assert.equal((await catalog.products.get(id)).name, 'Shoe');
+    assert.deepEqual(await catalog.products.listTrash(), []);
+});
+
+test('purgeExpiredProducts deletes only what has expired', async () => {
+    const catalog = await seededCatalog();
+    const old = await catalog.products.add(product({ name: 'Old' }));
+    const recent = await catalog.products.add(product({ name: 'Recent' }));
+    await catalog.products.remove(old.id, trashOptions(actor, new Date('2000-01-01')));
+    await catalog.products.remove(recent.id, trashOptions(actor));
+
+    const purged = await purgeExpiredProducts(catalog);
+    assert.deepEqual(purged.map(p => p.id), [old.id]);
+    assert.deepEqual((await catalog.products.listTrash()).map(p => p.id), [recent.id]);
+});
+
+test('renaming a category refiles trashed products too', async () => {
+    const catalog = await seededCatalog();
+    const { id } = await catalog.products.add(product());
+    await catalog.products.remove(id, trashOptions(actor));
+
+    await renameCategory(catalog, 'SHOES', 'SNEAKERS', 'MENS');
+    await renameCategory(catalog, 'MENS', 'MEN');
+
+    const [restored] = await catalog.products.restoreMany([id]);
+    assert.equal(restored.mainCategory, 'MEN');
+    assert.equal(restored.subCategory, 'SNEAKERS');
+});
+
+test('a category with trashed products cannot be removed', async () => {
+    const catalog = await seededCatalog();
+    const { id } = await catalog.products.add(product());
+    await catalog.products.remove(id, trashOptions(actor));
+
+    await assert.rejects(removeCategory(catalog, 'SHOES', 'MENS'), { status: 409, message: /MENS > SHOES still has 1 product\(s\) in the trash/ });
+    await assert.rejects(removeCategory(catalog, 'MENS'), { status: 409, message: /in the trash/ });
+
+    await catalog.products.purgeTrash({ ids: [id] });
+    await removeCategory(catalog, 'SHOES', 'MENS');
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchWatches } = require('../lib/userWatches');
+
+const now = new Date('2026-01-01T12:00:00Z');
+const cooldown = 60 * 60 * 1000;
+const watch = fields => ({ id: 'w1', productId: 'p1', belowPrice: null, restock: false, matching: false, notifiedAt: null, ...fields });
+const reading = fields => ({ id: 'p1', priceNum: 50, inStock: true, ...fields });
+
+test('matchWatches notifies when the price reaches the target', () => {
+    const { notify, changes } = matchWatches([watch({ belowPrice: 50 })], [reading()], { now, cooldown });
+    assert.deepEqual(notify.map(match => match.reasons), [['below']]);
+    assert.deepEqual(changes, [{ id: 'w1', matching: true, notifiedAt: now }]);
+});
+
+test('matchWatches notifies on restock', () => {
+    const { notify } = matchWatches([watch({ restock: true })], [reading()], { now, cooldown });
+    assert.deepEqual(notify.map(match => match.reasons), [['restock']]);
+});
+
+test('matchWatches stays quiet while a watch keeps matching', () => {
+    const { notify, changes } = matchWatches([watch({ belowPrice: 60, matching: true })], [reading()], { now, cooldown });
+    assert.deepEqual(notify, []);
+    assert.deepEqual(changes, []);
+});
+
+test('matchWatches resets a watch that stopped matching', () => {
+    const { notify, changes } = matchWatches([watch({ belowPrice: 40, matching: true })], [reading()], { now, cooldown });
+    assert.deepEqual(notify, []);
+    assert.deepEqual(changes, [{ id: 'w1', matching: false }]);
+});
+
+test('matchWatches holds back a notification inside the cooldown', () => {
+    const recent = new Date(now - cooldown / 2);
+    const { notify } = matchWatches([watch({ belowPrice: 60, notifiedAt: recent })], [reading()], { now, cooldown });
+    assert.deepEqual(notify, []);
+
+    const old = new Date(now - cooldown * 2);
+    assert.equal(matchWatches([watch({ belowPrice: 60, notifiedAt: old })], [reading()], { now, cooldown }).notify.length, 1);
+});
+
+test('matchWatches skips failed and missing readings', () => {
+    const watches = [watch({ restock: true }), watch({ id: 'w2', productId: 'p2', restock: true })];
+    const { notify, changes } = matchWatches(watches, [reading({ error: 'timeout' })], { now, cooldown });
+    assert.deepEqual(notify, []);
+    assert.deepEqual(changes, []);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Record every statement and answer with whatever the test queued
+const queries = [];
+const replies = [];
+const query = async (text, params) => {
+    queries.push({ text: text.replace(/\s+/g, ' '), params });
+    return replies.shift() || { rows: [], rowCount: 0 };
+};
+let transactions = 0;
+require.cache[require.resolve('../lib/db')] = {
+    exports: {
+        query,
+        transaction: work => {
+            transactions++;
+            return work({ query });
+        }
+    }
+};
+const watchlist = require('../lib/watchlist');
+
+const row = fields => ({
+    id: 1, guild_id: 'g1', name: 'Shoe', url: 'https://example.com/shoe',
+    price_selector: '.price', stock_selector: null, check_text: '', created_at: new Date(0), ...fields
+});
+
+test.beforeEach(() => {
+    queries.length = 0;
+    replies.length = 0;
+});
+
+test('rows come back camelCased and scoped to the guild', async () => {
+    replies.push({ rows: [row()] });
+    assert.deepEqual(await watchlist.list('g1'), [{
+        id: 1, guildId: 'g1', name: 'Shoe', url: 'https://example.com/shoe',
+        priceSelector: '.price', stockSelector: null, checkText: '', createdAt: new Date(0)
+    }]);
+    assert.match(queries[0].text, /WHERE guild_id = \$1 AND deleted_at IS NULL/);
+    assert.deepEqual(queries[0].params, ['g1']);
+
+    assert.equal(await watchlist.get('g1', 99), null);
+    assert.deepEqual(queries[1].params, [99, 'g1']);
+});
+
+test('addMany inserts every entry in one transaction', async () => {
+    replies.push({ rows: [row({ id: 1 })] }, { rows: [row({ id: 2, name: 'Hat' })] });
+    const added = await watchlist.addMany('g1', [
+        { name: 'Shoe', url: 'https://example.com/shoe', priceSelector: '.price' },
+        { name: 'Hat', url: 'https://example.com/hat' }
+    ]);
+    assert.equal(transactions, 1);
+    assert.deepEqual(added.map(entry => entry.id), [1, 2]);
+    assert.deepEqual(queries[1].params, ['g1', 'Hat', 'https://example.com/hat', null, null, '']);
+});
+
+test('removed entries go to the trash and come back', async () => {
+    const expiresAt = new Date('2026-02-01T00:00:00Z');
+    replies.push({ rows: [] });
+    assert.equal(await watchlist.remove('g1', 5, { deletedBy: 'u1', expiresAt }), null);
+    assert.match(queries[0].text, /^UPDATE watchlist SET deleted_at = now\(\)/);
+    assert.deepEqual(queries[0].params, [[5], 'g1', 'u1', expiresAt]);
+
+    replies.push({ rows: [row({ deleted_by: 'u1', deleted_at: new Date(1), expires_at: expiresAt })] });
+    const [trashed] = await watchlist.listTrash('g1');
+    assert.deepEqual([trashed.deletedBy, trashed.expiresAt], ['u1', expiresAt]);
+
+    await watchlist.restoreMany('g1', [5]);
+    assert.match(queries[2].text, /SET deleted_at = NULL/);
+});
+
+test('purgeTrash deletes by ID within a guild or by expiry across guilds', async () => {
+    await watchlist.purgeTrash({ guildId: 'g1', ids: [1, 2] });
+    assert.match(queries[0].text, /guild_id = \$2 AND deleted_at IS NOT NULL/);
+    assert.deepEqual(queries[0].params, [[1, 2], 'g1']);
+
+    const before = new Date();
+    await watchlist.purgeTrash({ expiredBefore: before });
+    assert.match(queries[1].text, /WHERE expires_at <= \$1/);
+    assert.deepEqual(queries[1].params, [before]);
+});
+
+test('adoptUnassigned hands older entries to a guild', async () => {
+    replies.push({ rows: [], rowCount: 3 });
+    assert.equal(await watchlist.adoptUnassigned('g1'), 3);
+    assert.match(queries[0].text, /WHERE guild_id IS NULL/);
+});